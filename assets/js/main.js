@@ -1,13 +1,24 @@
 // ===== MAIN JAVASCRIPT FOR PERSONAL WEBSITE =====
 
-// DOM Elements
-const navbar = document.getElementById('navbar');
-const navToggle = document.getElementById('nav-toggle');
-const navMenu = document.getElementById('nav-menu');
-const navLinks = document.querySelectorAll('.nav-link');
-const themeToggle = document.getElementById('theme-toggle');
-const scrollTopBtn = document.getElementById('scroll-top');
-const typewriterElement = document.querySelector('.typewriter');
+// DOM Elements, looked up by queryDOMElements() when the website starts
+let navbar = null;
+let navToggle = null;
+let navMenu = null;
+let navLinks = [];
+let themeToggle = null;
+let scrollTopBtn = null;
+let typewriterElement = null;
+
+// Nothing touches the DOM at load time, so this file can be required without side effects
+function queryDOMElements() {
+    navbar = document.getElementById('navbar');
+    navToggle = document.getElementById('nav-toggle');
+    navMenu = document.getElementById('nav-menu');
+    navLinks = document.querySelectorAll('.nav-link');
+    themeToggle = document.getElementById('theme-toggle');
+    scrollTopBtn = document.getElementById('scroll-top');
+    typewriterElement = document.querySelector('.typewriter');
+}
 
 // Configuration
 const CONFIG = {
@@ -21,7 +32,14 @@ const CONFIG = {
         ],
         typeSpeed: 100,
         deleteSpeed: 50,
-        pauseTime: 2000
+        pauseTime: 2000,
+        loop: Infinity,
+        shuffle: false,
+        accessible: true
+    },
+    navigation: {
+        // Must match the breakpoint where styles.css turns #nav-menu into a slide-out panel
+        mobileQuery: '(max-width: 768px)'
     },
     scroll: {
         navbarScrollThreshold: 100,
@@ -29,6 +47,143 @@ const CONFIG = {
     },
     animation: {
         debounceDelay: 100
+    },
+    counter: {
+        duration: 2000,
+        easing: 'easeOutCubic',
+        // Share of the counter that must be visible before it starts
+        threshold: 0.7
+    },
+    reveal: {
+        once: true,
+        duration: 1000,
+        easing: 'cubic-bezier(0.215, 0.61, 0.355, 1)',
+        threshold: 0,
+        // Start the animation once the element is 100px inside the viewport
+        rootMargin: '0px 0px -100px 0px'
+    },
+    timeline: {
+        // Descriptions longer than this many characters start collapsed
+        collapseLength: 240
+    },
+    commandPalette: {
+        shortcut: 'mod+k',
+        storageKey: 'recentCommands',
+        historySize: 5,
+        maxResults: 50
+    },
+    assistant: {
+        // '' answers from the page alone; 'http' also asks an LLM endpoint (see ASSISTANT_BACKENDS)
+        backend: '',
+        http: {
+            endpoint: ''
+        },
+        storageKey: 'assistantHistory',
+        // Messages kept for the session, and how many earlier ones are sent with each question
+        historySize: 20,
+        historyContext: 6,
+        // Passages cited per answer
+        maxSources: 3,
+        snippetLength: 180,
+        maxLength: 500,
+        // Questions sent to the backend per window; over the limit, answers come from the page only
+        rateLimit: {
+            max: 5,
+            window: 60 * 1000
+        },
+        timeout: 30 * 1000
+    },
+    images: {
+        // Written by scripts/build-images.js
+        manifestUrl: 'assets/data/images.json',
+        // Start loading lazy images a little before they scroll into view
+        rootMargin: '200px 0px',
+        // Rendered widths, so the browser can pick a variant before layout
+        sizes: {
+            project: '(max-width: 768px) 100vw, 560px',
+            gallery: '(max-width: 768px) 100vw, 480px',
+            profile: '(max-width: 480px) 250px, (max-width: 768px) 300px, 380px'
+        }
+    },
+    content: {
+        url: 'assets/data/content.json',
+        inlineSelector: 'script#site-content[type="application/json"]'
+    },
+    contact: {
+        // 'json', 'formspree' or 'mailto'; the form's data-adapter/data-endpoint attributes override these
+        adapter: 'mailto',
+        endpoint: '',
+        email: 'marvindelosangeles78@gmail.com',
+        minSubmitTime: 3000,
+        queueKey: 'contactQueue'
+    },
+    i18n: {
+        supported: ['en', 'es', 'tl'],
+        defaultLocale: 'en',
+        rtl: ['ar', 'fa', 'he', 'ur'],
+        storageKey: 'locale',
+        path: 'assets/data/locales/'
+    },
+    serviceWorker: {
+        url: 'sw.js'
+    },
+    errors: {
+        // 'console' or 'beacon'
+        reporter: 'console',
+        // Share of page views whose errors are sent, from 0 to 1
+        sampleRate: 1,
+        batchSize: 10,
+        flushInterval: 5000,
+        // Distinct errors kept per page view; repeats of one error only raise its count
+        maxReports: 50,
+        beacon: {
+            endpoint: ''
+        }
+    },
+    diagnostics: {
+        // ?debug=1 opens the diagnostics overlay
+        param: 'debug'
+    },
+    seo: {
+        // Used when the content manifest has no profile.url
+        siteUrl: 'https://emulexoar.github.io/',
+        // Pre-rendered into index.html by scripts/build-seo.js and refreshed at runtime
+        scriptId: 'structured-data'
+    },
+    github: {
+        user: 'emulexoar',
+        apiBase: 'https://api.github.com',
+        // Refreshed by scripts/github-snapshot.js and used when the API can't be reached
+        snapshotUrl: 'assets/data/github.json',
+        cacheKey: 'githubCache',
+        cacheTTL: 30 * 60 * 1000,
+        repoLimit: 6,
+        eventLimit: 5,
+        includeForks: false
+    },
+    blog: {
+        // Generated from posts/*.md by scripts/build-blog.js
+        indexUrl: 'posts/index.json',
+        postsPath: 'posts/',
+        pageSize: 4
+    },
+    analytics: {
+        // null, 'console', 'ga4', 'plausible' or 'beacon'. Without a provider nothing is collected
+        // and visitors are never asked for consent; 'console' logs events while developing.
+        provider: null,
+        consentKey: 'analyticsConsent',
+        batchSize: 10,
+        flushInterval: 5000,
+        ga4: {
+            measurementId: ''
+        },
+        plausible: {
+            domain: 'emulexoar.github.io',
+            apiHost: 'https://plausible.io'
+        },
+        beacon: {
+            endpoint: ''
+        }
     }
 };
 
@@ -75,446 +230,6050 @@ function isInViewport(element, threshold = 0.1) {
     );
 }
 
-// Smooth scroll to element
-function smoothScrollTo(target) {
-    const targetElement = document.querySelector(target);
+// Project case studies are addressed as #projects/<id>; any other hash is a section ID
+function getProjectIdFromHash(hash) {
+    const match = /^#projects\/([a-z0-9]+(?:-[a-z0-9]+)*)$/.exec(hash || '');
+    return match ? match[1] : null;
+}
+
+// Posts are addressed as #blog/<slug>, where the slug is the Markdown file name in posts/
+function getPostSlugFromHash(hash) {
+    const match = /^#blog\/([a-z0-9]+(?:-[a-z0-9]+)*)$/.exec(hash || '');
+    return match ? match[1] : null;
+}
+
+// Project dialogs and blog posts react to these hashes themselves instead of scrolling to a section
+function isDetailHash(hash) {
+    return !!(getProjectIdFromHash(hash) || getPostSlugFromHash(hash));
+}
+
+// Height of the fixed navbar that scroll targets must clear
+function getHeaderOffset() {
+    return navbar ? navbar.offsetHeight : 80;
+}
+
+// Smooth scroll to an element, or to the element a "#id" or selector string points at
+function smoothScrollTo(target, behavior = 'smooth') {
+    if (typeof target !== 'string') {
+        scrollToElement(target, behavior);
+        return;
+    }
+    
+    // Project and post deep links open their own views instead of scrolling
+    if (isDetailHash(target)) return;
+    
+    scrollToElement(target.startsWith('#') ? document.getElementById(target.slice(1)) : document.querySelector(target), behavior);
+}
+
+function scrollToElement(targetElement, behavior) {
     if (targetElement) {
-        const headerOffset = 80;
+        const headerOffset = getHeaderOffset();
         const elementPosition = targetElement.getBoundingClientRect().top;
         const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
 
         window.scrollTo({
             top: offsetPosition,
-            behavior: 'smooth'
+            behavior
         });
     }
 }
 
-// ===== TYPEWRITER EFFECT =====
-class TypewriterEffect {
-    constructor(element, texts, options = {}) {
-        this.element = element;
-        this.texts = texts;
-        this.typeSpeed = options.typeSpeed || 100;
-        this.deleteSpeed = options.deleteSpeed || 50;
-        this.pauseTime = options.pauseTime || 2000;
-        this.textIndex = 0;
-        this.charIndex = 0;
-        this.isDeleting = false;
-        this.isTyping = false;
-        
-        this.init();
+// Local hosts and ?debug=1 turn on extra console diagnostics
+function isDevelopment() {
+    return ['localhost', '127.0.0.1', ''].includes(window.location.hostname) ||
+        new URLSearchParams(window.location.search).has('debug');
+}
+
+// Keyboard-focusable descendants, in tab order, skipping anything inside a hidden element
+function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(
+        'a[href], button:not([disabled]), input:not([disabled]), textarea:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])'
+    )).filter(element => !element.closest('[hidden]'));
+}
+
+// Escape text for safe interpolation into HTML markup and attributes
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ===== INTERNATIONALIZATION =====
+
+// Aliases for browser language tags that map onto a locale we ship under another code
+const LOCALE_ALIASES = {
+    fil: 'tl'
+};
+
+class I18n {
+    constructor(options = CONFIG.i18n) {
+        this.options = options;
+        this.locale = options.defaultLocale;
+        this.dictionaries = {};
+        this.reportedKeys = new Set();
     }
     
-    init() {
-        if (this.element) {
-            this.type();
+    async init() {
+        const locale = this.detectLocale();
+        
+        // English is always loaded because every other locale falls back to it
+        await this.loadDictionary(this.options.defaultLocale);
+        if (locale !== this.options.defaultLocale) {
+            await this.loadDictionary(locale);
         }
+        
+        this.locale = this.dictionaries[locale] ? locale : this.options.defaultLocale;
+        this.apply();
+        this.setupLanguageSwitcher();
     }
     
-    type() {
-        const currentText = this.texts[this.textIndex];
+    // Stored choice first, then the browser's preference list, then English
+    detectLocale() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(this.options.storageKey);
+        } catch (error) {
+            // Storage blocked, e.g. by privacy settings; the browser's preference still applies
+        }
         
-        if (this.isDeleting) {
-            this.element.textContent = currentText.substring(0, this.charIndex - 1);
-            this.charIndex--;
-        } else {
-            this.element.textContent = currentText.substring(0, this.charIndex + 1);
-            this.charIndex++;
+        if (stored && this.options.supported.includes(stored)) {
+            return stored;
         }
         
-        let typeSpeed = this.isDeleting ? this.deleteSpeed : this.typeSpeed;
+        const preferred = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language];
         
-        if (!this.isDeleting && this.charIndex === currentText.length) {
-            // Pause at end of text
-            typeSpeed = this.pauseTime;
-            this.isDeleting = true;
-        } else if (this.isDeleting && this.charIndex === 0) {
-            this.isDeleting = false;
-            this.textIndex = (this.textIndex + 1) % this.texts.length;
+        for (const tag of preferred) {
+            const locale = this.resolveLocale(tag);
+            if (locale) return locale;
         }
         
-        setTimeout(() => this.type(), typeSpeed);
-    }
-}
-
-// ===== NAVIGATION FUNCTIONALITY =====
-class Navigation {
-    constructor() {
-        this.init();
+        return this.options.defaultLocale;
     }
     
-    init() {
-        this.setupEventListeners();
-        this.setupActiveNavigation();
+    // 'es-MX' -> 'es', 'fil-PH' -> 'tl'; null when we have no matching dictionary
+    resolveLocale(tag) {
+        if (!tag) return null;
+        
+        const language = tag.toLowerCase().split('-')[0];
+        const locale = LOCALE_ALIASES[language] || language;
+        return this.options.supported.includes(locale) ? locale : null;
     }
     
-    setupEventListeners() {
-        // Mobile menu toggle
-        if (navToggle && navMenu) {
-            navToggle.addEventListener('click', () => {
-                navMenu.classList.toggle('active');
-                navToggle.classList.toggle('active');
-                
-                // Prevent body scroll when menu is open
-                document.body.style.overflow = navMenu.classList.contains('active') ? 'hidden' : '';
-            });
-        }
-        
-        // Close mobile menu when clicking on a link
-        navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const target = link.getAttribute('href');
-                
-                // Close mobile menu
-                navMenu.classList.remove('active');
-                navToggle.classList.remove('active');
-                document.body.style.overflow = '';
-                
-                // Smooth scroll to target
-                smoothScrollTo(target);
-            });
-        });
+    async loadDictionary(locale) {
+        if (this.dictionaries[locale]) return this.dictionaries[locale];
         
-        // Close mobile menu when clicking outside
-        document.addEventListener('click', (e) => {
-            if (!navMenu.contains(e.target) && !navToggle.contains(e.target)) {
-                navMenu.classList.remove('active');
-                navToggle.classList.remove('active');
-                document.body.style.overflow = '';
+        try {
+            const response = await fetch(`${this.options.path}${locale}.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
-        });
+            this.dictionaries[locale] = await response.json();
+        } catch (error) {
+            console.error(`Could not load translations for "${locale}":`, error);
+        }
+        
+        return this.dictionaries[locale];
     }
     
-    setupActiveNavigation() {
-        const sections = document.querySelectorAll('section[id]');
+    // True when the active locale itself defines the key, without falling back
+    has(key) {
+        const dictionary = this.dictionaries[this.locale];
+        return !!dictionary && Object.prototype.hasOwnProperty.call(dictionary, key);
+    }
+    
+    t(key, params = {}) {
+        let value;
         
-        const updateActiveNavigation = throttle(() => {
-            let currentSection = '';
-            
-            sections.forEach(section => {
-                const sectionTop = section.getBoundingClientRect().top;
-                const sectionHeight = section.offsetHeight;
-                
-                if (sectionTop <= 100 && sectionTop + sectionHeight > 100) {
-                    currentSection = section.getAttribute('id');
-                }
-            });
+        if (this.has(key)) {
+            value = this.dictionaries[this.locale][key];
+        } else {
+            const fallback = this.dictionaries[this.options.defaultLocale] || {};
+            this.reportMissing(key, this.locale);
             
-            navLinks.forEach(link => {
-                link.classList.remove('active');
-                if (link.getAttribute('href') === `#${currentSection}`) {
-                    link.classList.add('active');
+            if (Object.prototype.hasOwnProperty.call(fallback, key)) {
+                value = fallback[key];
+            } else {
+                if (this.locale !== this.options.defaultLocale) {
+                    this.reportMissing(key, this.options.defaultLocale);
                 }
-            });
-        }, 100);
+                return key;
+            }
+        }
         
-        window.addEventListener('scroll', updateActiveNavigation);
-        updateActiveNavigation(); // Initial call
-    }
-}
-
-// ===== SCROLL EFFECTS =====
-class ScrollEffects {
-    constructor() {
-        this.init();
+        if (typeof value !== 'string') return value;
+        
+        return value.replace(/\{(\w+)\}/g, (match, name) => (
+            Object.prototype.hasOwnProperty.call(params, name) ? params[name] : match
+        ));
     }
     
-    init() {
-        this.setupScrollEffects();
-        this.setupScrollToTop();
+    reportMissing(key, locale) {
+        const id = `${locale}:${key}`;
+        if (!isDevelopment() || this.reportedKeys.has(id)) return;
+        
+        this.reportedKeys.add(id);
+        console.warn(`Missing translation "${key}" for locale "${locale}"`);
     }
     
-    setupScrollEffects() {
-        const handleScroll = throttle(() => {
-            const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-            
-            // Navbar effects
-            if (navbar) {
-                if (scrollTop > CONFIG.scroll.navbarScrollThreshold) {
-                    navbar.classList.add('scrolled');
-                } else {
-                    navbar.classList.remove('scrolled');
-                }
+    // Translates data-i18n (text), data-i18n-html (trusted markup) and
+    // data-i18n-attr="attr:key;attr:key" under root; data-i18n-params holds JSON placeholders
+    apply(root = document) {
+        const getParams = (element) => {
+            try {
+                return element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+            } catch (error) {
+                console.warn('Invalid data-i18n-params:', element.dataset.i18nParams);
+                return {};
             }
-            
-            // Scroll to top button
-            if (scrollTopBtn) {
-                if (scrollTop > CONFIG.scroll.scrollTopThreshold) {
-                    scrollTopBtn.classList.add('visible');
-                } else {
-                    scrollTopBtn.classList.remove('visible');
+        };
+        
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n, getParams(element));
+        });
+        
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = this.t(element.dataset.i18nHtml, getParams(element));
+        });
+        
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) {
+                    element.setAttribute(attribute, this.t(key, getParams(element)));
                 }
-            }
-            
-            // Parallax effect for hero section
-            const hero = document.querySelector('.hero');
-            if (hero && scrollTop < window.innerHeight) {
-                const parallaxSpeed = 0.5;
-                hero.style.transform = `translateY(${scrollTop * parallaxSpeed}px)`;
-            }
-        }, 16); // ~60fps
+            });
+        });
         
-        window.addEventListener('scroll', handleScroll);
-        handleScroll(); // Initial call
+        if (root === document) {
+            document.documentElement.lang = this.locale;
+            document.documentElement.dir = this.options.rtl.includes(this.locale) ? 'rtl' : 'ltr';
+            document.title = this.t('meta.title');
+        }
     }
     
-    setupScrollToTop() {
-        if (scrollTopBtn) {
-            scrollTopBtn.addEventListener('click', () => {
-                window.scrollTo({
-                    top: 0,
-                    behavior: 'smooth'
-                });
-            });
+    async setLocale(locale) {
+        const resolved = this.resolveLocale(locale);
+        if (!resolved) {
+            console.warn(`Unsupported locale "${locale}"`);
+            return;
+        }
+        
+        if (!(await this.loadDictionary(resolved))) return;
+        
+        // The switch still happens when the choice can't be remembered
+        try {
+            localStorage.setItem(this.options.storageKey, resolved);
+        } catch (error) {
+            console.warn('Could not store the language choice:', error);
+        }
+        
+        if (resolved === this.locale) return;
+        
+        this.locale = resolved;
+        this.apply();
+        
+        if (this.switcher) {
+            this.switcher.value = resolved;
         }
+        
+        document.dispatchEvent(new CustomEvent('localechange', { detail: { locale: resolved } }));
     }
-}
-
-// ===== THEME TOGGLE =====
-class ThemeManager {
-    constructor() {
-        this.currentTheme = localStorage.getItem('theme') || 'dark';
-        this.init();
+    
+    setupLanguageSwitcher() {
+        this.switcher = document.getElementById('language-switcher');
+        if (!this.switcher) return;
+        
+        this.switcher.value = this.locale;
+        this.switcher.addEventListener('change', () => this.setLocale(this.switcher.value));
     }
     
-    init() {
-        this.setTheme(this.currentTheme);
-        this.setupEventListeners();
+    formatNumber(value, options = {}) {
+        try {
+            return new Intl.NumberFormat(this.locale, options).format(value);
+        } catch (error) {
+            return String(value);
+        }
     }
     
-    setupEventListeners() {
-        if (themeToggle) {
-            themeToggle.addEventListener('click', () => {
-                this.toggleTheme();
-            });
+    formatDate(value, options = { dateStyle: 'medium' }) {
+        try {
+            return new Intl.DateTimeFormat(this.locale, options).format(new Date(value));
+        } catch (error) {
+            return String(value);
         }
     }
+}
+
+const i18n = new I18n();
+
+// Shorthand for i18n.t() used by templates throughout this file
+function t(key, params) {
+    return i18n.t(key, params);
+}
+
+// ===== RESPONSIVE IMAGES =====
+
+// Stands in for an image that failed to load: a gradient card with the initials of its alt text
+function createFallbackImage(label, width = 640, height = 400) {
+    const initials = String(label || '')
+        .split(/[\s-]+/)
+        .filter(word => /^[a-z0-9]/i.test(word))
+        .slice(0, 2)
+        .map(word => word[0].toUpperCase())
+        .join('');
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        + '<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="#00d4ff"/><stop offset="1" stop-color="#0099cc"/></linearGradient></defs>'
+        + '<rect width="100%" height="100%" fill="url(#g)"/>'
+        + `<text x="50%" y="50%" dominant-baseline="central" text-anchor="middle" font-family="Inter, sans-serif" font-weight="700" font-size="${Math.round(Math.min(width, height) / 4)}" fill="#0a0a0a">${escapeHTML(initials)}</text>`
+        + '</svg>';
     
-    setTheme(theme) {
-        document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem('theme', theme);
-        this.currentTheme = theme;
-        
-        // Update theme toggle icon
-        if (themeToggle) {
-            const icon = themeToggle.querySelector('i');
-            if (icon) {
-                icon.className = theme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+// AVIF/WebP variants and blur-up placeholders written by scripts/build-images.js, keyed by the
+// original image path. Until the script has run, every image is served as it is.
+class ImageManifest {
+    constructor(options = CONFIG.images) {
+        this.options = options;
+        this.entries = {};
+    }
+    
+    async load() {
+        try {
+            const response = await fetch(this.options.manifestUrl);
+            if (response.ok) {
+                this.entries = await response.json();
             }
+        } catch (error) {
+            console.warn('Could not load the image manifest:', error);
         }
+        
+        return this.entries;
     }
     
-    toggleTheme() {
-        const newTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
-        this.setTheme(newTheme);
+    get(src) {
+        return Object.prototype.hasOwnProperty.call(this.entries, src) ? this.entries[src] : null;
+    }
+    
+    // <picture> markup for src. Lazy images keep their URLs in data-src/data-srcset, and show the
+    // placeholder, until PerformanceManager loads them; the others use the browser's own lazy loading.
+    // priority is for the image above the fold: fetched straight away, ahead of everything else.
+    // attributes are extra attributes for the <img>, e.g. { 'data-i18n-attr': 'alt:hero.profileAlt' }.
+    render(src, { alt = '', sizes = '100vw', className = '', lazy = true, priority = false, attributes = {} } = {}) {
+        const entry = this.get(src);
+        const deferred = lazy && !priority;
+        const prefix = deferred ? 'data-' : '';
+        const classes = [className, deferred ? 'lazy-image' : ''].filter(Boolean).join(' ');
+        const placeholder = deferred && entry && entry.placeholder ? ` src="${escapeHTML(entry.placeholder)}"` : '';
+        const size = entry ? ` width="${entry.width}" height="${entry.height}"` : '';
+        const loading = priority ? ' fetchpriority="high"' : lazy ? '' : ' loading="lazy"';
+        const extra = Object.keys(attributes).map(name => ` ${name}="${escapeHTML(attributes[name])}"`).join('');
+        
+        const img = `<img${placeholder} ${prefix}src="${escapeHTML(src)}" alt="${escapeHTML(alt)}"${classes ? ` class="${classes}"` : ''}${size}${loading}${extra} decoding="async">`;
+        
+        if (!entry || !entry.sources || !entry.sources.length) {
+            return img;
+        }
+        
+        const sources = entry.sources.map(source => `<source type="${escapeHTML(source.type)}" ${prefix}srcset="${escapeHTML(source.srcset)}" sizes="${escapeHTML(sizes)}">`).join('');
+        return `<picture>${sources}${img}</picture>`;
     }
 }
 
-// ===== ANIMATIONS AND INTERACTIONS =====
-class AnimationManager {
+const imageManifest = new ImageManifest();
+
+// ===== KEYBOARD SHORTCUTS =====
+
+// Form fields keep their keys; shortcuts registered with allowInInputs still fire there
+function isEditableTarget(target) {
+    return !!target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName));
+}
+
+// The one document keydown listener for site-wide shortcuts and key sequences, so they are checked
+// in a single place and can't both react to the same key. Component-level keys (arrow keys in a
+// menu, Escape in a dialog) stay with the component; call preventDefault() there and the
+// dispatcher ignores the event.
+class KeyboardShortcuts {
     constructor() {
-        this.init();
+        this.shortcuts = new Map();
+        this.sequences = [];
+        this.buffer = [];
+        this.listening = false;
     }
     
-    init() {
-        this.setupCounterAnimations();
-        this.setupSkillHoverEffects();
-        this.setupProjectCardEffects();
-        this.setupFormAnimations();
+    // combo is "mod+k", "shift+?" or "escape"; mod is Ctrl, or Cmd on Apple keyboards. Returns an unregister function.
+    register(combo, handler, { allowInInputs = false } = {}) {
+        const key = this.normalizeCombo(combo);
+        
+        if (this.shortcuts.has(key)) {
+            console.warn(`Keyboard shortcut "${combo}" is already registered; the new handler replaces it`);
+        }
+        
+        const shortcut = { handler, allowInInputs };
+        this.shortcuts.set(key, shortcut);
+        this.listen();
+        
+        return () => {
+            if (this.shortcuts.get(key) === shortcut) {
+                this.shortcuts.delete(key);
+            }
+        };
     }
     
-    setupCounterAnimations() {
-        const counters = document.querySelectorAll('.stat-number');
-        
-        const animateCounter = (counter) => {
-            const target = parseInt(counter.textContent.replace(/\D/g, ''));
-            const duration = 2000;
-            const step = target / (duration / 16);
-            let current = 0;
-            
-            const updateCounter = () => {
-                current += step;
-                if (current < target) {
-                    counter.textContent = Math.floor(current) + '+';
-                    requestAnimationFrame(updateCounter);
-                } else {
-                    counter.textContent = target + '+';
-                }
-            };
-            
-            updateCounter();
-        };
-        
-        // Intersection Observer for counter animation
-        const counterObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const counter = entry.target;
-                    if (!counter.classList.contains('animated')) {
-                        counter.classList.add('animated');
-                        animateCounter(counter);
-                    }
-                }
-            });
-        }, { threshold: 0.7 });
+    // codes are KeyboardEvent.code values typed in order, e.g. the Konami code. Returns an unregister function.
+    registerSequence(codes, handler) {
+        const sequence = { codes, handler };
+        this.sequences.push(sequence);
+        this.listen();
         
-        counters.forEach(counter => {
-            counterObserver.observe(counter);
-        });
+        return () => {
+            this.sequences = this.sequences.filter(entry => entry !== sequence);
+        };
     }
     
-    setupSkillHoverEffects() {
-        const skillItems = document.querySelectorAll('.skill-item');
+    listen() {
+        if (this.listening) return;
         
-        skillItems.forEach(item => {
-            item.addEventListener('mouseenter', () => {
-                item.style.transform = 'scale(1.05) translateY(-2px)';
-            });
-            
-            item.addEventListener('mouseleave', () => {
-                item.style.transform = 'scale(1) translateY(0)';
-            });
-        });
+        this.listening = true;
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
     }
     
-    setupProjectCardEffects() {
-        const projectCards = document.querySelectorAll('.project-card');
+    normalizeCombo(combo) {
+        const parts = combo.toLowerCase().split('+');
+        const key = parts.pop();
+        return ['mod', 'alt', 'shift'].filter(modifier => parts.includes(modifier)).concat(key).join('+');
+    }
+    
+    describeEvent(e) {
+        const modifiers = [];
+        if (e.ctrlKey || e.metaKey) modifiers.push('mod');
+        if (e.altKey) modifiers.push('alt');
+        if (e.shiftKey) modifiers.push('shift');
+        return modifiers.concat(String(e.key).toLowerCase()).join('+');
+    }
+    
+    handleKeydown(e) {
+        if (e.defaultPrevented || e.isComposing) return;
         
-        projectCards.forEach(card => {
-            card.addEventListener('mouseenter', () => {
+        const editable = isEditableTarget(e.target);
+        const shortcut = this.shortcuts.get(this.describeEvent(e));
+        
+        if (shortcut && (shortcut.allowInInputs || !editable)) {
+            e.preventDefault();
+            // A shortcut ends any sequence in progress
+            this.buffer = [];
+            shortcut.handler(e);
+            return;
+        }
+        
+        if (editable || !this.sequences.length) return;
+        
+        const longest = Math.max(...this.sequences.map(sequence => sequence.codes.length));
+        this.buffer = this.buffer.concat(e.code).slice(-longest);
+        
+        const match = this.sequences.find(sequence => {
+            const typed = this.buffer.slice(-sequence.codes.length);
+            return typed.length === sequence.codes.length && sequence.codes.every((code, index) => typed[index] === code);
+        });
+        if (match) {
+            this.buffer = [];
+            match.handler(e);
+        }
+    }
+}
+
+const shortcuts = new KeyboardShortcuts();
+
+// ===== COMMAND REGISTRY =====
+
+// Commands offered by the command palette. Components add their own with
+// commandRegistry.register({ id, title, group, run, keywords, icon }); title and keywords may be
+// functions so they follow the current locale. Registering an existing id replaces that command.
+class CommandRegistry {
+    constructor() {
+        this.commands = new Map();
+    }
+    
+    register(command) {
+        if (!command.id || typeof command.run !== 'function') {
+            console.warn('Commands need an id and a run function:', command);
+            return () => {};
+        }
+        
+        this.commands.set(command.id, command);
+        return () => this.unregister(command.id);
+    }
+    
+    unregister(id) {
+        this.commands.delete(id);
+    }
+    
+    get(id) {
+        return this.commands.get(id) || null;
+    }
+    
+    getAll() {
+        return Array.from(this.commands.values());
+    }
+}
+
+const commandRegistry = new CommandRegistry();
+
+// ===== CONTENT MANIFEST =====
+
+// Expected shape of each manifest entry. A trailing '?' marks an optional field.
+const CONTENT_SCHEMA = {
+    profile: {
+        name: 'string',
+        label: 'string?',
+        email: 'string?',
+        url: 'string?',
+        summary: 'string?',
+        profiles: 'object[]?',
+        image: 'string?',
+        roles: 'string[]'
+    },
+    socialProfile: {
+        network: 'string',
+        username: 'string?',
+        url: 'string'
+    },
+    skillCategory: {
+        category: 'string',
+        items: 'object[]'
+    },
+    skillItem: {
+        name: 'string',
+        icon: 'string'
+    },
+    project: {
+        id: 'slug',
+        title: 'string',
+        description: 'string',
+        image: 'string',
+        imageAlt: 'string?',
+        tags: 'string[]',
+        // GitHub repository name when it differs from the id
+        repo: 'string?',
+        links: 'object?',
+        caseStudy: 'object?'
+    },
+    caseStudy: {
+        overview: 'string?',
+        gallery: 'object[]?',
+        metrics: 'object[]?',
+        architecture: 'string[]?',
+        links: 'object[]?'
+    },
+    galleryImage: {
+        src: 'string',
+        alt: 'string?',
+        caption: 'string?'
+    },
+    metric: {
+        label: 'string',
+        value: 'string'
+    },
+    link: {
+        label: 'string',
+        url: 'string'
+    },
+    experience: {
+        date: 'string',
+        title: 'string',
+        company: 'string',
+        description: 'string',
+        skills: 'string[]'
+    }
+};
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string' && value.trim() !== '';
+        case 'slug':
+            return typeof value === 'string' && /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(value);
+        case 'string[]':
+            return Array.isArray(value) && value.every(item => matchesType(item, 'string'));
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'object[]':
+            return Array.isArray(value) && value.every(item => matchesType(item, 'object'));
+        default:
+            return false;
+    }
+}
+
+// Returns a list of human-readable problems, empty when the entry is valid
+function validateEntry(entry, schema) {
+    if (!matchesType(entry, 'object')) {
+        return ['entry is not an object'];
+    }
+
+    const problems = [];
+
+    Object.keys(schema).forEach(field => {
+        const optional = schema[field].endsWith('?');
+        const type = optional ? schema[field].slice(0, -1) : schema[field];
+        const value = entry[field];
+
+        if (value === undefined || value === null) {
+            if (!optional) {
+                problems.push(`missing "${field}"`);
+            }
+        } else if (!matchesType(value, type)) {
+            problems.push(`"${field}" should be ${type === 'slug' ? 'a lowercase slug' : `a non-empty ${type}`}`);
+        }
+    });
+
+    return problems;
+}
+
+class ContentManager {
+    constructor(options = {}) {
+        this.url = options.url || CONFIG.content.url;
+        this.inlineSelector = options.inlineSelector || CONFIG.content.inlineSelector;
+        this.content = null;
+    }
+
+    async load() {
+        try {
+            const manifest = this.readInlineManifest() || await this.fetchManifest();
+            this.content = this.validate(manifest);
+        } catch (error) {
+            console.error('Unable to load content manifest:', error);
+            this.content = null;
+        }
+
+        return this.content;
+    }
+
+    readInlineManifest() {
+        const script = document.querySelector(this.inlineSelector);
+        return script ? JSON.parse(script.textContent) : null;
+    }
+
+    async fetchManifest() {
+        const response = await fetch(this.url);
+
+        if (!response.ok) {
+            throw new Error(`Request for ${this.url} failed with status ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    validate(manifest) {
+        if (!matchesType(manifest, 'object')) {
+            throw new Error('Content manifest must be a JSON object');
+        }
+
+        const profileProblems = manifest.profile ? this.validateProfile(manifest.profile) : [];
+        if (profileProblems.length) {
+            console.warn(`Ignoring malformed content profile: ${profileProblems.join(', ')}`, manifest.profile);
+        }
+
+        const projectIds = new Set();
+        const projects = this.validateList(manifest, 'projects', CONTENT_SCHEMA.project, (project) => {
+            if (projectIds.has(project.id)) {
+                return [`duplicate id "${project.id}"`];
+            }
+            projectIds.add(project.id);
+            return project.caseStudy ? this.validateCaseStudy(project.caseStudy) : [];
+        });
+
+        const skills = this.validateList(manifest, 'skills', CONTENT_SCHEMA.skillCategory);
+        if (skills) {
+            skills.forEach((category, categoryIndex) => {
+                category.items = category.items.filter((item, itemIndex) => {
+                    const problems = validateEntry(item, CONTENT_SCHEMA.skillItem);
+                    if (problems.length) {
+                        console.warn(`Skipping malformed content entry skills[${categoryIndex}].items[${itemIndex}]: ${problems.join(', ')}`, item);
+                    }
+                    return problems.length === 0;
+                });
+            });
+        }
+
+        return {
+            profile: manifest.profile && !profileProblems.length ? manifest.profile : null,
+            skills,
+            projects,
+            experience: this.validateList(manifest, 'experience', CONTENT_SCHEMA.experience)
+        };
+    }
+    
+    validateProfile(profile) {
+        const problems = validateEntry(profile, CONTENT_SCHEMA.profile);
+        
+        (Array.isArray(profile.profiles) ? profile.profiles : []).forEach((entry, index) => {
+            validateEntry(entry, CONTENT_SCHEMA.socialProfile).forEach(problem => {
+                problems.push(`profiles[${index}]: ${problem}`);
+            });
+        });
+        
+        return problems;
+    }
+    
+    validateCaseStudy(caseStudy) {
+        const problems = validateEntry(caseStudy, CONTENT_SCHEMA.caseStudy);
+        const nested = { gallery: 'galleryImage', metrics: 'metric', links: 'link' };
+        
+        Object.keys(nested).forEach(field => {
+            (Array.isArray(caseStudy[field]) ? caseStudy[field] : []).forEach((entry, index) => {
+                validateEntry(entry, CONTENT_SCHEMA[nested[field]]).forEach(problem => {
+                    problems.push(`caseStudy.${field}[${index}]: ${problem}`);
+                });
+            });
+        });
+        
+        return problems.map(problem => problem.startsWith('caseStudy.') ? problem : `caseStudy: ${problem}`);
+    }
+
+    // Keeps only the valid entries of a manifest list; returns null when the list itself is missing
+    validateList(manifest, key, schema, extraCheck = () => []) {
+        const entries = manifest[key];
+
+        if (entries === undefined) {
+            return null;
+        }
+
+        if (!Array.isArray(entries)) {
+            console.warn(`Ignoring content "${key}": expected an array`);
+            return null;
+        }
+
+        return entries.filter((entry, index) => {
+            let problems = validateEntry(entry, schema);
+            if (!problems.length) {
+                problems = extraCheck(entry);
+            }
+
+            if (problems.length) {
+                console.warn(`Skipping malformed content entry ${key}[${index}]: ${problems.join(', ')}`, entry);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    // The manifest holds the English roles; a locale may translate them under hero.roles
+    getRoles() {
+        if (i18n.has('hero.roles')) {
+            return i18n.t('hero.roles');
+        }
+        
+        const profile = this.content && this.content.profile;
+        return profile && profile.roles.length ? profile.roles : CONFIG.typewriter.texts;
+    }
+
+    render() {
+        if (!this.content) {
+            this.renderUnavailable();
+            return;
+        }
+
+        this.renderInto('.skills-grid', this.content.skills, (category, index) => this.renderSkillCategory(category, index));
+        this.renderInto('.projects-grid', this.content.projects, (project, index) => this.renderProject(project, index));
+        this.renderInto('.timeline', this.content.experience, (item, index) => this.renderTimelineItem(item, index));
+    }
+    
+    // Not rendered at runtime: scripts/build-content.js puts the hero photo in index.html, so the
+    // browser picks its variant before any script runs instead of fetching it twice
+    renderProfileImage() {
+        const profile = this.content.profile;
+        if (!profile || !profile.image) return '';
+        
+        return imageManifest.render(profile.image, {
+            alt: t('hero.profileAlt'),
+            className: 'profile-img',
+            sizes: CONFIG.images.sizes.profile,
+            priority: true,
+            attributes: { 'data-i18n-attr': 'alt:hero.profileAlt' }
+        });
+    }
+
+    // The markup pre-rendered by scripts/build-content.js stays; a list with nothing in it says so
+    renderUnavailable() {
+        ['.skills-grid', '.projects-grid', '.timeline'].forEach(selector => {
+            const container = document.querySelector(selector);
+            
+            if (container && !container.children.length) {
+                container.innerHTML = `<p class="content-status" data-i18n="content.unavailable">${escapeHTML(t('content.unavailable'))}</p>`;
+            }
+        });
+    }
+    
+    renderInto(selector, entries, template) {
+        const container = document.querySelector(selector);
+
+        if (container && entries) {
+            container.innerHTML = entries.map(template).join('');
+        }
+    }
+
+    renderSkillCategory(category, index) {
+        const items = category.items.map(item => `
+                    <div class="skill-item">
+                        <i class="${escapeHTML(item.icon)}"></i>
+                        <span>${escapeHTML(item.name)}</span>
+                    </div>`).join('');
+
+        return `
+            <div class="skill-category" data-aos="fade-up" data-aos-delay="${(index + 1) * 100}">
+                <h3 class="category-title">${escapeHTML(category.category)}</h3>
+                <div class="skills-list">${items}
+                </div>
+            </div>`;
+    }
+
+    renderProject(project, index) {
+        const links = project.links || {};
+        const tags = project.tags.map(tag => `<span class="tech-tag">${escapeHTML(tag)}</span>`).join('');
+
+        return `
+            <div class="project-card" data-project-id="${escapeHTML(project.id)}" data-aos="fade-up" data-aos-delay="${(index + 1) * 100}">
+                <div class="project-image">
+                    ${imageManifest.render(project.image, { alt: project.imageAlt || project.title, sizes: CONFIG.images.sizes.project })}
+                    <div class="project-overlay">
+                        <div class="project-links">
+                            <a href="#projects/${escapeHTML(project.id)}" class="project-link" aria-label="${escapeHTML(t('projects.viewDetails', { title: project.title }))}" data-i18n-attr="aria-label:projects.viewDetails" data-i18n-params="${escapeHTML(JSON.stringify({ title: project.title }))}">
+                                <i class="fas fa-external-link-alt"></i>
+                            </a>
+                            <a href="${escapeHTML(links.source || '#')}" class="project-link" aria-label="${escapeHTML(t('projects.viewSource'))}" data-i18n-attr="aria-label:projects.viewSource" data-project-link="source">
+                                <i class="fab fa-github"></i>
+                            </a>
+                        </div>
+                    </div>
+                </div>
+                <div class="project-content">
+                    <h3 class="project-title">${escapeHTML(project.title)}</h3>
+                    <p class="project-description">${escapeHTML(project.description)}</p>
+                    <div class="project-tech">${tags}</div>
+                </div>
+            </div>`;
+    }
+
+    renderTimelineItem(item, index) {
+        const skills = item.skills.map(skill => `<span>${escapeHTML(skill)}</span>`).join('');
+
+        return `
+            <div class="timeline-item" data-aos="${index % 2 === 0 ? 'fade-right' : 'fade-left'}" data-aos-delay="${(index + 1) * 100}">
+                <div class="timeline-dot"></div>
+                <div class="timeline-content">
+                    <div class="timeline-date">${escapeHTML(item.date)}</div>
+                    <h3 class="timeline-title">${escapeHTML(item.title)}</h3>
+                    <p class="timeline-company">${escapeHTML(item.company)}</p>
+                    <p class="timeline-description">${escapeHTML(item.description)}</p>
+                    <div class="timeline-skills">${skills}</div>
+                </div>
+            </div>`;
+    }
+}
+
+// ===== TYPEWRITER EFFECT =====
+
+const TYPEWRITER_DEFAULTS = {
+    typeSpeed: 100,
+    deleteSpeed: 50,
+    pauseTime: 2000,
+    // Passes through the whole sequence; the last phrase stays on screen afterwards
+    loop: Infinity,
+    shuffle: false,
+    // Hide the animation from screen readers and expose the full list in a live region instead
+    accessible: true,
+    pauseWhenHidden: true,
+    autoStart: true
+};
+
+// Split into user-perceived characters so emoji and combined accents are typed in one step
+function splitGraphemes(text) {
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        return Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), part => part.segment);
+    }
+    return Array.from(text);
+}
+
+class TypewriterEffect {
+    // texts are strings or { text, typeSpeed, deleteSpeed, pauseTime } for per-item speeds
+    constructor(element, texts, options = {}) {
+        this.element = element;
+        this.options = Object.assign({}, TYPEWRITER_DEFAULTS, options);
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.state = 'idle';
+        this.timer = null;
+        this.liveRegion = null;
+        
+        this.handleVisibilityChange = () => {
+            if (document.hidden && this.state === 'running') {
+                this.pause();
+                this.pausedByVisibility = true;
+            } else if (!document.hidden && this.pausedByVisibility) {
+                this.start();
+            }
+        };
+        
+        // A typewriter the visitor paused stays paused whichever way the setting changes
+        this.handleMotionChange = () => {
+            if (this.state === 'running' || this.pausedByMotion) {
+                this.start();
+            }
+        };
+        
+        this.setTexts(texts);
+        this.init();
+    }
+    
+    init() {
+        if (!this.element) return;
+        
+        if (this.options.accessible) {
+            this.setupAccessibility();
+        }
+        
+        if (this.options.pauseWhenHidden) {
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        }
+        
+        if (this.reducedMotion.addEventListener) {
+            this.reducedMotion.addEventListener('change', this.handleMotionChange);
+        } else if (this.reducedMotion.addListener) {
+            this.reducedMotion.addListener(this.handleMotionChange);
+        }
+        
+        if (this.options.autoStart) {
+            this.start();
+        }
+    }
+    
+    setupAccessibility() {
+        this.element.setAttribute('aria-hidden', 'true');
+        
+        this.liveRegion = document.createElement('span');
+        this.liveRegion.className = 'sr-only';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.element.insertAdjacentElement('afterend', this.liveRegion);
+        this.updateLiveRegion();
+    }
+    
+    updateLiveRegion() {
+        if (this.liveRegion) {
+            this.liveRegion.textContent = this.items.map(item => item.text).join(', ');
+        }
+    }
+    
+    // Swap the phrases (e.g. after a language change) and start again from the first one
+    setTexts(texts) {
+        if (!texts || !texts.length) return;
+        
+        this.items = texts.map(entry => {
+            const item = typeof entry === 'string' ? { text: entry } : entry;
+            return {
+                text: item.text,
+                graphemes: splitGraphemes(item.text),
+                typeSpeed: item.typeSpeed !== undefined ? item.typeSpeed : this.options.typeSpeed,
+                deleteSpeed: item.deleteSpeed !== undefined ? item.deleteSpeed : this.options.deleteSpeed,
+                pauseTime: item.pauseTime !== undefined ? item.pauseTime : this.options.pauseTime
+            };
+        });
+        
+        this.reset();
+        this.updateLiveRegion();
+        
+        if (this.state === 'running' || this.state === 'finished') {
+            this.state = 'idle';
+            this.start();
+        }
+    }
+    
+    reset() {
+        this.sequence = this.options.shuffle ? this.shuffle(this.items) : this.items.slice();
+        this.textIndex = 0;
+        this.charIndex = 0;
+        this.pass = 0;
+        this.isDeleting = false;
+    }
+    
+    shuffle(items) {
+        const shuffled = items.slice();
+        
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        
+        // Don't repeat the phrase that just finished when a new pass starts
+        if (this.sequence && shuffled.length > 1 && shuffled[0] === this.sequence[this.sequence.length - 1]) {
+            shuffled.push(shuffled.shift());
+        }
+        
+        return shuffled;
+    }
+    
+    // Starts, or resumes after pause(), from the current position
+    start() {
+        if (!this.element || this.state === 'finished') return;
+        
+        clearTimeout(this.timer);
+        this.pausedByVisibility = false;
+        this.pausedByMotion = false;
+        
+        if (this.reducedMotion.matches) {
+            // No animation: show one complete phrase
+            this.state = 'paused';
+            this.pausedByMotion = true;
+            this.render(this.sequence[this.textIndex].graphemes.length);
+            return;
+        }
+        
+        this.state = 'running';
+        this.type();
+    }
+    
+    pause() {
+        if (this.state !== 'running') return;
+        
+        clearTimeout(this.timer);
+        this.state = 'paused';
+    }
+    
+    // Halts and clears the text; start() begins again from the first phrase
+    stop() {
+        clearTimeout(this.timer);
+        this.state = 'stopped';
+        this.pausedByVisibility = false;
+        this.pausedByMotion = false;
+        this.reset();
+        this.render(0);
+    }
+    
+    destroy() {
+        this.stop();
+        this.state = 'destroyed';
+        
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        if (this.reducedMotion.removeEventListener) {
+            this.reducedMotion.removeEventListener('change', this.handleMotionChange);
+        } else if (this.reducedMotion.removeListener) {
+            this.reducedMotion.removeListener(this.handleMotionChange);
+        }
+        
+        if (this.liveRegion) {
+            this.liveRegion.remove();
+            this.liveRegion = null;
+        }
+        if (this.element) {
+            this.element.removeAttribute('aria-hidden');
+        }
+    }
+    
+    render(length) {
+        const item = this.sequence[this.textIndex];
+        this.charIndex = length;
+        this.element.textContent = item.graphemes.slice(0, length).join('');
+    }
+    
+    isLastStep() {
+        return this.textIndex === this.sequence.length - 1 && this.pass + 1 >= this.options.loop;
+    }
+    
+    advance() {
+        this.textIndex++;
+        
+        if (this.textIndex >= this.sequence.length) {
+            this.textIndex = 0;
+            this.pass++;
+            
+            if (this.options.shuffle) {
+                this.sequence = this.shuffle(this.items);
+            }
+        }
+    }
+    
+    type() {
+        const item = this.sequence[this.textIndex];
+        
+        this.render(this.isDeleting ? this.charIndex - 1 : Math.min(this.charIndex + 1, item.graphemes.length));
+        
+        let delay = this.isDeleting ? item.deleteSpeed : item.typeSpeed;
+        
+        if (!this.isDeleting && this.charIndex === item.graphemes.length) {
+            if (this.isLastStep()) {
+                this.state = 'finished';
+                return;
+            }
+            
+            // Pause at end of text
+            delay = item.pauseTime;
+            this.isDeleting = true;
+        } else if (this.isDeleting && this.charIndex === 0) {
+            this.isDeleting = false;
+            this.advance();
+        }
+        
+        this.timer = setTimeout(() => this.type(), delay);
+    }
+}
+
+// ===== SCROLL SCHEDULER =====
+// One passive scroll/resize listener for the whole page. Per animation frame every subscriber's
+// read() runs first, then every write(), so layout is never read after a style change.
+class ScrollScheduler {
+    constructor() {
+        this.subscribers = new Set();
+        this.pendingEvents = new Set();
+        this.frame = null;
+        this.handleEvent = (e) => this.schedule(e.type);
+    }
+    
+    // subscriber: { read(metrics), write(readResult, metrics), events: ['scroll', 'resize'] }
+    // Returns a function that unsubscribes.
+    subscribe(subscriber) {
+        const entry = Object.assign({ events: ['scroll', 'resize'] }, subscriber);
+        
+        if (!this.subscribers.size) {
+            window.addEventListener('scroll', this.handleEvent, { passive: true });
+            window.addEventListener('resize', this.handleEvent, { passive: true });
+        }
+        
+        this.subscribers.add(entry);
+        return () => this.unsubscribe(entry);
+    }
+    
+    unsubscribe(entry) {
+        this.subscribers.delete(entry);
+        
+        if (!this.subscribers.size) {
+            window.removeEventListener('scroll', this.handleEvent);
+            window.removeEventListener('resize', this.handleEvent);
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
+    
+    // Queue a frame; 'init' runs every subscriber regardless of its events
+    schedule(type = 'init') {
+        this.pendingEvents.add(type);
+        
+        if (this.frame === null) {
+            this.frame = requestAnimationFrame(() => this.flush());
+        }
+    }
+    
+    flush() {
+        const events = this.pendingEvents;
+        this.pendingEvents = new Set();
+        this.frame = null;
+        
+        const metrics = {
+            scrollY: window.pageYOffset || document.documentElement.scrollTop,
+            viewportWidth: window.innerWidth,
+            viewportHeight: window.innerHeight
+        };
+        
+        const due = Array.from(this.subscribers)
+            .filter(entry => events.has('init') || entry.events.some(type => events.has(type)));
+        
+        const reads = due.map(entry => (entry.read ? entry.read(metrics) : undefined));
+        
+        due.forEach((entry, index) => {
+            if (entry.write) entry.write(reads[index], metrics);
+        });
+    }
+}
+
+// ===== ROUTING =====
+class Router {
+    constructor(scheduler) {
+        this.scheduler = scheduler;
+        this.baseTitle = document.title;
+        this.currentSection = null;
+        this.isProgrammaticScroll = false;
+        this.settleTimer = null;
+        this.init();
+    }
+    
+    init() {
+        // We restore positions ourselves so the navbar offset is always applied
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+        
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        // Any in-page link to a section goes through the router
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+            if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            
+            const href = link.getAttribute('href');
+            const sectionId = this.getSectionId(href);
+            if (sectionId) {
+                e.preventDefault();
+                this.navigate(sectionId);
+            } else if (href.length > 1 && !isDetailHash(href) && document.getElementById(href.slice(1))) {
+                // Targets inside a section, such as #contact-form, still have to clear the navbar
+                e.preventDefault();
+                this.beginProgrammaticScroll();
+                smoothScrollTo(href);
+            }
+        });
+        
+        window.addEventListener('popstate', (e) => this.handlePopState(e));
+        
+        // I18n resets document.title to the translated base title
+        document.addEventListener('localechange', () => {
+            this.baseTitle = document.title;
+            this.updateTitle(this.currentSection);
+        });
+        
+        // Detect the end of a programmatic scroll so scroll-spy updates resume
+        this.scheduler.subscribe({
+            events: ['scroll'],
+            write: debounce(() => {
+                if (this.isProgrammaticScroll) {
+                    this.finishProgrammaticScroll();
+                }
+            }, 150)
+        });
+    }
+    
+    getSectionId(hash) {
+        if (!hash || hash === '#' || isDetailHash(hash)) return null;
+        
+        const id = hash.replace(/^#/, '');
+        const element = document.getElementById(id);
+        return element && element.matches('section[id]:not([hidden])') ? id : null;
+    }
+    
+    // Called once content is rendered so a deep link such as #experience lands below the navbar
+    handleInitialLocation() {
+        const sectionId = this.getSectionId(window.location.hash);
+        
+        window.history.replaceState({ section: sectionId }, '', window.location.href);
+        
+        if (sectionId) {
+            this.scrollToSection(sectionId, 'instant');
+            this.currentSection = sectionId;
+            this.updateTitle(sectionId);
+        }
+    }
+    
+    navigate(sectionId) {
+        // Remember where we were so Back returns to the exact position
+        window.history.replaceState(
+            Object.assign({}, window.history.state, { scrollY: window.pageYOffset }),
+            '',
+            window.location.href
+        );
+        
+        if (this.currentSection !== sectionId || window.location.hash !== `#${sectionId}`) {
+            window.history.pushState({ section: sectionId }, '', `#${sectionId}`);
+        }
+        
+        this.currentSection = sectionId;
+        this.updateTitle(sectionId);
+        this.scrollToSection(sectionId, 'smooth');
+    }
+    
+    handlePopState(e) {
+        // Project dialogs and blog posts react to the hash themselves
+        if (isDetailHash(window.location.hash)) return;
+        
+        const state = e.state || {};
+        const sectionId = this.getSectionId(window.location.hash);
+        
+        this.beginProgrammaticScroll();
+        
+        if (typeof state.scrollY === 'number') {
+            window.scrollTo({ top: state.scrollY, behavior: 'instant' });
+        } else if (sectionId) {
+            smoothScrollTo(`#${sectionId}`, 'instant');
+        } else {
+            window.scrollTo({ top: 0, behavior: 'instant' });
+        }
+        
+        this.currentSection = sectionId;
+        this.updateTitle(sectionId);
+    }
+    
+    scrollToSection(sectionId, behavior) {
+        this.beginProgrammaticScroll();
+        smoothScrollTo(`#${sectionId}`, behavior);
+    }
+    
+    beginProgrammaticScroll() {
+        this.isProgrammaticScroll = true;
+        
+        // Fallback for when the target is already in place and no scroll event fires
+        clearTimeout(this.settleTimer);
+        this.settleTimer = setTimeout(() => this.finishProgrammaticScroll(), 1000);
+    }
+    
+    finishProgrammaticScroll() {
+        clearTimeout(this.settleTimer);
+        this.isProgrammaticScroll = false;
+    }
+    
+    // Scroll-spy updates replace the current entry instead of flooding the history
+    setActiveSection(sectionId) {
+        if (!sectionId || this.isProgrammaticScroll || sectionId === this.currentSection) return;
+        if (isDetailHash(window.location.hash)) return;
+        
+        const firstSection = document.querySelector('section[id]');
+        const isTop = firstSection && firstSection.id === sectionId;
+        
+        // Keep a bare URL at the top of the page unless a hash is already in use
+        if (!(isTop && !window.location.hash)) {
+            window.history.replaceState({ section: sectionId }, '', `#${sectionId}`);
+        }
+        
+        this.currentSection = sectionId;
+        this.updateTitle(sectionId);
+    }
+    
+    updateTitle(sectionId) {
+        const firstSection = document.querySelector('section[id]');
+        
+        if (!sectionId || (firstSection && firstSection.id === sectionId)) {
+            document.title = this.baseTitle;
+            return;
+        }
+        
+        const navLink = document.querySelector(`.nav-link[href="#${sectionId}"]`);
+        const heading = document.querySelector(`#${sectionId} .section-title`);
+        const label = (navLink || heading) ? (navLink || heading).textContent.trim() : sectionId;
+        const name = this.baseTitle.split('|')[0].trim();
+        
+        document.title = `${label} | ${name}`;
+    }
+}
+
+// ===== NAVIGATION FUNCTIONALITY =====
+
+// Reports which section sits directly under the fixed navbar. The observer watches a
+// one-pixel line just below the navbar and is rebuilt when the navbar or viewport resizes.
+class ScrollSpy {
+    constructor(sections, scheduler, onChange) {
+        this.sections = Array.from(sections);
+        this.scheduler = scheduler;
+        this.onChange = onChange;
+        this.observer = null;
+        this.intersecting = new Set();
+        this.lineOffset = null;
+        this.viewportHeight = null;
+        this.init();
+    }
+    
+    init() {
+        if (!this.sections.length) return;
+        
+        this.unsubscribe = this.scheduler.subscribe({
+            events: 'IntersectionObserver' in window ? ['resize'] : ['scroll', 'resize'],
+            read: (metrics) => ({
+                offset: getHeaderOffset(),
+                viewportHeight: metrics.viewportHeight,
+                fallbackSection: 'IntersectionObserver' in window ? null : this.findSectionByRect()
+            }),
+            write: ({ offset, viewportHeight, fallbackSection }) => {
+                if (fallbackSection) {
+                    this.onChange(fallbackSection);
+                } else if (offset !== this.lineOffset || viewportHeight !== this.viewportHeight) {
+                    this.observe(offset, viewportHeight);
+                }
+            }
+        });
+        this.scheduler.schedule();
+    }
+    
+    observe(offset, viewportHeight) {
+        this.lineOffset = offset;
+        this.viewportHeight = viewportHeight;
+        this.intersecting.clear();
+        
+        if (this.observer) this.observer.disconnect();
+        
+        const bottom = Math.max(viewportHeight - offset - 1, 0);
+        this.observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.intersecting.add(entry.target);
+                } else {
+                    this.intersecting.delete(entry.target);
+                }
+            });
+            
+            // Sections don't overlap, but take the last in document order just in case
+            const active = this.sections.filter(section => this.intersecting.has(section)).pop();
+            if (active) this.onChange(active.id);
+        }, { rootMargin: `-${offset}px 0px -${bottom}px 0px` });
+        
+        this.sections.forEach(section => this.observer.observe(section));
+    }
+    
+    // Used when IntersectionObserver is unavailable
+    findSectionByRect() {
+        const line = getHeaderOffset();
+        const section = this.sections.find(candidate => {
+            const rect = candidate.getBoundingClientRect();
+            return rect.top <= line && rect.bottom > line;
+        });
+        return section ? section.id : null;
+    }
+    
+    destroy() {
+        if (this.observer) this.observer.disconnect();
+        if (this.unsubscribe) this.unsubscribe();
+    }
+}
+
+class Navigation {
+    constructor(scheduler) {
+        this.scheduler = scheduler;
+        this.currentSection = null;
+        this.sectionListeners = [];
+        this.init();
+    }
+    
+    init() {
+        this.setupEventListeners();
+        this.setupActiveNavigation();
+    }
+    
+    setupEventListeners() {
+        if (!navToggle || !navMenu) return;
+        
+        this.isMenuOpen = false;
+        this.mobileQuery = window.matchMedia(CONFIG.navigation.mobileQuery);
+        this.updateToggle();
+        
+        // Mobile menu toggle, a disclosure button for #nav-menu
+        navToggle.addEventListener('click', () => this.setMenuOpen(!this.isMenuOpen));
+        
+        // Close mobile menu when clicking on a link; Router handles the navigation itself
+        navLinks.forEach(link => {
+            link.addEventListener('click', () => this.setMenuOpen(false, { returnFocus: false }));
+        });
+        
+        // Close mobile menu when clicking outside
+        document.addEventListener('click', (e) => {
+            if (this.isMenuOpen && !navMenu.contains(e.target) && !navToggle.contains(e.target)) {
+                this.setMenuOpen(false, { returnFocus: false });
+            }
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (!this.isMenuOpen) return;
+            
+            // Nested popups such as the theme menu handle their own Escape first
+            if (e.key === 'Escape' && !e.defaultPrevented) {
+                e.preventDefault();
+                this.setMenuOpen(false);
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        });
+        
+        // The menu is only a disclosure on small screens
+        const onBreakpointChange = () => {
+            if (!this.mobileQuery.matches) {
+                this.setMenuOpen(false, { returnFocus: false });
+            }
+        };
+        
+        if (this.mobileQuery.addEventListener) {
+            this.mobileQuery.addEventListener('change', onBreakpointChange);
+        } else if (this.mobileQuery.addListener) {
+            this.mobileQuery.addListener(onBreakpointChange);
+        }
+        
+        document.addEventListener('localechange', () => this.updateToggle());
+    }
+    
+    setMenuOpen(open, { returnFocus = true } = {}) {
+        if (open === this.isMenuOpen) return;
+        
+        this.isMenuOpen = open;
+        navMenu.classList.toggle('active', open);
+        navToggle.classList.toggle('active', open);
+        
+        // Prevent body scroll when menu is open
+        document.body.classList.toggle('nav-open', open);
+        this.updateToggle();
+        
+        if (open) {
+            const firstLink = navMenu.querySelector('.nav-link');
+            if (firstLink) firstLink.focus();
+        } else if (returnFocus) {
+            navToggle.focus();
+        }
+    }
+    
+    updateToggle() {
+        navToggle.setAttribute('aria-expanded', this.isMenuOpen);
+        navToggle.setAttribute('aria-label', t(this.isMenuOpen ? 'nav.closeMenu' : 'nav.openMenu'));
+    }
+    
+    // Keep Tab inside the open menu and its toggle
+    trapFocus(e) {
+        const focusable = getFocusableElements(navMenu).concat(navToggle);
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        } else if (!focusable.includes(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    setupActiveNavigation() {
+        this.scrollSpy = new ScrollSpy(
+            document.querySelectorAll('section[id]:not([hidden])'),
+            this.scheduler,
+            sectionId => this.setActiveSection(sectionId)
+        );
+    }
+    
+    setActiveSection(sectionId) {
+        if (sectionId === this.currentSection) return;
+        
+        navLinks.forEach(link => {
+            link.classList.toggle('active', link.getAttribute('href') === `#${sectionId}`);
+        });
+        
+        this.currentSection = sectionId;
+        this.sectionListeners.forEach(listener => listener(sectionId));
+    }
+    
+    // Register a callback for when the section under the navbar changes
+    onSectionChange(listener) {
+        this.sectionListeners.push(listener);
+    }
+}
+
+// ===== SCROLL EFFECTS =====
+class ScrollEffects {
+    constructor(scheduler) {
+        this.scheduler = scheduler;
+        this.hero = document.querySelector('.hero');
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.init();
+    }
+    
+    init() {
+        this.setupScrollEffects();
+        this.setupScrollToTop();
+    }
+    
+    setupScrollEffects() {
+        // Everything needed comes from the scheduler's metrics, so this subscriber only writes
+        this.scheduler.subscribe({
+            write: (data, { scrollY, viewportHeight }) => {
+                // Navbar effects
+                if (navbar) {
+                    navbar.classList.toggle('scrolled', scrollY > CONFIG.scroll.navbarScrollThreshold);
+                }
+                
+                // Scroll to top button
+                if (scrollTopBtn) {
+                    scrollTopBtn.classList.toggle('visible', scrollY > CONFIG.scroll.scrollTopThreshold);
+                }
+                
+                // Parallax effect for hero section
+                if (this.hero && this.reducedMotion.matches) {
+                    this.hero.style.transform = '';
+                } else if (this.hero && scrollY < viewportHeight) {
+                    const parallaxSpeed = 0.5;
+                    this.hero.style.transform = `translateY(${scrollY * parallaxSpeed}px)`;
+                }
+            }
+        });
+        
+        const onMotionChange = () => this.scheduler.schedule();
+        if (this.reducedMotion.addEventListener) {
+            this.reducedMotion.addEventListener('change', onMotionChange);
+        } else if (this.reducedMotion.addListener) {
+            this.reducedMotion.addListener(onMotionChange);
+        }
+        
+        this.scheduler.schedule(); // Initial call
+    }
+    
+    setupScrollToTop() {
+        if (scrollTopBtn) {
+            scrollTopBtn.addEventListener('click', () => {
+                window.scrollTo({
+                    top: 0,
+                    behavior: 'smooth'
+                });
+            });
+        }
+    }
+}
+
+// ===== THEME TOGGLE =====
+
+// Built-in themes. Palettes live in styles.css under [data-theme="<name>"]; 'system' follows the OS.
+// labelKey names the translation; label is used as-is by themes registered without one.
+const THEMES = {
+    system: { label: 'System', labelKey: 'theme.system', icon: 'fas fa-desktop' },
+    dark: { label: 'Dark', labelKey: 'theme.dark', icon: 'fas fa-moon', themeColor: '#0a0a0a' },
+    light: { label: 'Light', labelKey: 'theme.light', icon: 'fas fa-sun', themeColor: '#ffffff' },
+    'high-contrast': { label: 'High contrast', labelKey: 'theme.highContrast', icon: 'fas fa-adjust', themeColor: '#000000' }
+};
+
+class ThemeManager {
+    constructor() {
+        this.themes = Object.assign({}, THEMES);
+        this.systemQuery = window.matchMedia('(prefers-color-scheme: light)');
+        this.currentTheme = 'system';
+        try {
+            this.currentTheme = localStorage.getItem('theme') || 'system';
+        } catch (error) {
+            // Storage blocked, e.g. by privacy settings; follow the system theme
+        }
+        // A stored theme that isn't registered yet; applied if registerTheme() adds it later
+        this.pendingTheme = null;
+        this.picker = themeToggle ? themeToggle.closest('.theme-picker') : null;
+        this.menu = document.getElementById('theme-menu');
+        this.init();
+    }
+    
+    init() {
+        // Show the system theme meanwhile, but leave the stored choice alone
+        if (!this.themes[this.currentTheme]) {
+            this.pendingTheme = this.currentTheme;
+            this.currentTheme = 'system';
+        }
+        
+        this.renderMenu();
+        this.applyTheme();
+        this.setupEventListeners();
+        this.registerCommands();
+    }
+    
+    // Adds a named palette, e.g. registerTheme('solarized', { label, icon, themeColor, palette: { '--bg-color': '#002b36' } })
+    registerTheme(name, definition) {
+        this.themes[name] = definition;
+        
+        if (definition.palette) {
+            const style = document.createElement('style');
+            const declarations = Object.keys(definition.palette)
+                .map(property => `${property}: ${definition.palette[property]};`)
+                .join(' ');
+            
+            style.dataset.themePalette = name;
+            style.textContent = `[data-theme="${name}"] { ${declarations} }`;
+            document.head.appendChild(style);
+        }
+        
+        this.renderMenu();
+        this.updateControls();
+        this.registerCommands();
+        
+        if (name === this.pendingTheme) {
+            this.setTheme(name);
+        }
+    }
+    
+    registerCommands() {
+        commandRegistry.register({
+            id: 'theme.toggle',
+            group: 'actions',
+            icon: 'fas fa-adjust',
+            title: () => t('commands.toggleTheme'),
+            keywords: ['dark', 'light', 'mode'],
+            run: () => this.toggleTheme()
+        });
+        
+        Object.keys(this.themes).forEach(name => {
+            commandRegistry.register({
+                id: `theme.${name}`,
+                group: 'actions',
+                icon: this.themes[name].icon || 'fas fa-palette',
+                title: () => t('commands.setTheme', { theme: this.getLabel(name) }),
+                run: () => this.setTheme(name)
+            });
+        });
+    }
+    
+    setupEventListeners() {
+        if (themeToggle && this.menu) {
+            themeToggle.addEventListener('click', () => {
+                this.setMenuOpen(this.menu.hidden);
+            });
+            
+            this.menu.addEventListener('click', (e) => {
+                const option = e.target.closest('[data-theme-option]');
+                if (option) {
+                    this.setTheme(option.dataset.themeOption);
+                    this.setMenuOpen(false);
+                    themeToggle.focus();
+                }
+            });
+            
+            this.picker.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && !this.menu.hidden) {
+                    e.stopPropagation();
+                    this.setMenuOpen(false);
+                    themeToggle.focus();
+                }
+            });
+            
+            document.addEventListener('click', (e) => {
+                if (!this.picker.contains(e.target)) {
+                    this.setMenuOpen(false);
+                }
+            });
+        } else if (themeToggle) {
+            themeToggle.addEventListener('click', () => {
+                this.toggleTheme();
+            });
+        }
+        
+        // Follow the OS while in system mode
+        const onSystemChange = () => {
+            if (this.currentTheme === 'system') {
+                this.applyTheme();
+            }
+        };
+        
+        if (this.systemQuery.addEventListener) {
+            this.systemQuery.addEventListener('change', onSystemChange);
+        } else if (this.systemQuery.addListener) {
+            this.systemQuery.addListener(onSystemChange);
+        }
+        
+        document.addEventListener('localechange', () => {
+            this.renderMenu();
+            this.updateControls();
+        });
+    }
+    
+    getLabel(name) {
+        const theme = this.themes[name] || {};
+        return theme.labelKey ? t(theme.labelKey) : theme.label || name;
+    }
+    
+    renderMenu() {
+        if (!this.menu) return;
+        
+        this.menu.innerHTML = Object.keys(this.themes).map(name => `
+            <button type="button" class="theme-option" data-theme-option="${escapeHTML(name)}" aria-pressed="false">
+                <i class="${escapeHTML(this.themes[name].icon || 'fas fa-palette')}" aria-hidden="true"></i>
+                <span>${escapeHTML(this.getLabel(name))}</span>
+            </button>`).join('');
+    }
+    
+    setMenuOpen(open) {
+        if (!this.menu) return;
+        
+        this.menu.hidden = !open;
+        themeToggle.setAttribute('aria-expanded', open);
+        
+        if (open) {
+            const selected = this.menu.querySelector('[aria-pressed="true"]');
+            if (selected) selected.focus();
+        }
+    }
+    
+    // The palette actually shown, with 'system' resolved against prefers-color-scheme
+    getResolvedTheme() {
+        if (this.currentTheme === 'system') {
+            return this.systemQuery.matches ? 'light' : 'dark';
+        }
+        return this.currentTheme;
+    }
+    
+    setTheme(theme) {
+        if (!this.themes[theme]) {
+            console.warn(`Unknown theme "${theme}"`);
+            return;
+        }
+        
+        // The switch still happens when the choice can't be remembered
+        try {
+            localStorage.setItem('theme', theme);
+        } catch (error) {
+            console.warn('Could not store the theme choice:', error);
+        }
+        
+        this.currentTheme = theme;
+        this.pendingTheme = null;
+        this.applyTheme();
+    }
+    
+    applyTheme() {
+        const resolved = this.getResolvedTheme();
+        const definition = this.themes[resolved] || {};
+        
+        document.documentElement.setAttribute('data-theme', resolved);
+        
+        // Match the browser UI (mobile address bar, PWA title bar) to the page
+        const metaThemeColor = document.querySelector('meta[name="theme-color"]');
+        if (metaThemeColor && definition.themeColor) {
+            metaThemeColor.setAttribute('content', definition.themeColor);
+        }
+        
+        this.updateControls();
+    }
+    
+    updateControls() {
+        const choice = this.themes[this.currentTheme] || {};
+        const resolved = this.getResolvedTheme();
+        
+        if (themeToggle) {
+            const icon = themeToggle.querySelector('i');
+            if (icon) {
+                icon.className = choice.icon || 'fas fa-palette';
+            }
+            
+            const label = this.currentTheme === 'system'
+                ? t('theme.currentSystem', { theme: this.getLabel(resolved).toLocaleLowerCase(i18n.locale) })
+                : t('theme.current', { theme: this.getLabel(this.currentTheme) });
+            themeToggle.setAttribute('aria-label', label);
+            themeToggle.setAttribute('title', label);
+        }
+        
+        if (this.menu) {
+            this.menu.querySelectorAll('[data-theme-option]').forEach(option => {
+                option.setAttribute('aria-pressed', option.dataset.themeOption === this.currentTheme);
+            });
+        }
+    }
+    
+    toggleTheme() {
+        const newTheme = this.getResolvedTheme() === 'dark' ? 'light' : 'dark';
+        this.setTheme(newTheme);
+    }
+}
+
+// ===== REVEAL ON SCROLL =====
+
+// Starting frames for the data-aos names we support; each animates to its natural position
+const REVEAL_ANIMATIONS = {
+    fade: {},
+    'fade-up': { transform: 'translate3d(0, 100px, 0)' },
+    'fade-down': { transform: 'translate3d(0, -100px, 0)' },
+    'fade-left': { transform: 'translate3d(100px, 0, 0)' },
+    'fade-right': { transform: 'translate3d(-100px, 0, 0)' },
+    'zoom-in': { transform: 'scale(0.6)' }
+};
+
+class RevealManager {
+    constructor(options = CONFIG.reveal) {
+        this.options = options;
+        this.observer = null;
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.init();
+    }
+    
+    init() {
+        // Elements are only hidden once the engine is running, so without it everything stays visible
+        if (!('IntersectionObserver' in window) || this.reducedMotion.matches) return;
+        
+        this.observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.reveal(entry.target);
+                } else if (!this.isOnce(entry.target)) {
+                    entry.target.classList.remove('revealed');
+                }
+            });
+        }, {
+            threshold: this.options.threshold,
+            rootMargin: this.options.rootMargin
+        });
+        
+        document.documentElement.classList.add('reveal-enabled');
+        this.observe();
+        
+        const onMotionChange = () => {
+            if (this.reducedMotion.matches) this.disable();
+        };
+        
+        if (this.reducedMotion.addEventListener) {
+            this.reducedMotion.addEventListener('change', onMotionChange);
+        } else if (this.reducedMotion.addListener) {
+            this.reducedMotion.addListener(onMotionChange);
+        }
+    }
+    
+    // Call again after rendering new [data-aos] elements
+    observe(root = document) {
+        if (!this.observer) return;
+        
+        root.querySelectorAll('[data-aos]').forEach(element => {
+            if (!element.classList.contains('revealed')) {
+                this.observer.observe(element);
+            }
+        });
+    }
+    
+    isOnce(element) {
+        return element.dataset.aosOnce ? element.dataset.aosOnce !== 'false' : this.options.once;
+    }
+    
+    reveal(element) {
+        if (element.classList.contains('revealed')) return;
+        
+        element.classList.add('revealed');
+        
+        if (this.isOnce(element)) {
+            this.observer.unobserve(element);
+        }
+        
+        if (typeof element.animate !== 'function') return;
+        
+        const start = REVEAL_ANIMATIONS[element.dataset.aos] || REVEAL_ANIMATIONS.fade;
+        const from = Object.assign({ opacity: 0 }, start);
+        const to = start.transform ? { opacity: 1, transform: 'none' } : { opacity: 1 };
+        
+        // fill: 'backwards' holds the starting frame during data-aos-delay
+        element.animate([from, to], {
+            duration: parseInt(element.dataset.aosDuration, 10) || this.options.duration,
+            delay: parseInt(element.dataset.aosDelay, 10) || 0,
+            easing: this.options.easing,
+            fill: 'backwards'
+        });
+    }
+    
+    // Show everything immediately, e.g. when the visitor switches on reduced motion
+    disable() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        
+        document.querySelectorAll('[data-aos]').forEach(element => {
+            if (typeof element.getAnimations === 'function') {
+                element.getAnimations().forEach(animation => animation.finish());
+            }
+        });
+        document.documentElement.classList.remove('reveal-enabled');
+    }
+}
+
+// ===== STAT COUNTERS =====
+
+// Progress (0-1) -> eased progress; picked with data-count-easing
+const COUNTER_EASINGS = {
+    linear: (progress) => progress,
+    easeOutCubic: (progress) => 1 - Math.pow(1 - progress, 3),
+    easeInOutCubic: (progress) => progress < 0.5 ? 4 * Math.pow(progress, 3) : 1 - Math.pow(-2 * progress + 2, 3) / 2,
+    easeOutExpo: (progress) => progress === 1 ? 1 : 1 - Math.pow(2, -10 * progress)
+};
+
+// "20+" -> { prefix: '', value: 20, suffix: '+', decimals: 0 }; "$1.2M" -> { prefix: '$', value: 1.2, suffix: 'M', decimals: 1 }
+// The markup is written in English, so "," only ever groups thousands
+function parseCounterText(text) {
+    const match = /^(\D*?)(\d[\d,]*(?:\.\d+)?)(.*)$/s.exec((text || '').trim());
+    if (!match) return null;
+    
+    const number = match[2].replace(/,/g, '');
+    return {
+        prefix: match[1],
+        value: Number(number),
+        suffix: match[3],
+        decimals: number.includes('.') ? number.split('.')[1].length : 0
+    };
+}
+
+// Counts up to a stat when started. Settings come from data-count-to, -from, -prefix, -suffix,
+// -decimals, -notation ("standard" or "compact"), -duration (ms) and -easing; anything missing is
+// read from the element's own text, so <div class="stat-number">80%</div> works as it is.
+class StatCounter {
+    constructor(element, options = CONFIG.counter) {
+        this.element = element;
+        this.options = options;
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.settings = this.readSettings();
+        this.value = null;
+        this.frame = null;
+        this.finished = false;
+        this.init();
+    }
+    
+    readSettings() {
+        const data = this.element.dataset;
+        const parsed = parseCounterText(this.element.textContent) || { prefix: '', suffix: '', decimals: 0 };
+        const read = (name, fallback) => data[name] !== undefined ? data[name] : fallback;
+        const to = Number(read('countTo', parsed.value));
+        const easing = read('countEasing', this.options.easing);
+        
+        if (!COUNTER_EASINGS[easing]) {
+            console.warn(`Unknown counter easing "${easing}"`);
+        }
+        
+        return {
+            to,
+            from: Number(read('countFrom', 0)),
+            prefix: read('countPrefix', parsed.prefix),
+            suffix: read('countSuffix', parsed.suffix),
+            decimals: Number(read('countDecimals', parsed.decimals)),
+            notation: read('countNotation', 'standard'),
+            duration: Number(read('countDuration', this.options.duration)),
+            easing: COUNTER_EASINGS[easing] || COUNTER_EASINGS[this.options.easing]
+        };
+    }
+    
+    isValid() {
+        return Number.isFinite(this.settings.to) && Number.isFinite(this.settings.from);
+    }
+    
+    init() {
+        if (!this.isValid()) {
+            console.warn('Stat counter has no number to count to:', this.element);
+            return;
+        }
+        
+        // Screen readers get the final value straight away; the animated digits are hidden from them
+        this.element.innerHTML = '<span class="stat-value" aria-hidden="true"></span><span class="sr-only"></span>';
+        this.visual = this.element.querySelector('.stat-value');
+        this.label = this.element.querySelector('.sr-only');
+        this.value = this.reducedMotion.matches ? this.settings.to : this.settings.from;
+        this.render();
+    }
+    
+    format(value) {
+        const { prefix, suffix, decimals, notation } = this.settings;
+        const number = i18n.formatNumber(value, {
+            notation,
+            // Compact values like "1.2M" drop trailing zeros instead of counting up as "0.0K"
+            minimumFractionDigits: notation === 'compact' ? 0 : decimals,
+            maximumFractionDigits: decimals
+        });
+        return `${prefix}${number}${suffix}`;
+    }
+    
+    render() {
+        if (!this.visual) return;
+        
+        this.visual.textContent = this.format(this.value);
+        this.label.textContent = this.format(this.settings.to);
+    }
+    
+    // Time-based, so the count takes the same time whatever the frame rate
+    start() {
+        if (!this.visual || this.frame || this.finished) return;
+        
+        const { from, to, duration, easing } = this.settings;
+        if (duration <= 0 || this.reducedMotion.matches) {
+            this.finish();
+            return;
+        }
+        
+        const startTime = performance.now();
+        const step = (now) => {
+            const progress = Math.min(1, Math.max(0, (now - startTime) / duration));
+            
+            if (progress < 1) {
+                this.value = from + (to - from) * easing(progress);
+                this.render();
+                this.frame = requestAnimationFrame(step);
+            } else {
+                this.finish();
+            }
+        };
+        
+        this.frame = requestAnimationFrame(step);
+    }
+    
+    finish() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.finished = true;
+        this.value = this.settings.to;
+        this.render();
+    }
+}
+
+// ===== ANIMATIONS AND INTERACTIONS =====
+class AnimationManager {
+    constructor() {
+        this.init();
+    }
+    
+    init() {
+        this.setupCounterAnimations();
+        this.setupSkillHoverEffects();
+        this.setupProjectCardEffects();
+        this.setupFormAnimations();
+    }
+    
+    setupCounterAnimations() {
+        const counters = new Map();
+        document.querySelectorAll('.stat-number, [data-count-to]').forEach(element => {
+            const counter = new StatCounter(element);
+            if (counter.isValid()) {
+                counters.set(element, counter);
+            }
+        });
+        
+        if (!('IntersectionObserver' in window)) {
+            counters.forEach(counter => counter.finish());
+            return;
+        }
+        
+        // Intersection Observer for counter animation
+        const counterObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    counterObserver.unobserve(entry.target);
+                    counters.get(entry.target).start();
+                }
+            });
+        }, { threshold: CONFIG.counter.threshold });
+        
+        counters.forEach((counter, element) => {
+            counterObserver.observe(element);
+        });
+        
+        document.addEventListener('localechange', () => {
+            counters.forEach(counter => counter.render());
+        });
+    }
+    
+    setupSkillHoverEffects() {
+        const skillItems = document.querySelectorAll('.skill-item');
+        
+        skillItems.forEach(item => {
+            item.addEventListener('mouseenter', () => {
+                item.style.transform = 'scale(1.05) translateY(-2px)';
+            });
+            
+            item.addEventListener('mouseleave', () => {
+                item.style.transform = 'scale(1) translateY(0)';
+            });
+        });
+    }
+    
+    setupProjectCardEffects() {
+        const projectCards = document.querySelectorAll('.project-card');
+        
+        projectCards.forEach(card => {
+            card.addEventListener('mouseenter', () => {
                 card.style.transform = 'translateY(-10px) scale(1.02)';
             });
             
-            card.addEventListener('mouseleave', () => {
-                card.style.transform = 'translateY(0) scale(1)';
+            card.addEventListener('mouseleave', () => {
+                card.style.transform = 'translateY(0) scale(1)';
+            });
+        });
+    }
+    
+    // Drop any hover transform a card kept because it was hidden before mouseleave fired
+    resetProjectCard(card) {
+        card.style.transform = '';
+    }
+    
+    setupFormAnimations() {
+        // Add floating label effect for any form inputs
+        const formInputs = document.querySelectorAll('input, textarea');
+        
+        formInputs.forEach(input => {
+            input.addEventListener('focus', () => {
+                input.parentElement.classList.add('focused');
+            });
+            
+            input.addEventListener('blur', () => {
+                if (!input.value) {
+                    input.parentElement.classList.remove('focused');
+                }
+            });
+        });
+    }
+}
+
+// ===== EXPERIENCE TIMELINE =====
+
+// Months since year 0, so ranges can be compared and merged with plain arithmetic
+function toMonthIndex(date) {
+    const [year, month] = date.split('-').map(Number);
+    return year * 12 + (month ? month - 1 : 0);
+}
+
+// Merges overlapping [start, end) month ranges and returns how many months they cover
+function countMonths(ranges) {
+    let total = 0;
+    let covered = -Infinity;
+    
+    ranges.slice().sort((a, b) => a.start - b.start).forEach(range => {
+        const start = Math.max(range.start, covered);
+        if (range.end > start) {
+            total += range.end - start;
+            covered = range.end;
+        }
+    });
+    
+    return total;
+}
+
+class TimelineManager {
+    constructor(options = CONFIG.timeline) {
+        this.options = options;
+        this.timeline = document.querySelector('.timeline');
+        this.roles = [];
+        this.activeSkill = null;
+        this.init();
+    }
+    
+    init() {
+        if (!this.timeline) return;
+        
+        const now = new Date();
+        const currentMonth = now.getFullYear() * 12 + now.getMonth();
+        // "Mar 2019 - Jun 2021" includes June, while a year-only end counts up to the start
+        // of that year so "2022 - 2024" reads as two years; a single year is one year
+        const toRange = (startDate, endDate) => {
+            const start = toMonthIndex(startDate);
+            const end = !endDate ? currentMonth + 1 : toMonthIndex(endDate) + (endDate.includes('-') ? 1 : 0);
+            return { start, end: Math.max(end, start + (endDate && !endDate.includes('-') ? 12 : 1)) };
+        };
+        
+        this.roles = Array.from(this.timeline.querySelectorAll('.timeline-item')).map((item, index) => {
+            const dateElement = item.querySelector('.timeline-date');
+            const { startDate, endDate } = parseDateRange(dateElement ? dateElement.textContent : '');
+            const role = {
+                item,
+                dateElement,
+                startDate,
+                endDate,
+                skills: Array.from(item.querySelectorAll('.timeline-skills span')).map(chip => chip.textContent.trim())
+            };
+            
+            if (startDate) {
+                role.range = Object.assign(toRange(startDate, endDate), {
+                    // Dates without a month are only shown to the year
+                    precise: startDate.includes('-') && (!endDate || endDate.includes('-'))
+                });
+                item.dataset.start = startDate;
+                if (endDate) item.dataset.end = endDate;
+            }
+            
+            this.setupDescription(item, index);
+            this.setupSkillChips(item);
+            return role;
+        });
+        
+        this.statusElement = document.createElement('p');
+        this.statusElement.className = 'timeline-status';
+        this.statusElement.setAttribute('role', 'status');
+        this.statusElement.setAttribute('aria-live', 'polite');
+        this.timeline.parentNode.insertBefore(this.statusElement, this.timeline);
+        
+        this.updateStats();
+        this.render();
+        this.registerCommands();
+        
+        // Dialogs such as the command palette handle their own Escape first
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.activeSkill && !e.defaultPrevented) {
+                e.preventDefault();
+                this.highlightSkill(null);
+            }
+        });
+        document.addEventListener('localechange', () => this.render());
+    }
+    
+    registerCommands() {
+        this.roles.forEach((role, index) => {
+            const title = role.item.querySelector('.timeline-title');
+            const company = role.item.querySelector('.timeline-company');
+            role.item.id = role.item.id || `role-${index + 1}`;
+            
+            commandRegistry.register({
+                id: `role.${role.item.id}`,
+                group: 'experience',
+                icon: 'fas fa-briefcase',
+                title: () => t('commands.role', {
+                    title: title ? title.textContent.trim() : '',
+                    company: company ? company.textContent.trim() : ''
+                }),
+                keywords: role.skills,
+                run: () => smoothScrollTo(`#${role.item.id}`)
+            });
+        });
+        
+        this.getStats().skills.forEach(skill => {
+            commandRegistry.register({
+                id: `skill.${skill.name.toLowerCase()}`,
+                group: 'skills',
+                icon: 'fas fa-highlighter',
+                title: () => t('commands.highlightSkill', { skill: skill.name }),
+                run: () => {
+                    this.highlightSkill(skill.name);
+                    smoothScrollTo('#experience');
+                }
+            });
+        });
+    }
+    
+    // Long descriptions start clamped to a few lines with a toggle to read the rest
+    setupDescription(item, index) {
+        const description = item.querySelector('.timeline-description');
+        if (!description || description.textContent.trim().length <= this.options.collapseLength) return;
+        
+        description.id = description.id || `timeline-description-${index + 1}`;
+        description.classList.add('collapsed');
+        
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'timeline-toggle';
+        toggle.setAttribute('aria-controls', description.id);
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.addEventListener('click', () => {
+            const expanded = !description.classList.toggle('collapsed');
+            toggle.setAttribute('aria-expanded', String(expanded));
+            this.renderToggle(toggle);
+        });
+        
+        description.parentNode.insertBefore(toggle, description.nextSibling);
+    }
+    
+    // The rendered chips are plain spans; they become toggle buttons once this manager can act on them
+    setupSkillChips(item) {
+        item.querySelectorAll('.timeline-skills span').forEach(span => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'timeline-skill';
+            chip.dataset.skill = span.textContent.trim();
+            chip.textContent = chip.dataset.skill;
+            chip.setAttribute('aria-pressed', 'false');
+            chip.addEventListener('click', () => {
+                this.highlightSkill(this.isSameSkill(chip.dataset.skill, this.activeSkill) ? null : chip.dataset.skill);
+            });
+            span.replaceWith(chip);
+        });
+    }
+    
+    isSameSkill(a, b) {
+        return !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+    }
+    
+    // Years of experience overall and per skill, counting overlapping roles once
+    getStats() {
+        const dated = this.roles.filter(role => role.range);
+        const skills = new Map();
+        
+        dated.forEach(role => {
+            role.skills.forEach(skill => {
+                const key = skill.toLowerCase();
+                if (!skills.has(key)) {
+                    skills.set(key, { name: skill, ranges: [] });
+                }
+                skills.get(key).ranges.push(role.range);
+            });
+        });
+        
+        return {
+            months: countMonths(dated.map(role => role.range)),
+            skills: Array.from(skills.values()).map(skill => ({
+                name: skill.name,
+                months: countMonths(skill.ranges),
+                precise: skill.ranges.every(range => range.precise)
+            }))
+        };
+    }
+    
+    // Stat counters marked data-stat="years" follow the timeline instead of a hand-typed number.
+    // Runs before AnimationManager, which counts up to data-count-to.
+    updateStats() {
+        const years = Math.floor(this.getStats().months / 12);
+        if (!years) return;
+        
+        document.querySelectorAll('.stat-number[data-stat="years"]').forEach(counter => {
+            counter.dataset.countTo = years;
+            counter.textContent = counter.textContent.replace(/\d[\d,]*/, years);
+        });
+    }
+    
+    // "2 years" for year-only dates; "1 year 9 months" when both ends have a month
+    formatDuration(months, precise) {
+        const unit = (value, name) => i18n.formatNumber(value, { style: 'unit', unit: name, unitDisplay: 'long' });
+        const years = Math.floor(months / 12);
+        const rest = months % 12;
+        
+        if (!precise) return unit(Math.max(1, Math.round(months / 12)), 'year');
+        if (!years) return unit(Math.max(1, rest), 'month');
+        return rest ? `${unit(years, 'year')} ${unit(rest, 'month')}` : unit(years, 'year');
+    }
+    
+    render() {
+        this.roles.forEach(role => {
+            if (!role.range || !role.dateElement) return;
+            
+            let duration = role.dateElement.querySelector('.timeline-duration');
+            if (!duration) {
+                duration = document.createElement('span');
+                duration.className = 'timeline-duration';
+                role.dateElement.appendChild(duration);
+            }
+            duration.textContent = this.formatDuration(role.range.end - role.range.start, role.range.precise);
+        });
+        
+        const skills = this.getStats().skills;
+        this.timeline.querySelectorAll('.timeline-skill').forEach(chip => {
+            const skill = skills.find(entry => this.isSameSkill(entry.name, chip.dataset.skill));
+            if (skill && skill.months) {
+                chip.title = t('timeline.skillYears', { duration: this.formatDuration(skill.months, skill.precise) });
+            }
+        });
+        
+        this.timeline.querySelectorAll('.timeline-toggle').forEach(toggle => this.renderToggle(toggle));
+        this.updateStatus();
+    }
+    
+    renderToggle(toggle) {
+        toggle.textContent = t(toggle.getAttribute('aria-expanded') === 'true' ? 'timeline.showLess' : 'timeline.showMore');
+    }
+    
+    // Highlights every role and project card that uses the skill; null clears the highlight
+    highlightSkill(skill) {
+        this.activeSkill = skill;
+        const grid = document.querySelector('.projects-grid');
+        
+        this.timeline.classList.toggle('highlighting', !!skill);
+        this.roles.forEach(role => {
+            role.item.classList.toggle('highlighted', role.skills.some(entry => this.isSameSkill(entry, skill)));
+        });
+        this.timeline.querySelectorAll('.timeline-skill').forEach(chip => {
+            chip.setAttribute('aria-pressed', String(this.isSameSkill(chip.dataset.skill, skill)));
+        });
+        
+        if (grid) {
+            grid.classList.toggle('highlighting', !!skill);
+            grid.querySelectorAll('.project-card').forEach(card => {
+                const tags = Array.from(card.querySelectorAll('.tech-tag'));
+                card.classList.toggle('highlighted', tags.some(tag => this.isSameSkill(tag.textContent, skill)));
+            });
+        }
+        
+        this.updateStatus();
+    }
+    
+    updateStatus() {
+        if (!this.activeSkill) {
+            this.statusElement.textContent = '';
+            return;
+        }
+        
+        this.statusElement.textContent = t('timeline.highlightStatus', {
+            skill: this.activeSkill,
+            roles: i18n.formatNumber(this.timeline.querySelectorAll('.timeline-item.highlighted').length),
+            projects: i18n.formatNumber(document.querySelectorAll('.projects-grid .project-card.highlighted').length)
+        });
+    }
+}
+
+// ===== PROJECT FILTERING =====
+class ProjectFilter {
+    constructor(animationManager) {
+        this.animationManager = animationManager;
+        this.grid = document.querySelector('.projects-grid');
+        this.cards = this.grid ? Array.from(this.grid.querySelectorAll('.project-card')) : [];
+        this.selectedTags = new Set();
+        this.matchMode = 'any';
+        this.query = '';
+        this.init();
+    }
+    
+    init() {
+        if (!this.grid || !this.cards.length) return;
+        
+        this.readStateFromURL();
+        this.buildFilterBar();
+        this.applyFilters({ animate: false });
+    }
+    
+    getCardTags(card) {
+        return Array.from(card.querySelectorAll('.tech-tag')).map(tag => tag.textContent.trim());
+    }
+    
+    getAllTags() {
+        const tags = new Set();
+        this.cards.forEach(card => this.getCardTags(card).forEach(tag => tags.add(tag)));
+        return Array.from(tags).sort((a, b) => a.localeCompare(b));
+    }
+    
+    readStateFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        const knownTags = this.getAllTags();
+        
+        (params.get('tags') || '').split(',').forEach(tag => {
+            if (knownTags.includes(tag)) {
+                this.selectedTags.add(tag);
+            }
+        });
+        this.matchMode = params.get('match') === 'all' ? 'all' : 'any';
+        this.query = params.get('q') || '';
+    }
+    
+    writeStateToURL() {
+        const url = new URL(window.location.href);
+        const params = url.searchParams;
+        
+        if (this.selectedTags.size) {
+            params.set('tags', Array.from(this.selectedTags).join(','));
+        } else {
+            params.delete('tags');
+        }
+        
+        if (this.matchMode === 'all') {
+            params.set('match', 'all');
+        } else {
+            params.delete('match');
+        }
+        
+        if (this.query.trim()) {
+            params.set('q', this.query.trim());
+        } else {
+            params.delete('q');
+        }
+        
+        window.history.replaceState(window.history.state, '', url.pathname + url.search + url.hash);
+    }
+    
+    buildFilterBar() {
+        const tagButtons = this.getAllTags().map(tag => `
+                <button type="button" class="filter-tag" data-tag="${escapeHTML(tag)}" aria-pressed="${this.selectedTags.has(tag)}">${escapeHTML(tag)}</button>`).join('');
+        
+        this.filterBar = document.createElement('div');
+        this.filterBar.className = 'project-filters';
+        this.filterBar.setAttribute('role', 'search');
+        this.filterBar.innerHTML = `
+            <div class="filter-controls">
+                <label class="sr-only" for="project-search" data-i18n="projects.searchLabel">${escapeHTML(t('projects.searchLabel'))}</label>
+                <input type="search" id="project-search" class="filter-search" placeholder="${escapeHTML(t('projects.searchPlaceholder'))}" data-i18n-attr="placeholder:projects.searchPlaceholder" autocomplete="off">
+                <div class="filter-mode" role="group" aria-label="${escapeHTML(t('projects.matchLabel'))}" data-i18n-attr="aria-label:projects.matchLabel">
+                    <button type="button" class="filter-mode-btn" data-mode="any" aria-pressed="${this.matchMode === 'any'}" data-i18n="projects.matchAny">${escapeHTML(t('projects.matchAny'))}</button>
+                    <button type="button" class="filter-mode-btn" data-mode="all" aria-pressed="${this.matchMode === 'all'}" data-i18n="projects.matchAll">${escapeHTML(t('projects.matchAll'))}</button>
+                </div>
+                <button type="button" class="filter-clear" data-i18n="projects.clear">${escapeHTML(t('projects.clear'))}</button>
+            </div>
+            <div class="filter-tags" role="group" aria-label="${escapeHTML(t('projects.tagsLabel'))}" data-i18n-attr="aria-label:projects.tagsLabel">${tagButtons}
+            </div>
+            <p class="filter-status" aria-live="polite"></p>
+        `;
+        
+        this.searchInput = this.filterBar.querySelector('.filter-search');
+        this.searchInput.value = this.query;
+        this.statusElement = this.filterBar.querySelector('.filter-status');
+        
+        this.grid.parentNode.insertBefore(this.filterBar, this.grid);
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        this.filterBar.querySelectorAll('.filter-tag').forEach(button => {
+            button.addEventListener('click', () => {
+                const tag = button.dataset.tag;
+                
+                if (this.selectedTags.has(tag)) {
+                    this.selectedTags.delete(tag);
+                } else {
+                    this.selectedTags.add(tag);
+                }
+                
+                button.setAttribute('aria-pressed', this.selectedTags.has(tag));
+                this.update();
+            });
+        });
+        
+        this.filterBar.querySelectorAll('.filter-mode-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.matchMode = button.dataset.mode;
+                this.filterBar.querySelectorAll('.filter-mode-btn').forEach(other => {
+                    other.setAttribute('aria-pressed', other === button);
+                });
+                this.update();
+            });
+        });
+        
+        this.searchInput.addEventListener('input', debounce(() => {
+            this.query = this.searchInput.value;
+            this.update();
+        }, CONFIG.animation.debounceDelay));
+        
+        this.filterBar.querySelector('.filter-clear').addEventListener('click', () => this.clear());
+        
+        document.addEventListener('localechange', () => this.updateStatus());
+    }
+    
+    update() {
+        this.writeStateToURL();
+        this.applyFilters();
+    }
+    
+    clear() {
+        this.selectedTags.clear();
+        this.query = '';
+        this.searchInput.value = '';
+        this.filterBar.querySelectorAll('.filter-tag').forEach(button => {
+            button.setAttribute('aria-pressed', 'false');
+        });
+        this.update();
+    }
+    
+    matches(card) {
+        const cardTags = this.getCardTags(card);
+        const selected = Array.from(this.selectedTags);
+        
+        const tagMatch = !selected.length || (this.matchMode === 'all'
+            ? selected.every(tag => cardTags.includes(tag))
+            : selected.some(tag => cardTags.includes(tag)));
+        
+        const query = this.query.trim().toLowerCase();
+        const text = ['.project-title', '.project-description']
+            .map(selector => {
+                const element = card.querySelector(selector);
+                return element ? element.textContent : '';
+            })
+            .join(' ')
+            .toLowerCase();
+        
+        return tagMatch && (!query || text.includes(query));
+    }
+    
+    applyFilters({ animate = true } = {}) {
+        this.visibleCount = 0;
+        
+        this.cards.forEach(card => {
+            const visible = this.matches(card);
+            if (visible) this.visibleCount++;
+            
+            if (visible === !card.hidden) return;
+            
+            if (visible) {
+                this.showCard(card, animate);
+            } else {
+                this.hideCard(card, animate);
+            }
+        });
+        
+        this.updateStatus();
+    }
+    
+    updateStatus() {
+        const count = i18n.formatNumber(this.visibleCount);
+        
+        this.statusElement.textContent = this.visibleCount === this.cards.length
+            ? t('projects.statusAll', { count })
+            : t('projects.statusSome', { count, total: i18n.formatNumber(this.cards.length) });
+    }
+    
+    canAnimate(card, animate) {
+        return animate &&
+            typeof card.animate === 'function' &&
+            !window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+    
+    showCard(card, animate) {
+        card.hidden = false;
+        if (this.animationManager) {
+            this.animationManager.resetProjectCard(card);
+        }
+        
+        if (this.canAnimate(card, animate)) {
+            card.animate([
+                { opacity: 0, transform: 'scale(0.95)' },
+                { opacity: 1, transform: 'scale(1)' }
+            ], { duration: 300, easing: 'ease-out' });
+        }
+    }
+    
+    hideCard(card, animate) {
+        const finish = () => {
+            // A later filter change may have brought the card back mid-animation
+            if (!this.matches(card)) {
+                card.hidden = true;
+            }
+            if (this.animationManager) {
+                this.animationManager.resetProjectCard(card);
+            }
+        };
+        
+        if (!this.canAnimate(card, animate)) {
+            finish();
+            return;
+        }
+        
+        const animation = card.animate([
+            { opacity: 1, transform: 'scale(1)' },
+            { opacity: 0, transform: 'scale(0.95)' }
+        ], { duration: 200, easing: 'ease-in', fill: 'forwards' });
+        
+        animation.finished.then(() => {
+            finish();
+            animation.cancel();
+        }, finish);
+    }
+}
+
+// ===== PROJECT DETAILS =====
+class ProjectDetailManager {
+    constructor(projects = []) {
+        this.projects = new Map(projects.map(project => [project.id, project]));
+        this.modal = null;
+        this.activeProjectId = null;
+        this.returnFocusTo = null;
+        this.init();
+    }
+    
+    init() {
+        if (!this.projects.size) return;
+        
+        this.buildModal();
+        this.setupEventListeners();
+        this.registerCommands();
+        
+        // Deep link such as #projects/kendi
+        this.handleHashChange();
+    }
+    
+    registerCommands() {
+        this.projects.forEach(project => {
+            commandRegistry.register({
+                id: `project.${project.id}`,
+                group: 'projects',
+                icon: 'fas fa-folder-open',
+                title: project.title,
+                keywords: project.tags,
+                // The hash opens the dialog, as clicking the card's details link does
+                run: () => {
+                    window.location.hash = `projects/${project.id}`;
+                }
+            });
+        });
+    }
+    
+    buildModal() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'project-modal';
+        this.modal.hidden = true;
+        this.modal.innerHTML = `
+            <div class="project-modal-backdrop" data-modal-close></div>
+            <div class="project-modal-dialog" role="dialog" aria-modal="true" aria-labelledby="project-modal-title" tabindex="-1">
+                <button type="button" class="project-modal-close" aria-label="${escapeHTML(t('projects.close'))}" data-i18n-attr="aria-label:projects.close" data-modal-close>
+                    <i class="fas fa-times"></i>
+                </button>
+                <div class="project-modal-body"></div>
+            </div>
+        `;
+        
+        this.dialog = this.modal.querySelector('.project-modal-dialog');
+        this.body = this.modal.querySelector('.project-modal-body');
+        document.body.appendChild(this.modal);
+    }
+    
+    setupEventListeners() {
+        // Remember which card asked for the dialog so focus can go back to it
+        document.querySelectorAll('.project-card').forEach(card => {
+            card.querySelectorAll('a[href^="#projects/"]').forEach(link => {
+                link.addEventListener('click', () => {
+                    this.returnFocusTo = link;
+                });
+            });
+        });
+        
+        window.addEventListener('hashchange', () => this.handleHashChange());
+        
+        // Re-render an open case study so its headings follow the new language
+        document.addEventListener('localechange', () => {
+            if (this.activeProjectId) {
+                this.body.innerHTML = this.renderCaseStudy(this.projects.get(this.activeProjectId));
+            }
+        });
+        
+        this.modal.querySelectorAll('[data-modal-close]').forEach(element => {
+            element.addEventListener('click', () => this.close());
+        });
+        
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        });
+    }
+    
+    handleHashChange() {
+        const projectId = getProjectIdFromHash(window.location.hash);
+        
+        if (projectId && this.projects.has(projectId)) {
+            this.open(projectId);
+        } else if (this.activeProjectId) {
+            this.close({ updateHash: false });
+        } else if (projectId) {
+            console.warn(`Unknown project in URL: ${projectId}`);
+        }
+    }
+    
+    open(projectId) {
+        const project = this.projects.get(projectId);
+        
+        if (this.activeProjectId === projectId) return;
+        
+        if (!this.activeProjectId && !this.returnFocusTo) {
+            this.returnFocusTo = this.getDetailsLink(projectId) || document.activeElement;
+        }
+        
+        this.activeProjectId = projectId;
+        this.body.innerHTML = this.renderCaseStudy(project);
+        this.modal.hidden = false;
+        document.body.classList.add('modal-open');
+        this.dialog.scrollTop = 0;
+        this.dialog.focus();
+    }
+    
+    close({ updateHash = true } = {}) {
+        if (!this.activeProjectId) return;
+        
+        this.activeProjectId = null;
+        this.modal.hidden = true;
+        document.body.classList.remove('modal-open');
+        
+        if (updateHash && getProjectIdFromHash(window.location.hash)) {
+            window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}#projects`);
+        }
+        
+        if (this.returnFocusTo && typeof this.returnFocusTo.focus === 'function') {
+            this.returnFocusTo.focus();
+        }
+        this.returnFocusTo = null;
+    }
+    
+    getDetailsLink(projectId) {
+        return document.querySelector(`.project-card[data-project-id="${projectId}"] a[href="#projects/${projectId}"]`);
+    }
+    
+    trapFocus(e) {
+        const focusable = getFocusableElements(this.dialog);
+        if (!focusable.length) {
+            e.preventDefault();
+            return;
+        }
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === this.dialog)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    renderCaseStudy(project) {
+        const caseStudy = project.caseStudy || {};
+        const gallery = caseStudy.gallery || [{ src: project.image, alt: project.imageAlt || project.title }];
+        const links = (caseStudy.links || []).slice();
+        
+        if (project.links && project.links.source && project.links.source !== '#') {
+            links.push({ label: t('projects.sourceCode'), url: project.links.source });
+        }
+        
+        const tags = project.tags.map(tag => `<span class="tech-tag">${escapeHTML(tag)}</span>`).join('');
+        
+        const galleryMarkup = gallery.map(image => `
+                <figure class="case-study-figure">
+                    ${imageManifest.render(image.src, { alt: image.alt, sizes: CONFIG.images.sizes.gallery, lazy: false })}
+                    ${image.caption ? `<figcaption>${escapeHTML(image.caption)}</figcaption>` : ''}
+                </figure>`).join('');
+        
+        const metricsMarkup = (caseStudy.metrics || []).map(metric => `
+                    <div class="case-study-metric">
+                        <dt>${escapeHTML(metric.label)}</dt>
+                        <dd>${escapeHTML(metric.value)}</dd>
+                    </div>`).join('');
+        
+        const architectureMarkup = (caseStudy.architecture || []).map(note => `<li>${escapeHTML(note)}</li>`).join('');
+        
+        const linksMarkup = links.map(link => `
+                    <a href="${escapeHTML(link.url)}" class="btn btn-secondary" target="_blank" rel="noopener">
+                        <i class="fas fa-external-link-alt"></i> ${escapeHTML(link.label)}
+                    </a>`).join('');
+        
+        return `
+            <header class="case-study-header">
+                <h2 class="case-study-title" id="project-modal-title">${escapeHTML(project.title)}</h2>
+                <div class="project-tech">${tags}</div>
+            </header>
+            <div class="case-study-gallery">${galleryMarkup}
+            </div>
+            <section class="case-study-section">
+                <h3>${escapeHTML(t('projects.overview'))}</h3>
+                <p>${escapeHTML(caseStudy.overview || project.description)}</p>
+            </section>
+            ${metricsMarkup ? `
+            <section class="case-study-section">
+                <h3>${escapeHTML(t('projects.impact'))}</h3>
+                <dl class="case-study-metrics">${metricsMarkup}
+                </dl>
+            </section>` : ''}
+            ${architectureMarkup ? `
+            <section class="case-study-section">
+                <h3>${escapeHTML(t('projects.architecture'))}</h3>
+                <ul class="case-study-architecture">${architectureMarkup}</ul>
+            </section>` : ''}
+            ${linksMarkup ? `
+            <div class="case-study-links">${linksMarkup}
+            </div>` : ''}
+        `;
+    }
+}
+
+// ===== PERFORMANCE OPTIMIZATIONS =====
+class PerformanceManager {
+    constructor() {
+        this.init();
+    }
+    
+    init() {
+        this.setupImageFallbacks();
+        this.setupLazyLoading();
+        this.optimizeAnimations();
+    }
+    
+    setupLazyLoading() {
+        const images = document.querySelectorAll('img[data-src]');
+        
+        if (!('IntersectionObserver' in window)) {
+            images.forEach(img => this.loadImage(img));
+            return;
+        }
+        
+        const imageObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const img = entry.target;
+                    this.loadImage(img);
+                    imageObserver.unobserve(img);
+                }
+            });
+        }, { rootMargin: CONFIG.images.rootMargin });
+        
+        images.forEach(img => imageObserver.observe(img));
+    }
+    
+    // Swaps the data-* URLs in; <picture> sources go first so the browser picks a variant, not the original
+    loadImage(img) {
+        const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+        
+        if (picture) {
+            picture.querySelectorAll('source[data-srcset]').forEach(source => {
+                source.srcset = source.dataset.srcset;
+                source.removeAttribute('data-srcset');
+            });
+        }
+        
+        // The placeholder stays blurred until the full image is ready, then fades to it
+        img.addEventListener('load', () => img.classList.add('loaded'), { once: true });
+        
+        if (img.dataset.sizes) {
+            img.sizes = img.dataset.sizes;
+            img.removeAttribute('data-sizes');
+        }
+        if (img.dataset.srcset) {
+            img.srcset = img.dataset.srcset;
+            img.removeAttribute('data-srcset');
+        }
+        img.src = img.dataset.src;
+        img.removeAttribute('data-src');
+    }
+    
+    // Missing files show a generated image instead of a broken-image icon
+    setupImageFallbacks() {
+        // Load errors don't bubble, so listen while capturing
+        document.addEventListener('error', (event) => {
+            if (event.target.tagName === 'IMG') {
+                this.showFallbackImage(event.target);
+            }
+        }, true);
+        
+        // Images in the HTML may have failed before this listener existed
+        Array.from(document.images).forEach(img => {
+            if (img.complete && img.naturalWidth === 0 && img.getAttribute('src') && !img.dataset.src) {
+                this.showFallbackImage(img);
+            }
+        });
+    }
+    
+    showFallbackImage(img) {
+        if (img.dataset.fallback) return;
+        
+        const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+        if (picture) {
+            picture.querySelectorAll('source').forEach(source => source.remove());
+        }
+        
+        img.dataset.fallback = 'true';
+        img.removeAttribute('srcset');
+        img.src = createFallbackImage(img.alt, Number(img.getAttribute('width')) || 640, Number(img.getAttribute('height')) || 400);
+        img.classList.add('loaded');
+    }
+    
+    optimizeAnimations() {
+        // Reduce animations for users who prefer reduced motion
+        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            document.documentElement.style.setProperty('--transition-fast', '0.01ms');
+            document.documentElement.style.setProperty('--transition-normal', '0.01ms');
+            document.documentElement.style.setProperty('--transition-slow', '0.01ms');
+        }
+    }
+}
+
+// ===== ANALYTICS =====
+
+// Every event the site can send and the parameters it requires
+const ANALYTICS_EVENTS = {
+    page_view: ['path'],
+    section_view: ['section'],
+    project_click: ['project', 'action'],
+    outbound_click: ['url', 'label'],
+    contact_click: ['method'],
+    contact_submit: ['adapter', 'status'],
+    file_download: ['file_name', 'format']
+};
+
+// Providers receive batches of { name, params, timestamp } events once consent is granted
+const ANALYTICS_PROVIDERS = {
+    // Logs batches instead of sending them; the default while developing
+    console: () => ({
+        send(events) {
+            events.forEach(event => console.log(`[analytics] ${event.name}`, event.params));
+        }
+    }),
+    
+    ga4: (options) => ({
+        load() {
+            if (!options.measurementId) {
+                throw new Error('GA4 provider requires CONFIG.analytics.ga4.measurementId');
+            }
+            
+            // gtag.js is only requested after the visitor has opted in
+            window.dataLayer = window.dataLayer || [];
+            window.gtag = window.gtag || function() {
+                window.dataLayer.push(arguments);
+            };
+            // Also lifts an earlier revoke() when the visitor opts in again
+            window.gtag('consent', 'update', { analytics_storage: 'granted' });
+            window.gtag('js', new Date());
+            window.gtag('config', options.measurementId, { send_page_view: false });
+            
+            if (document.getElementById('gtag-script')) return;
+            
+            const script = document.createElement('script');
+            script.id = 'gtag-script';
+            script.async = true;
+            script.src = `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(options.measurementId)}`;
+            document.head.appendChild(script);
+        },
+        send(events) {
+            events.forEach(event => window.gtag('event', event.name, event.params));
+        },
+        // gtag.js stays on the page once loaded, so tell it to stop storing and sending data
+        revoke() {
+            window.gtag('consent', 'update', { analytics_storage: 'denied' });
+        }
+    }),
+    
+    plausible: (options) => ({
+        send(events) {
+            events.forEach(event => {
+                fetch(`${options.apiHost}/api/event`, {
+                    method: 'POST',
+                    keepalive: true,
+                    headers: { 'Content-Type': 'text/plain' },
+                    body: JSON.stringify({
+                        name: event.name === 'page_view' ? 'pageview' : event.name,
+                        url: window.location.href,
+                        domain: options.domain,
+                        referrer: document.referrer || null,
+                        props: event.params
+                    })
+                }).catch(error => console.warn('Plausible event failed:', error));
+            });
+        }
+    }),
+    
+    // Self-hosted collector receiving the whole batch in one request
+    beacon: (options) => ({
+        load() {
+            if (!options.endpoint) {
+                throw new Error('Beacon provider requires CONFIG.analytics.beacon.endpoint');
+            }
+        },
+        send(events) {
+            const payload = JSON.stringify({ page: window.location.pathname, events });
+            
+            if (navigator.sendBeacon && navigator.sendBeacon(options.endpoint, payload)) {
+                return;
+            }
+            
+            fetch(options.endpoint, {
+                method: 'POST',
+                keepalive: true,
+                headers: { 'Content-Type': 'application/json' },
+                body: payload
+            }).catch(error => console.warn('Analytics beacon failed:', error));
+        }
+    })
+};
+
+class Analytics {
+    constructor(options = CONFIG.analytics) {
+        this.options = options;
+        this.queue = [];
+        this.flushTimer = null;
+        this.provider = null;
+        this.banner = null;
+        this.init();
+    }
+    
+    init() {
+        this.setupLinkTracking();
+        this.setupConsentControls();
+        
+        // Send what is queued before the page goes away
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+        window.addEventListener('pagehide', () => this.flush());
+        
+        if (!this.options.provider || this.hasPrivacySignal()) {
+            return;
+        }
+        
+        const consent = this.getConsent();
+        if (consent === 'granted') {
+            this.enable();
+        } else if (consent === null) {
+            this.showConsentBanner();
+        }
+    }
+    
+    // Do Not Track and Global Privacy Control always win over stored consent
+    hasPrivacySignal() {
+        const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+        return dnt === '1' || dnt === 'yes' || navigator.globalPrivacyControl === true;
+    }
+    
+    getConsent() {
+        let value = null;
+        try {
+            value = localStorage.getItem(this.options.consentKey);
+        } catch (error) {
+            // Storage blocked, e.g. by privacy settings; ask again, and collect nothing until answered
+        }
+        return value === 'granted' || value === 'denied' ? value : null;
+    }
+    
+    setConsent(value) {
+        // The choice still applies for this visit when it can't be remembered
+        try {
+            localStorage.setItem(this.options.consentKey, value);
+        } catch (error) {
+            console.warn('Could not store the analytics consent:', error);
+        }
+        
+        if (value === 'granted') {
+            this.enable();
+        } else {
+            this.disable();
+        }
+    }
+    
+    isEnabled() {
+        return this.provider !== null;
+    }
+    
+    enable() {
+        if (this.isEnabled() || this.hasPrivacySignal()) return;
+        
+        const createProvider = ANALYTICS_PROVIDERS[this.options.provider];
+        if (!createProvider) {
+            console.warn(`Unknown analytics provider "${this.options.provider}"`);
+            return;
+        }
+        
+        try {
+            const provider = createProvider(this.options[this.options.provider] || {});
+            if (provider.load) provider.load();
+            this.provider = provider;
+        } catch (error) {
+            console.error('Analytics provider failed to load:', error);
+            return;
+        }
+        
+        this.track('page_view', { path: window.location.pathname });
+    }
+    
+    disable() {
+        if (this.provider && this.provider.revoke) {
+            try {
+                this.provider.revoke();
+            } catch (error) {
+                console.error('Analytics provider failed to revoke consent:', error);
+            }
+        }
+        
+        this.provider = null;
+        this.queue = [];
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+    }
+    
+    track(name, params = {}) {
+        const required = ANALYTICS_EVENTS[name];
+        
+        if (!required) {
+            console.warn(`Ignoring unknown analytics event "${name}"`);
+            return;
+        }
+        
+        const missing = required.filter(key => params[key] === undefined || params[key] === null || params[key] === '');
+        if (missing.length) {
+            console.warn(`Ignoring analytics event "${name}" without ${missing.join(', ')}`);
+            return;
+        }
+        
+        // Nothing is recorded, not even in memory, until the visitor opts in
+        if (!this.isEnabled()) return;
+        
+        this.queue.push({ name, params, timestamp: Date.now() });
+        
+        if (this.queue.length >= this.options.batchSize) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
+        }
+    }
+    
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        
+        if (!this.queue.length || !this.isEnabled()) return;
+        
+        const events = this.queue;
+        this.queue = [];
+        
+        try {
+            this.provider.send(events);
+        } catch (error) {
+            console.error('Analytics provider failed to send events:', error);
+        }
+    }
+    
+    setupLinkTracking() {
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href]');
+            if (!link) return;
+            
+            const card = link.closest('.project-card');
+            if (card && link.classList.contains('project-link')) {
+                this.track('project_click', {
+                    project: card.dataset.projectId || card.querySelector('.project-title').textContent.trim(),
+                    action: link.getAttribute('href').startsWith('#projects/') ? 'details' : 'source'
+                });
+            }
+            
+            if (/^https?:/.test(link.protocol) && link.hostname !== window.location.hostname) {
+                this.track('outbound_click', {
+                    url: link.href,
+                    label: link.getAttribute('aria-label') || link.textContent.trim() || link.hostname
+                });
+            }
+        });
+    }
+    
+    setupConsentControls() {
+        document.querySelectorAll('[data-analytics-settings]').forEach(button => {
+            // Nothing to consent to without a provider
+            button.hidden = !this.options.provider;
+            button.addEventListener('click', () => this.showConsentBanner());
+        });
+    }
+    
+    showConsentBanner() {
+        if (this.banner) {
+            this.banner.hidden = false;
+            this.banner.querySelector('button').focus();
+            return;
+        }
+        
+        const privacySignal = this.hasPrivacySignal();
+        
+        this.banner = document.createElement('div');
+        this.banner.className = 'consent-banner';
+        this.banner.setAttribute('role', 'region');
+        this.banner.setAttribute('aria-label', t('consent.label'));
+        this.banner.dataset.i18nAttr = 'aria-label:consent.label';
+        this.banner.innerHTML = privacySignal ? `
+            <p data-i18n="consent.privacySignal">${escapeHTML(t('consent.privacySignal'))}</p>
+            <div class="consent-actions">
+                <button type="button" class="btn btn-secondary" data-consent="close" data-i18n="consent.close">${escapeHTML(t('consent.close'))}</button>
+            </div>
+        ` : `
+            <p data-i18n="consent.message">${escapeHTML(t('consent.message'))}</p>
+            <div class="consent-actions">
+                <button type="button" class="btn btn-primary" data-consent="granted" data-i18n="consent.allow">${escapeHTML(t('consent.allow'))}</button>
+                <button type="button" class="btn btn-secondary" data-consent="denied" data-i18n="consent.decline">${escapeHTML(t('consent.decline'))}</button>
+            </div>
+        `;
+        
+        this.banner.querySelectorAll('[data-consent]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (button.dataset.consent !== 'close') {
+                    this.setConsent(button.dataset.consent);
+                }
+                this.banner.hidden = true;
+            });
+        });
+        
+        document.body.appendChild(this.banner);
+    }
+}
+
+// ===== CONTACT FORM FUNCTIONALITY =====
+
+// Raised by submission adapters; retryable failures are queued for later delivery
+class ContactSubmissionError extends Error {
+    constructor(message, { retryable = false } = {}) {
+        super(message);
+        this.name = 'ContactSubmissionError';
+        this.retryable = retryable;
+    }
+}
+
+// Sends a fetch request and maps network/HTTP failures onto ContactSubmissionError
+async function sendContactRequest(endpoint, init) {
+    let response;
+    
+    try {
+        response = await fetch(endpoint, init);
+    } catch (error) {
+        // fetch only rejects when the request never reached the server
+        throw new ContactSubmissionError('Network unavailable', { retryable: true });
+    }
+    
+    if (!response.ok) {
+        throw new ContactSubmissionError(`Submission failed with status ${response.status}`, {
+            retryable: response.status >= 500
+        });
+    }
+}
+
+// Submission backends, selected with CONFIG.contact.adapter or the form's data-adapter attribute
+const CONTACT_ADAPTERS = {
+    // Generic JSON POST endpoint
+    json: {
+        requiresEndpoint: true,
+        send(submission, options) {
+            return sendContactRequest(options.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(submission)
+            });
+        }
+    },
+    
+    // Formspree-style endpoints accept regular form data and answer with JSON
+    formspree: {
+        requiresEndpoint: true,
+        send(submission, options) {
+            const formData = new FormData();
+            Object.keys(submission).forEach(key => formData.append(key, submission[key]));
+            formData.append('_subject', `Portfolio contact from ${submission.name}`);
+            formData.append('_replyto', submission.email);
+            
+            return sendContactRequest(options.endpoint, {
+                method: 'POST',
+                headers: { 'Accept': 'application/json' },
+                body: formData
+            });
+        }
+    },
+    
+    // Hands the message to the visitor's mail client
+    mailto: {
+        requiresEndpoint: false,
+        async send(submission, options) {
+            const subject = encodeURIComponent(`Portfolio contact from ${submission.name}`);
+            const body = encodeURIComponent(`${submission.message}\n\n${submission.name} <${submission.email}>`);
+            window.location.href = `mailto:${options.email}?subject=${subject}&body=${body}`;
+        }
+    }
+};
+
+const CONTACT_VALIDATORS = {
+    name: (value) => {
+        if (!value) return t('contact.nameRequired');
+        if (value.length < 2) return t('contact.nameTooShort');
+        return '';
+    },
+    email: (value) => {
+        if (!value) return t('contact.emailRequired');
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return t('contact.emailInvalid');
+        return '';
+    },
+    message: (value) => {
+        if (!value) return t('contact.messageRequired');
+        if (value.length < 10) return t('contact.messageTooShort');
+        if (value.length > 5000) return t('contact.messageTooLong');
+        return '';
+    }
+};
+
+class ContactManager {
+    constructor(analytics) {
+        this.analytics = analytics;
+        this.form = document.getElementById('contact-form');
+        this.renderedAt = Date.now();
+        this.isSubmitting = false;
+        this.isFlushing = false;
+        this.init();
+    }
+    
+    init() {
+        this.setupContactLinks();
+        this.setupDownloadTracking();
+        this.setupContactForm();
+    }
+    
+    setupContactLinks() {
+        // Add click tracking for contact links
+        const contactLinks = document.querySelectorAll('a[href^="mailto:"], a[href^="tel:"]');
+        
+        contactLinks.forEach(link => {
+            link.addEventListener('click', () => {
+                // Track contact interactions
+                const linkType = link.href.startsWith('mailto:') ? 'email' : 'phone';
+                this.analytics.track('contact_click', { method: linkType });
+            });
+        });
+    }
+    
+    setupDownloadTracking() {
+        // Track the static resume.pdf and the files ResumeBuilder generates
+        document.querySelectorAll('[data-resume-format]').forEach(control => {
+            control.addEventListener('click', () => {
+                const format = control.dataset.resumeFormat;
+                this.analytics.track('file_download', { file_name: `resume.${format}`, format });
+            });
+        });
+        
+        // Any other plain file download
+        document.querySelectorAll('a[download]:not([data-resume-format])').forEach(link => {
+            link.addEventListener('click', () => {
+                const fileName = link.getAttribute('download') || link.pathname.split('/').pop();
+                this.analytics.track('file_download', {
+                    file_name: fileName,
+                    format: fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : 'unknown'
+                });
+            });
+        });
+    }
+    
+    setupContactForm() {
+        if (!this.form) return;
+        
+        const dataset = this.form.dataset;
+        this.options = {
+            adapter: dataset.adapter || CONFIG.contact.adapter,
+            endpoint: dataset.endpoint || CONFIG.contact.endpoint,
+            email: dataset.email || CONFIG.contact.email
+        };
+        
+        // Without an endpoint the only adapter that can deliver is mailto
+        const adapter = CONTACT_ADAPTERS[this.options.adapter];
+        if (!adapter || (adapter.requiresEndpoint && !this.options.endpoint)) {
+            if (this.options.adapter !== 'mailto') {
+                console.warn(`Contact adapter "${this.options.adapter}" is not usable, falling back to mailto`);
+            }
+            this.options.adapter = 'mailto';
+        }
+        
+        this.submitButton = this.form.querySelector('[type="submit"]');
+        this.statusElement = this.form.querySelector('.form-status');
+        
+        Object.keys(CONTACT_VALIDATORS).forEach(name => {
+            const field = this.form.elements[name];
+            if (!field) return;
+            
+            field.addEventListener('blur', () => {
+                if (field.value) this.validateField(field);
+            });
+            
+            // Clear an error as soon as the visitor fixes it
+            field.addEventListener('input', () => {
+                if (field.getAttribute('aria-invalid') === 'true') this.validateField(field);
+            });
+        });
+        
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+        
+        window.addEventListener('online', () => this.flushQueue());
+        
+        // Errors already on screen switch language with the rest of the page
+        document.addEventListener('localechange', () => {
+            Object.keys(CONTACT_VALIDATORS).forEach(name => {
+                const field = this.form.elements[name];
+                if (field && field.getAttribute('aria-invalid') === 'true') this.validateField(field);
+            });
+        });
+        
+        this.flushQueue();
+    }
+    
+    validateField(field) {
+        const message = CONTACT_VALIDATORS[field.name](field.value.trim());
+        const errorElement = document.getElementById(`${field.id}-error`);
+        
+        field.setAttribute('aria-invalid', message ? 'true' : 'false');
+        if (errorElement) {
+            errorElement.textContent = message;
+        }
+        
+        return !message;
+    }
+    
+    validateForm() {
+        const invalidFields = Object.keys(CONTACT_VALIDATORS)
+            .map(name => this.form.elements[name])
+            .filter(field => field && !this.validateField(field));
+        
+        if (invalidFields.length) {
+            invalidFields[0].focus();
+        }
+        
+        return invalidFields.length === 0;
+    }
+    
+    isLikelySpam() {
+        const honeypot = this.form.elements.website;
+        const tooFast = Date.now() - this.renderedAt < CONFIG.contact.minSubmitTime;
+        return Boolean(honeypot && honeypot.value) || tooFast;
+    }
+    
+    getSubmission() {
+        return {
+            name: this.form.elements.name.value.trim(),
+            email: this.form.elements.email.value.trim(),
+            message: this.form.elements.message.value.trim(),
+            page: window.location.href,
+            submittedAt: new Date().toISOString()
+        };
+    }
+    
+    async handleSubmit() {
+        if (this.isSubmitting || !this.validateForm()) return;
+        
+        // Bots get the same success message so they learn nothing
+        if (this.isLikelySpam()) {
+            console.warn('Contact submission dropped by spam protection');
+            this.form.reset();
+            this.setState('success', t('contact.statusSuccess'));
+            return;
+        }
+        
+        const submission = this.getSubmission();
+        this.setState('loading', t('contact.statusSending'));
+        
+        try {
+            await this.send(submission, this.options);
+            this.analytics.track('contact_submit', { adapter: this.options.adapter, status: 'sent' });
+            this.form.reset();
+            this.setState('success', this.options.adapter === 'mailto'
+                ? t('contact.statusMailto')
+                : t('contact.statusSuccess'));
+        } catch (error) {
+            // Without storage for the queue the visitor keeps the message and gets the email address
+            const queued = error.retryable && this.enqueue(submission);
+            
+            this.analytics.track('contact_submit', {
+                adapter: this.options.adapter,
+                status: queued ? 'queued' : 'failed'
+            });
+            
+            if (queued) {
+                this.form.reset();
+                this.setState('queued', t('contact.statusQueued'));
+            } else {
+                console.error('Contact form submission failed:', error);
+                this.setState('error', t('contact.statusFailed', { email: this.options.email }));
+            }
+        }
+    }
+    
+    send(submission, options) {
+        if (!navigator.onLine && options.adapter !== 'mailto') {
+            return Promise.reject(new ContactSubmissionError('Browser is offline', { retryable: true }));
+        }
+        
+        return CONTACT_ADAPTERS[options.adapter].send(submission, options);
+    }
+    
+    setState(state, message) {
+        this.isSubmitting = state === 'loading';
+        this.form.dataset.state = state;
+        this.form.setAttribute('aria-busy', this.isSubmitting);
+        
+        if (this.submitButton) {
+            this.submitButton.disabled = this.isSubmitting;
+            const label = this.submitButton.querySelector('.btn-label');
+            if (label) {
+                label.textContent = this.isSubmitting ? t('contact.sending') : t('contact.send');
+            }
+        }
+        
+        if (this.statusElement) {
+            this.statusElement.textContent = message;
+        }
+    }
+    
+    readQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.contact.queueKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    // False when storage is blocked or full
+    writeQueue(queue) {
+        try {
+            if (queue.length) {
+                localStorage.setItem(CONFIG.contact.queueKey, JSON.stringify(queue));
+            } else {
+                localStorage.removeItem(CONFIG.contact.queueKey);
+            }
+            return true;
+        } catch (error) {
+            console.warn('Could not store the contact queue:', error);
+            return false;
+        }
+    }
+    
+    enqueue(submission) {
+        const queue = this.readQueue();
+        queue.push({ submission, options: this.options });
+        return this.writeQueue(queue);
+    }
+    
+    async flushQueue() {
+        // 'online' can fire while the startup flush is still sending
+        if (this.isFlushing) return;
+        
+        const queue = this.readQueue();
+        if (!queue.length || !navigator.onLine) return;
+        
+        this.isFlushing = true;
+        const settled = new Set();
+        
+        try {
+            for (const entry of queue) {
+                try {
+                    await this.send(entry.submission, entry.options);
+                    settled.add(JSON.stringify(entry));
+                } catch (error) {
+                    if (!error.retryable) {
+                        console.error('Dropping queued contact submission:', error);
+                        settled.add(JSON.stringify(entry));
+                    }
+                }
+            }
+        } finally {
+            this.isFlushing = false;
+        }
+        
+        // Re-read so submissions queued while sending are not overwritten
+        this.writeQueue(this.readQueue().filter(entry => !settled.has(JSON.stringify(entry))));
+        
+        if (settled.size && this.form) {
+            this.setState('success', t('contact.statusQueueSent'));
+        }
+    }
+}
+
+// ===== GITHUB FEED =====
+
+class GitHubFeedError extends Error {
+    constructor(message, { status = 0, resetAt = null } = {}) {
+        super(message);
+        this.name = 'GitHubFeedError';
+        this.status = status;
+        // Set when GitHub's rate limit was hit; Date the quota resets
+        this.resetAt = resetAt;
+    }
+    
+    get rateLimited() {
+        return this.resetAt !== null;
+    }
+}
+
+// Only the fields we render are kept, which keeps the localStorage cache and the snapshot small
+function normalizeRepo(repo) {
+    return {
+        name: repo.name,
+        description: repo.description || '',
+        url: repo.html_url,
+        language: repo.language || null,
+        stars: repo.stargazers_count || 0,
+        updatedAt: repo.pushed_at || repo.updated_at,
+        fork: !!repo.fork,
+        archived: !!repo.archived
+    };
+}
+
+const GITHUB_EVENT_TYPES = {
+    PushEvent: 'github.eventPush',
+    CreateEvent: 'github.eventCreate',
+    PullRequestEvent: 'github.eventPullRequest',
+    IssuesEvent: 'github.eventIssue',
+    ReleaseEvent: 'github.eventRelease',
+    ForkEvent: 'github.eventFork',
+    WatchEvent: 'github.eventStar'
+};
+
+// Returns null for event types the feed doesn't show
+function normalizeEvent(event) {
+    if (!GITHUB_EVENT_TYPES[event.type] || !event.repo) return null;
+    
+    return {
+        type: event.type,
+        repo: event.repo.name,
+        url: `https://github.com/${event.repo.name}`,
+        createdAt: event.created_at
+    };
+}
+
+class GitHubFeed {
+    constructor(projects = [], options = CONFIG.github) {
+        this.options = options;
+        this.projects = projects;
+        this.container = document.querySelector('.github-feed');
+        this.repos = [];
+        this.events = [];
+        this.sort = 'updated';
+        this.language = '';
+    }
+    
+    // Started by Website.initializeComponents without awaiting, so GitHub never holds up the page
+    async init() {
+        if (!this.container) return;
+        
+        this.buildLayout();
+        this.setStatus(t('github.loading'));
+        
+        const [repos, events] = await Promise.all([
+            this.loadResource(`/users/${this.options.user}/repos?type=owner&sort=pushed&per_page=100`, 'repos',
+                data => data.map(normalizeRepo)),
+            this.loadResource(`/users/${this.options.user}/events/public?per_page=30`, 'events',
+                data => data.map(normalizeEvent).filter(Boolean))
+        ]);
+        
+        this.repos = repos.filter(repo => this.options.includeForks || !repo.fork);
+        this.events = events.slice(0, this.options.eventLimit);
+        
+        // Neither GitHub nor the snapshot had repositories; list the site's own projects instead
+        if (!this.repos.length && this.projects.length) {
+            this.notice = t('github.projectsFallback');
+        }
+        
+        this.linkProjects();
+        this.renderLanguageOptions();
+        this.render();
+        
+        document.addEventListener('localechange', () => {
+            this.renderLanguageOptions();
+            this.render();
+        });
+    }
+    
+    // API first, then a stale cached copy, then the snapshot committed with the site
+    async loadResource(path, snapshotKey, transform) {
+        try {
+            return await this.fetchCached(path, transform);
+        } catch (error) {
+            const stale = this.readCache()[path];
+            
+            if (error.rateLimited) {
+                console.warn(`GitHub rate limit reached until ${error.resetAt.toISOString()}`);
+                this.notice = t('github.rateLimited', { time: i18n.formatDate(error.resetAt, { timeStyle: 'short' }) });
+            } else {
+                console.warn(`GitHub request for ${path} failed:`, error);
+                this.notice = t('github.offline');
+            }
+            
+            if (stale) return stale.data;
+            
+            const snapshot = await this.loadSnapshot();
+            return snapshot[snapshotKey] || [];
+        }
+    }
+    
+    async fetchCached(path, transform) {
+        const entry = this.readCache()[path];
+        
+        if (entry && Date.now() - entry.fetchedAt < this.options.cacheTTL) {
+            return entry.data;
+        }
+        
+        const headers = { Accept: 'application/vnd.github+json' };
+        if (entry && entry.etag) {
+            // A 304 answer doesn't count against the rate limit
+            headers['If-None-Match'] = entry.etag;
+        }
+        
+        const response = await fetch(`${this.options.apiBase}${path}`, { headers });
+        
+        if (response.status === 304 && entry) {
+            this.writeCacheEntry(path, Object.assign({}, entry, { fetchedAt: Date.now() }));
+            return entry.data;
+        }
+        
+        if (!response.ok) {
+            const remaining = response.headers.get('x-ratelimit-remaining');
+            const reset = response.headers.get('x-ratelimit-reset');
+            const rateLimited = (response.status === 403 || response.status === 429) && (remaining === '0' || response.status === 429);
+            
+            throw new GitHubFeedError(`GitHub responded with status ${response.status}`, {
+                status: response.status,
+                resetAt: rateLimited ? new Date(reset ? Number(reset) * 1000 : Date.now() + 60000) : null
+            });
+        }
+        
+        const data = transform(await response.json());
+        this.writeCacheEntry(path, { etag: response.headers.get('etag'), fetchedAt: Date.now(), data });
+        
+        return data;
+    }
+    
+    readCache() {
+        try {
+            return JSON.parse(localStorage.getItem(this.options.cacheKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    // Re-reads the cache first because the repo and event requests finish independently
+    writeCacheEntry(path, entry) {
+        const cache = this.readCache();
+        cache[path] = entry;
+        
+        try {
+            localStorage.setItem(this.options.cacheKey, JSON.stringify(cache));
+        } catch (error) {
+            console.warn('Could not cache GitHub data:', error);
+        }
+    }
+    
+    async loadSnapshot() {
+        if (!this.snapshot) {
+            try {
+                const response = await fetch(this.options.snapshotUrl);
+                this.snapshot = response.ok ? await response.json() : {};
+            } catch (error) {
+                console.error('Could not load GitHub snapshot:', error);
+                this.snapshot = {};
+            }
+        }
+        return this.snapshot;
+    }
+    
+    // Point each project's source link at its repository, matched on project.repo or the project id
+    linkProjects() {
+        const reposByName = new Map(this.repos.map(repo => [repo.name.toLowerCase(), repo]));
+        
+        this.projects.forEach(project => {
+            const repo = reposByName.get((project.repo || project.id).toLowerCase());
+            if (!repo) return;
+            
+            project.links = Object.assign({}, project.links, { source: repo.url });
+            
+            const link = document.querySelector(`.project-card[data-project-id="${project.id}"] [data-project-link="source"]`);
+            if (link) {
+                link.href = repo.url;
+                link.target = '_blank';
+                link.rel = 'noopener';
+            }
+        });
+    }
+    
+    buildLayout() {
+        this.container.innerHTML = `
+            <div class="github-controls">
+                <label>
+                    <span data-i18n="github.sortLabel">${escapeHTML(t('github.sortLabel'))}</span>
+                    <select class="github-sort">
+                        <option value="updated" data-i18n="github.sortUpdated">${escapeHTML(t('github.sortUpdated'))}</option>
+                        <option value="stars" data-i18n="github.sortStars">${escapeHTML(t('github.sortStars'))}</option>
+                        <option value="name" data-i18n="github.sortName">${escapeHTML(t('github.sortName'))}</option>
+                    </select>
+                </label>
+                <label>
+                    <span data-i18n="github.languageLabel">${escapeHTML(t('github.languageLabel'))}</span>
+                    <select class="github-language"></select>
+                </label>
+            </div>
+            <div class="github-repos"></div>
+            <div class="github-activity">
+                <h3 data-i18n="github.activity">${escapeHTML(t('github.activity'))}</h3>
+                <ul class="github-events"></ul>
+            </div>
+            <p class="github-status" role="status" aria-live="polite"></p>
+        `;
+        
+        this.repoList = this.container.querySelector('.github-repos');
+        this.eventList = this.container.querySelector('.github-events');
+        this.statusElement = this.container.querySelector('.github-status');
+        this.sortSelect = this.container.querySelector('.github-sort');
+        this.languageSelect = this.container.querySelector('.github-language');
+        
+        this.sortSelect.addEventListener('change', () => {
+            this.sort = this.sortSelect.value;
+            this.render();
+        });
+        
+        this.languageSelect.addEventListener('change', () => {
+            this.language = this.languageSelect.value;
+            this.render();
+        });
+    }
+    
+    renderLanguageOptions() {
+        const languages = Array.from(new Set(this.repos.map(repo => repo.language).filter(Boolean)))
+            .sort((a, b) => a.localeCompare(b));
+        
+        this.languageSelect.innerHTML = [`<option value="">${escapeHTML(t('github.allLanguages'))}</option>`]
+            .concat(languages.map(language => `<option value="${escapeHTML(language)}">${escapeHTML(language)}</option>`))
+            .join('');
+        this.languageSelect.value = languages.includes(this.language) ? this.language : '';
+    }
+    
+    getVisibleRepos() {
+        const comparators = {
+            updated: (a, b) => new Date(b.updatedAt) - new Date(a.updatedAt),
+            stars: (a, b) => b.stars - a.stars || a.name.localeCompare(b.name),
+            name: (a, b) => a.name.localeCompare(b.name)
+        };
+        
+        return this.repos
+            .filter(repo => !this.language || repo.language === this.language)
+            .sort(comparators[this.sort])
+            .slice(0, this.options.repoLimit);
+    }
+    
+    render() {
+        const repos = this.getVisibleRepos();
+        
+        this.repoList.innerHTML = this.repos.length
+            ? repos.map(repo => this.renderRepo(repo)).join('')
+            : this.projects.map(project => this.renderProject(project)).join('');
+        this.container.querySelector('.github-controls').hidden = !this.repos.length;
+        this.eventList.innerHTML = this.events.map(event => this.renderEvent(event)).join('');
+        this.container.querySelector('.github-activity').hidden = !this.events.length;
+        
+        if (!this.repos.length) {
+            this.setStatus(this.notice || t('github.empty'));
+        } else {
+            this.setStatus(this.notice || '');
+        }
+    }
+    
+    renderRepo(repo) {
+        const stars = i18n.formatNumber(repo.stars);
+        
+        return `
+            <article class="repo-card">
+                <h3 class="repo-name">
+                    <a href="${escapeHTML(repo.url)}" target="_blank" rel="noopener">${escapeHTML(repo.name)}</a>
+                </h3>
+                <p class="repo-description">${escapeHTML(repo.description)}</p>
+                <div class="repo-meta">
+                    ${repo.language ? `<span class="repo-language">${escapeHTML(repo.language)}</span>` : ''}
+                    <span class="repo-stars" aria-label="${escapeHTML(t('github.stars', { count: stars }))}">
+                        <i class="fas fa-star" aria-hidden="true"></i> ${escapeHTML(stars)}
+                    </span>
+                    <span class="repo-updated">
+                        ${escapeHTML(t('github.updated'))} <time datetime="${escapeHTML(repo.updatedAt)}">${escapeHTML(i18n.formatDate(repo.updatedAt))}</time>
+                    </span>
+                </div>
+            </article>`;
+    }
+    
+    // Stands in for a repository card when there are no repositories to show
+    renderProject(project) {
+        return `
+            <article class="repo-card">
+                <h3 class="repo-name">
+                    <a href="#projects/${escapeHTML(project.id)}">${escapeHTML(project.title)}</a>
+                </h3>
+                <p class="repo-description">${escapeHTML(project.description)}</p>
+                <div class="repo-meta">
+                    ${(project.tags || []).map(tag => `<span class="repo-tag">${escapeHTML(tag)}</span>`).join('')}
+                </div>
+            </article>`;
+    }
+    
+    renderEvent(event) {
+        const repoLink = `<a href="${escapeHTML(event.url)}" target="_blank" rel="noopener">${escapeHTML(event.repo)}</a>`;
+        
+        return `
+                <li class="github-event">
+                    <span>${t(GITHUB_EVENT_TYPES[event.type], { repo: repoLink })}</span>
+                    <time datetime="${escapeHTML(event.createdAt)}">${escapeHTML(i18n.formatDate(event.createdAt))}</time>
+                </li>`;
+    }
+    
+    setStatus(message) {
+        this.statusElement.textContent = message;
+        this.statusElement.hidden = !message;
+    }
+}
+
+// ===== BLOG =====
+
+// Posts start with a YAML front-matter block. Only the subset the posts use is understood:
+// "key: value" scalars, quoted strings, [inline, lists] and "- item" lists.
+function parseFrontMatter(source) {
+    const text = String(source).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const match = /^---\n([\s\S]*?)\n---(?:\n|$)/.exec(text);
+    
+    if (!match) return { data: {}, body: text };
+    
+    const parseValue = (value) => {
+        const quoted = /^(["'])(.*)\1$/.exec(value.trim());
+        if (quoted) return quoted[2];
+        if (value.trim() === 'true' || value.trim() === 'false') return value.trim() === 'true';
+        return value.trim();
+    };
+    
+    const data = {};
+    let listKey = null;
+    
+    match[1].split('\n').forEach(line => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+        
+        const item = /^\s*-\s+(.*)$/.exec(line);
+        if (item && listKey) {
+            data[listKey].push(parseValue(item[1]));
+            return;
+        }
+        
+        const pair = /^([\w-]+):\s*(.*)$/.exec(line);
+        if (!pair) return;
+        
+        const [, key, value] = pair;
+        listKey = null;
+        
+        if (!value.trim()) {
+            data[key] = [];
+            listKey = key;
+        } else if (/^\[.*\]$/.test(value.trim())) {
+            data[key] = value.trim().slice(1, -1).split(',').map(parseValue).filter(entry => entry !== '');
+        } else {
+            data[key] = parseValue(value);
+        }
+    });
+    
+    return { data, body: text.slice(match[0].length) };
+}
+
+// Minutes at an average reading speed, never less than one
+function estimateReadingTime(text, wordsPerMinute = 200) {
+    const words = (String(text).match(/\S+/g) || []).length;
+    return Math.max(1, Math.ceil(words / wordsPerMinute));
+}
+
+// Token patterns for the languages the posts use. Order matters: comments and strings
+// are matched before keywords so a keyword inside either is not highlighted.
+const CODE_LANGUAGES = {
+    javascript: {
+        comment: /\/\/[^\n]*|\/\*[\s\S]*?\*\//,
+        string: /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\[\s\S]|[^`\\])*`/,
+        keywords: ['async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'else', 'export',
+            'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'null',
+            'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'undefined', 'var',
+            'while', 'yield']
+    },
+    python: {
+        comment: /#[^\n]*/,
+        string: /"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/,
+        keywords: ['and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+            'except', 'False', 'finally', 'for', 'from', 'if', 'import', 'in', 'is', 'lambda', 'None', 'not', 'or',
+            'pass', 'raise', 'return', 'self', 'True', 'try', 'while', 'with', 'yield']
+    },
+    bash: {
+        comment: /#[^\n]*/,
+        string: /"(?:\\.|[^"\\])*"|'[^']*'/,
+        keywords: ['case', 'do', 'done', 'echo', 'elif', 'else', 'esac', 'export', 'fi', 'for', 'function', 'if', 'in',
+            'local', 'return', 'then', 'while']
+    },
+    json: {
+        comment: null,
+        string: /"(?:\\.|[^"\\\n])*"/,
+        keywords: ['true', 'false', 'null']
+    }
+};
+
+const CODE_LANGUAGE_ALIASES = {
+    js: 'javascript',
+    ts: 'javascript',
+    typescript: 'javascript',
+    py: 'python',
+    sh: 'bash',
+    shell: 'bash'
+};
+
+// Returns escaped HTML with tok-* spans; unknown languages are only escaped
+function highlightCode(code, language) {
+    const name = String(language || '').toLowerCase();
+    const grammar = CODE_LANGUAGES[CODE_LANGUAGE_ALIASES[name] || name];
+    
+    if (!grammar) return escapeHTML(code);
+    
+    const patterns = [
+        grammar.comment && `(?<comment>${grammar.comment.source})`,
+        `(?<string>${grammar.string.source})`,
+        '(?<number>\\b\\d+(?:\\.\\d+)?\\b)',
+        `(?<keyword>\\b(?:${grammar.keywords.join('|')})\\b)`
+    ].filter(Boolean);
+    const tokenPattern = new RegExp(patterns.join('|'), 'g');
+    
+    let html = '';
+    let lastIndex = 0;
+    let match;
+    
+    while ((match = tokenPattern.exec(code))) {
+        const type = Object.keys(match.groups).find(key => match.groups[key] !== undefined);
+        html += escapeHTML(code.slice(lastIndex, match.index));
+        html += `<span class="tok-${type}">${escapeHTML(match[0])}</span>`;
+        lastIndex = tokenPattern.lastIndex;
+    }
+    
+    return html + escapeHTML(code.slice(lastIndex));
+}
+
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+
+// Relative and fragment URLs pass; anything with a scheme must be on the allow-list
+function sanitizeUrl(url) {
+    // Browsers ignore control characters in URLs, so "java\u0001script:" must not slip through
+    const cleaned = String(url).replace(/[\u0000-\u001F\u007F]/g, '');
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(cleaned);
+    return !scheme || SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase()) ? cleaned : null;
+}
+
+// Applied to already escaped text, so the only markup in the output is what this adds
+function renderInlineMarkdown(text) {
+    const links = [];
+    const stash = (html) => `\u0001${links.push(html) - 1}\u0001`;
+    const emphasis = (value) => value
+        .replace(/\*\*(\S(?:.*?\S)?)\*\*|__(\S(?:.*?\S)?)__/g, (match, stars, underscores) => `<strong>${stars || underscores}</strong>`)
+        .replace(/\*(\S(?:.*?\S)?)\*|(^|[^\w])_(\S(?:.*?\S)?)_(?!\w)/g,
+            (match, stars, before, underscores) => stars ? `<em>${stars}</em>` : `${before}<em>${underscores}</em>`);
+    
+    return String(text).split(/(`[^`]+`)/).map((part, index) => {
+        if (index % 2) return `<code>${escapeHTML(part.slice(1, -1))}</code>`;
+        
+        const html = escapeHTML(part.replace(/\u0001/g, ''))
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, url) => {
+                const src = sanitizeUrl(url);
+                return src ? stash(`<img src="${src}" alt="${alt}" loading="lazy">`) : alt;
+            })
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+                const href = sanitizeUrl(url);
+                if (!href) return emphasis(label);
+                
+                const external = /^https?:/i.test(href);
+                return stash(`<a href="${href}"${external ? ' target="_blank" rel="noopener"' : ''}>${emphasis(label)}</a>`);
+            });
+        
+        return emphasis(html).replace(/\u0001(\d+)\u0001/g, (match, id) => links[id]);
+    }).join('');
+}
+
+// The Markdown subset the posts are written in: headings, fenced code, lists, block quotes,
+// rules and paragraphs. Raw HTML in a post is escaped and shown as text.
+function renderMarkdown(source) {
+    const lines = String(source).replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    const listItem = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+    const startsBlock = (line) => /^(```|~~~|#{1,6}\s|>)/.test(line) || listItem.test(line) || /^(-{3,}|\*{3,}|_{3,})\s*$/.test(line);
+    let index = 0;
+    
+    while (index < lines.length) {
+        const line = lines[index];
+        
+        if (!line.trim()) {
+            index++;
+            continue;
+        }
+        
+        const fence = /^(```|~~~)\s*([\w+-]*)\s*$/.exec(line);
+        if (fence) {
+            const code = [];
+            index++;
+            while (index < lines.length && !lines[index].startsWith(fence[1])) {
+                code.push(lines[index++]);
+            }
+            index++;
+            
+            const language = fence[2] ? ` data-language="${escapeHTML(fence[2].toLowerCase())}"` : '';
+            blocks.push(`<pre class="code-block"${language}><code>${highlightCode(code.join('\n'), fence[2])}</code></pre>`);
+            continue;
+        }
+        
+        const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+        if (heading) {
+            // The post title is an h3, so "#" and "##" both become h4 and deeper levels follow
+            const level = Math.min(Math.max(heading[1].length + 2, 4), 6);
+            blocks.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+            index++;
+            continue;
+        }
+        
+        if (/^(-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+            blocks.push('<hr>');
+            index++;
+            continue;
+        }
+        
+        if (line.startsWith('>')) {
+            const quote = [];
+            while (index < lines.length && lines[index].startsWith('>')) {
+                quote.push(lines[index++].replace(/^>\s?/, ''));
+            }
+            blocks.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+            continue;
+        }
+        
+        if (listItem.test(line)) {
+            const ordered = /^\s*\d/.test(line);
+            const items = [];
+            
+            // Indented lines continue the previous item; nested lists are not supported
+            while (index < lines.length && (listItem.test(lines[index]) || (items.length && /^\s+\S/.test(lines[index])))) {
+                const item = listItem.exec(lines[index]);
+                if (item) {
+                    items.push(item[2]);
+                } else {
+                    items[items.length - 1] += ` ${lines[index].trim()}`;
+                }
+                index++;
+            }
+            
+            const tag = ordered ? 'ol' : 'ul';
+            blocks.push(`<${tag}>${items.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('')}</${tag}>`);
+            continue;
+        }
+        
+        const paragraph = [];
+        while (index < lines.length && lines[index].trim() && !(paragraph.length && startsBlock(lines[index]))) {
+            paragraph.push(lines[index++].trim());
+        }
+        blocks.push(`<p>${renderInlineMarkdown(paragraph.join(' '))}</p>`);
+    }
+    
+    return blocks.join('\n');
+}
+
+class Blog {
+    constructor(options = CONFIG.blog) {
+        this.options = options;
+        this.container = document.querySelector('.blog-feed');
+        this.posts = [];
+        this.tag = '';
+        this.page = 1;
+        this.postSources = new Map();
+        this.activeSlug = null;
+        this.init();
+    }
+    
+    async init() {
+        // scripts/build-blog.js hides the section while every post is a draft
+        if (!this.container || this.container.closest('[hidden]')) return;
+        
+        this.buildLayout();
+        this.setStatus(t('blog.loading'));
+        
+        try {
+            const response = await fetch(this.options.indexUrl);
+            if (!response.ok) {
+                throw new Error(`Posts index responded with status ${response.status}`);
+            }
+            
+            const index = await response.json();
+            this.posts = (index.posts || []).slice().sort((a, b) => new Date(b.date) - new Date(a.date));
+        } catch (error) {
+            console.error('Could not load blog posts:', error);
+            this.loadFailed = true;
+        }
+        
+        this.renderTags();
+        this.renderListing();
+        
+        window.addEventListener('hashchange', () => this.handleHashChange());
+        document.addEventListener('localechange', () => {
+            this.renderTags();
+            this.renderListing();
+            if (this.activeSlug) {
+                this.renderPost(this.activeSlug);
+            }
+        });
+        
+        this.handleHashChange();
+    }
+    
+    buildLayout() {
+        this.container.innerHTML = `
+            <div class="blog-listing">
+                <div class="filter-tags blog-tags" role="group" aria-label="${escapeHTML(t('blog.tagsLabel'))}" data-i18n-attr="aria-label:blog.tagsLabel"></div>
+                <div class="blog-posts"></div>
+                <nav class="blog-pagination" aria-label="${escapeHTML(t('blog.paginationLabel'))}" data-i18n-attr="aria-label:blog.paginationLabel">
+                    <button type="button" class="btn btn-secondary blog-prev" data-i18n="blog.previous">${escapeHTML(t('blog.previous'))}</button>
+                    <span class="blog-page-status" aria-live="polite"></span>
+                    <button type="button" class="btn btn-secondary blog-next" data-i18n="blog.next">${escapeHTML(t('blog.next'))}</button>
+                </nav>
+                <p class="blog-status" role="status" aria-live="polite"></p>
+            </div>
+            <article class="blog-post" tabindex="-1" hidden></article>
+        `;
+        
+        this.listing = this.container.querySelector('.blog-listing');
+        this.tagList = this.container.querySelector('.blog-tags');
+        this.postList = this.container.querySelector('.blog-posts');
+        this.pagination = this.container.querySelector('.blog-pagination');
+        this.pageStatus = this.container.querySelector('.blog-page-status');
+        this.prevButton = this.container.querySelector('.blog-prev');
+        this.nextButton = this.container.querySelector('.blog-next');
+        this.statusElement = this.container.querySelector('.blog-status');
+        this.article = this.container.querySelector('.blog-post');
+        
+        this.tagList.addEventListener('click', (e) => {
+            const button = e.target.closest('.filter-tag');
+            if (!button) return;
+            
+            this.tag = this.tag === button.dataset.tag ? '' : button.dataset.tag;
+            this.page = 1;
+            this.renderTags();
+            this.renderListing();
+        });
+        
+        this.prevButton.addEventListener('click', () => this.goToPage(this.page - 1));
+        this.nextButton.addEventListener('click', () => this.goToPage(this.page + 1));
+        
+        // The back link changes the hash through pushState, which doesn't fire hashchange
+        this.article.addEventListener('click', (e) => {
+            if (!e.target.closest('.blog-back') || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            
+            e.preventDefault();
+            window.history.pushState({ section: 'blog' }, '', '#blog');
+            this.closePost();
+        });
+    }
+    
+    getAllTags() {
+        const tags = new Set();
+        this.posts.forEach(post => (post.tags || []).forEach(tag => tags.add(tag)));
+        return Array.from(tags).sort((a, b) => a.localeCompare(b));
+    }
+    
+    getFilteredPosts() {
+        return this.posts.filter(post => !this.tag || (post.tags || []).includes(this.tag));
+    }
+    
+    getPageCount() {
+        return Math.max(1, Math.ceil(this.getFilteredPosts().length / this.options.pageSize));
+    }
+    
+    goToPage(page) {
+        this.page = Math.min(Math.max(page, 1), this.getPageCount());
+        this.renderListing();
+        const firstLink = this.postList.querySelector('.post-card a');
+        if (firstLink) firstLink.focus();
+    }
+    
+    renderTags() {
+        const tags = this.getAllTags();
+        
+        this.tagList.innerHTML = tags.map(tag => `
+                    <button type="button" class="filter-tag" data-tag="${escapeHTML(tag)}" aria-pressed="${this.tag === tag}">${escapeHTML(tag)}</button>`).join('');
+        this.tagList.hidden = !tags.length;
+    }
+    
+    renderListing() {
+        const posts = this.getFilteredPosts();
+        const pageCount = this.getPageCount();
+        const start = (this.page - 1) * this.options.pageSize;
+        
+        this.postList.innerHTML = posts.slice(start, start + this.options.pageSize).map(post => this.renderCard(post)).join('');
+        
+        this.pagination.hidden = pageCount < 2;
+        this.prevButton.disabled = this.page <= 1;
+        this.nextButton.disabled = this.page >= pageCount;
+        this.pageStatus.textContent = t('blog.pageStatus', { page: i18n.formatNumber(this.page), total: i18n.formatNumber(pageCount) });
+        
+        if (this.loadFailed) {
+            this.setStatus(t('blog.error'));
+        } else if (!posts.length) {
+            this.setStatus(t('blog.empty'));
+        } else {
+            this.setStatus(this.tag ? t('blog.filterStatus', {
+                count: i18n.formatNumber(posts.length),
+                total: i18n.formatNumber(this.posts.length),
+                tag: this.tag
+            }) : '');
+        }
+    }
+    
+    renderMeta(post, readingTime) {
+        return `
+                    <time datetime="${escapeHTML(post.date)}">${escapeHTML(i18n.formatDate(post.date, { dateStyle: 'long' }))}</time>
+                    <span class="post-reading-time">${escapeHTML(t('blog.readingTime', { minutes: i18n.formatNumber(readingTime) }))}</span>`;
+    }
+    
+    renderPostTags(post) {
+        return (post.tags || []).map(tag => `<span class="tech-tag">${escapeHTML(tag)}</span>`).join('');
+    }
+    
+    renderCard(post) {
+        return `
+            <article class="post-card">
+                <div class="post-meta">${this.renderMeta(post, post.readingTime || 1)}
+                </div>
+                <h3 class="post-title"><a href="#blog/${escapeHTML(post.slug)}">${escapeHTML(post.title)}</a></h3>
+                <p class="post-summary">${escapeHTML(post.summary || '')}</p>
+                <div class="post-tags">${this.renderPostTags(post)}</div>
+            </article>`;
+    }
+    
+    handleHashChange() {
+        const slug = getPostSlugFromHash(window.location.hash);
+        
+        if (slug) {
+            this.openPost(slug);
+        } else if (this.activeSlug) {
+            this.closePost({ restoreFocus: false });
+        }
+    }
+    
+    async openPost(slug) {
+        if (this.activeSlug === slug) return;
+        
+        this.activeSlug = slug;
+        this.listing.hidden = true;
+        this.article.hidden = false;
+        this.article.innerHTML = `<p class="blog-status">${escapeHTML(t('blog.loadingPost'))}</p>`;
+        smoothScrollTo('#blog', 'instant');
+        
+        await this.renderPost(slug);
+        
+        if (this.activeSlug === slug) {
+            const heading = this.article.querySelector('.post-title');
+            (heading || this.article).focus();
+        }
+    }
+    
+    async renderPost(slug) {
+        const post = this.posts.find(entry => entry.slug === slug);
+        
+        try {
+            if (!post) {
+                throw new Error(`Unknown post in URL: ${slug}`);
+            }
+            
+            if (!this.postSources.has(slug)) {
+                const response = await fetch(`${this.options.postsPath}${slug}.md`);
+                if (!response.ok) {
+                    throw new Error(`Post ${slug} responded with status ${response.status}`);
+                }
+                this.postSources.set(slug, parseFrontMatter(await response.text()).body);
+            }
+        } catch (error) {
+            console.warn(error.message || error);
+            if (this.activeSlug === slug) {
+                this.article.innerHTML = `
+                <p class="blog-status">${escapeHTML(t('blog.notFound'))}</p>
+                <a href="#blog" class="blog-back">${escapeHTML(t('blog.back'))}</a>`;
+            }
+            return;
+        }
+        
+        // Another post may have been opened while this one was loading
+        if (this.activeSlug !== slug) return;
+        
+        const body = this.postSources.get(slug);
+        
+        this.article.innerHTML = `
+                <a href="#blog" class="blog-back"><i class="fas fa-arrow-left" aria-hidden="true"></i> ${escapeHTML(t('blog.back'))}</a>
+                <header class="post-header">
+                    <h3 class="post-title" tabindex="-1">${escapeHTML(post.title)}</h3>
+                    <div class="post-meta">${this.renderMeta(post, estimateReadingTime(body))}
+                    </div>
+                    <div class="post-tags">${this.renderPostTags(post)}</div>
+                </header>
+                <div class="post-body">${renderMarkdown(body)}</div>`;
+        
+        document.title = `${post.title} | ${this.getSiteName()}`;
+    }
+    
+    closePost({ restoreFocus = true } = {}) {
+        const slug = this.activeSlug;
+        
+        this.activeSlug = null;
+        this.article.hidden = true;
+        this.article.innerHTML = '';
+        this.listing.hidden = false;
+        
+        document.title = `${t('nav.blog')} | ${this.getSiteName()}`;
+        
+        if (restoreFocus) {
+            smoothScrollTo('#blog', 'instant');
+            const link = this.postList.querySelector(`a[href="#blog/${slug}"]`);
+            if (link) link.focus();
+        }
+    }
+    
+    // Same "<page> | <name>" format the router uses for sections
+    getSiteName() {
+        return t('meta.title').split('|')[0].trim();
+    }
+    
+    setStatus(message) {
+        this.statusElement.textContent = message;
+        this.statusElement.hidden = !message;
+    }
+}
+
+// ===== RESUME EXPORT =====
+// Builds the résumé from the same content manifest the page renders, so the two can't drift apart
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "2022 - 2024", "Mar 2019 - Present" or "2021" -> { startDate: '2022' | '2019-03', endDate: '2024' | undefined }
+// An open range has no endDate; a single date is a role that started and ended that year or month
+function parseDateRange(range) {
+    const date = '(?:([a-z]{3})[a-z]*\\.?\\s+)?(\\d{4})';
+    const match = new RegExp(`${date}(?:\\s*([-–])\\s*(?:${date}|present))?`, 'i').exec(range || '');
+    if (!match) return {};
+    
+    const toDate = (month, year) => {
+        const index = month ? MONTH_NAMES.indexOf(month.toLowerCase()) : -1;
+        return index === -1 ? year : `${year}-${String(index + 1).padStart(2, '0')}`;
+    };
+    const startDate = toDate(match[1], match[2]);
+    
+    if (!match[3]) return { startDate, endDate: startDate };
+    return { startDate, endDate: match[5] ? toDate(match[4], match[5]) : undefined };
+}
+
+class ResumeBuilder {
+    constructor(content) {
+        this.content = content;
+        this.printView = null;
+        this.init();
+    }
+    
+    init() {
+        if (!this.content || !this.content.profile) return;
+        
+        // Links to a static file, such as the hand-made resume.pdf, download as they are
+        document.querySelectorAll('[data-resume-format]:not([download])').forEach(control => {
+            control.hidden = false;
+            control.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.export(control.dataset.resumeFormat);
+            });
+        });
+        
+        window.addEventListener('afterprint', () => this.finishPrint());
+        
+        commandRegistry.register({
+            id: 'resume.json',
+            group: 'actions',
+            icon: 'fas fa-file-code',
+            title: () => t('commands.downloadResumeJSON'),
+            keywords: ['cv', 'json resume'],
+            run: () => this.export('json')
+        });
+    }
+    
+    getFileName(extension) {
+        const slug = this.content.profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `${slug}-resume.${extension}`;
+    }
+    
+    export(format) {
+        if (format === 'json') {
+            this.downloadJSON();
+        } else if (format === 'pdf') {
+            this.print();
+        } else {
+            console.warn(`Unknown resume format "${format}"`);
+        }
+    }
+    
+    // https://jsonresume.org/schema/
+    toJSONResume() {
+        const profile = this.content.profile;
+        const clean = (object) => JSON.parse(JSON.stringify(object));
+        
+        return clean({
+            $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+            basics: {
+                name: profile.name,
+                label: profile.label || profile.roles[0],
+                image: profile.image ? new URL(profile.image, window.location.href).href : undefined,
+                email: profile.email,
+                url: profile.url,
+                summary: profile.summary,
+                profiles: (profile.profiles || []).map(entry => ({
+                    network: entry.network,
+                    username: entry.username,
+                    url: entry.url
+                }))
+            },
+            work: (this.content.experience || []).map(item => Object.assign({
+                name: item.company,
+                position: item.title,
+                summary: item.description,
+                highlights: item.skills
+            }, parseDateRange(item.date))),
+            skills: (this.content.skills || []).map(category => ({
+                name: category.category,
+                keywords: category.items.map(item => item.name)
+            })),
+            projects: (this.content.projects || []).map(project => ({
+                name: project.title,
+                description: project.description,
+                highlights: project.caseStudy && project.caseStudy.metrics
+                    ? project.caseStudy.metrics.map(metric => `${metric.label}: ${metric.value}`)
+                    : undefined,
+                keywords: project.tags,
+                url: project.links && project.links.source && project.links.source !== '#' ? project.links.source : undefined
+            })),
+            meta: {
+                canonical: profile.url,
+                lastModified: new Date().toISOString()
+            }
+        });
+    }
+    
+    downloadJSON() {
+        const blob = new Blob([JSON.stringify(this.toJSONResume(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = this.getFileName('json');
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    // The print view replaces the page while printing; resume-print.css lays it out, and "Save as PDF" produces the file
+    print() {
+        this.finishPrint();
+        
+        this.printView = document.createElement('article');
+        this.printView.className = 'resume-print';
+        this.printView.innerHTML = this.renderPrintView();
+        document.body.appendChild(this.printView);
+        document.body.classList.add('printing-resume');
+        
+        window.print();
+    }
+    
+    finishPrint() {
+        document.body.classList.remove('printing-resume');
+        
+        if (this.printView) {
+            this.printView.remove();
+            this.printView = null;
+        }
+    }
+    
+    renderPrintView() {
+        const resume = this.toJSONResume();
+        const basics = resume.basics;
+        
+        const contact = [basics.email, basics.url]
+            .concat(basics.profiles.map(entry => entry.url))
+            .filter(Boolean)
+            .map(item => `<li>${escapeHTML(item)}</li>`)
+            .join('');
+        
+        const work = resume.work.map(job => `
+            <div class="resume-entry">
+                <div class="resume-entry-header">
+                    <h3>${escapeHTML(job.position)} &middot; ${escapeHTML(job.name)}</h3>
+                    <span class="resume-dates">${escapeHTML(job.startDate || '')} &ndash; ${escapeHTML(job.endDate || t('resume.present'))}</span>
+                </div>
+                <p>${escapeHTML(job.summary)}</p>
+                <p class="resume-keywords">${escapeHTML(job.highlights.join(', '))}</p>
+            </div>`).join('');
+        
+        const skills = resume.skills.map(skill => `
+                <dt>${escapeHTML(skill.name)}</dt>
+                <dd>${escapeHTML(skill.keywords.join(', '))}</dd>`).join('');
+        
+        const projects = resume.projects.map(project => `
+            <div class="resume-entry">
+                <h3>${escapeHTML(project.name)}</h3>
+                <p>${escapeHTML(project.description)}</p>
+                <p class="resume-keywords">${escapeHTML(project.keywords.join(', '))}</p>
+            </div>`).join('');
+        
+        return `
+            <header class="resume-header">
+                <h1>${escapeHTML(basics.name)}</h1>
+                <p class="resume-label">${escapeHTML(basics.label)}</p>
+                <ul class="resume-contact">${contact}</ul>
+            </header>
+            ${basics.summary ? `
+            <section>
+                <h2>${escapeHTML(t('resume.summary'))}</h2>
+                <p>${escapeHTML(basics.summary)}</p>
+            </section>` : ''}
+            <section>
+                <h2>${escapeHTML(t('resume.experience'))}</h2>${work}
+            </section>
+            <section>
+                <h2>${escapeHTML(t('resume.skills'))}</h2>
+                <dl class="resume-skills">${skills}
+                </dl>
+            </section>
+            <section>
+                <h2>${escapeHTML(t('resume.projects'))}</h2>${projects}
+            </section>
+        `;
+    }
+}
+
+// ===== STRUCTURED DATA =====
+
+// Crawlers need absolute URLs; paths in the manifest are relative to the site root
+function toAbsoluteUrl(value, siteUrl) {
+    return value ? new URL(value, siteUrl).href : undefined;
+}
+
+// schema.org JSON-LD for the portfolio. Pure, so scripts/build-seo.js can emit the same graph
+// for crawlers that don't run JavaScript. With a projectId the breadcrumb ends at that project.
+// hasImage(src) says whether an image really exists; the ones that don't are left out.
+function buildStructuredData(content, { siteUrl, projectId = null, hasImage = () => true } = {}) {
+    const profile = content.profile || {};
+    const imageUrl = (src) => src && hasImage(src) ? toAbsoluteUrl(src, siteUrl) : undefined;
+    const personId = `${siteUrl}#person`;
+    const projects = content.projects || [];
+    const current = (content.experience || []).find(item => item.date && !parseDateRange(item.date).endDate);
+    const activeProject = projects.find(project => project.id === projectId);
+    const clean = (object) => JSON.parse(JSON.stringify(object));
+    
+    const breadcrumbs = [{ name: profile.name, url: siteUrl }];
+    if (activeProject) {
+        breadcrumbs.push(
+            { name: 'Projects', url: `${siteUrl}#projects` },
+            { name: activeProject.title, url: `${siteUrl}#projects/${activeProject.id}` }
+        );
+    }
+    
+    return clean({
+        '@context': 'https://schema.org',
+        '@graph': [
+            {
+                '@type': 'Person',
+                '@id': personId,
+                name: profile.name,
+                jobTitle: profile.label || (profile.roles || [])[0],
+                description: profile.summary,
+                url: profile.url || siteUrl,
+                email: profile.email ? `mailto:${profile.email}` : undefined,
+                image: imageUrl(profile.image),
+                sameAs: (profile.profiles || []).map(entry => entry.url),
+                knowsAbout: (content.skills || []).reduce((names, category) => names.concat(category.items.map(item => item.name)), []),
+                worksFor: current ? { '@type': 'Organization', name: current.company } : undefined
+            },
+            {
+                '@type': 'ProfilePage',
+                '@id': siteUrl,
+                url: siteUrl,
+                name: profile.label ? `${profile.name} | ${profile.label}` : profile.name,
+                mainEntity: { '@id': personId },
+                breadcrumb: { '@id': `${siteUrl}#breadcrumb` },
+                hasPart: projects.map(project => ({ '@id': `${siteUrl}#projects/${project.id}` }))
+            },
+            ...projects.map(project => ({
+                '@type': 'CreativeWork',
+                '@id': `${siteUrl}#projects/${project.id}`,
+                name: project.title,
+                description: project.description,
+                url: `${siteUrl}#projects/${project.id}`,
+                image: imageUrl(project.image),
+                keywords: project.tags.join(', '),
+                creator: { '@id': personId },
+                sameAs: project.links && /^https?:/.test(project.links.source || '') ? project.links.source : undefined
+            })),
+            {
+                '@type': 'BreadcrumbList',
+                '@id': `${siteUrl}#breadcrumb`,
+                itemListElement: breadcrumbs.map((crumb, index) => ({
+                    '@type': 'ListItem',
+                    position: index + 1,
+                    name: crumb.name,
+                    item: crumb.url
+                }))
+            }
+        ]
+    });
+}
+
+// "</script>" inside a string must not end the script element the JSON is embedded in
+function serializeStructuredData(data, space) {
+    return JSON.stringify(data, null, space).replace(/</g, '\\u003c');
+}
+
+// Used when the manifest couldn't be loaded and the page still shows its static markup
+function readContentFromPage(root = document) {
+    const text = (element, selector) => {
+        const node = element.querySelector(selector);
+        return node ? node.textContent.trim() : '';
+    };
+    const meta = (name) => {
+        const node = root.querySelector(`meta[name="${name}"]`);
+        return node ? node.content : undefined;
+    };
+    const profileImage = root.querySelector('.profile-img');
+    
+    return {
+        profile: {
+            name: meta('author') || text(root, '.hero-name'),
+            summary: meta('description'),
+            image: profileImage ? profileImage.getAttribute('src') : undefined,
+            roles: []
+        },
+        skills: Array.from(root.querySelectorAll('.skill-category')).map(category => ({
+            category: text(category, '.category-title'),
+            items: Array.from(category.querySelectorAll('.skill-item span')).map(item => ({ name: item.textContent.trim() }))
+        })),
+        projects: Array.from(root.querySelectorAll('.project-card[data-project-id]')).map(card => {
+            const image = card.querySelector('img');
+            return {
+                id: card.dataset.projectId,
+                title: text(card, '.project-title'),
+                description: text(card, '.project-description'),
+                image: image ? image.dataset.src || image.getAttribute('src') : undefined,
+                tags: Array.from(card.querySelectorAll('.tech-tag')).map(tag => tag.textContent.trim())
+            };
+        }),
+        experience: Array.from(root.querySelectorAll('.timeline-item')).map(item => ({
+            date: text(item, '.timeline-date'),
+            title: text(item, '.timeline-title'),
+            company: text(item, '.timeline-company')
+        }))
+    };
+}
+
+// Open Graph and Twitter tags that follow a deep-linked project; the page's own values are restored on close
+const SOCIAL_META_TAGS = {
+    type: ['og:type'],
+    url: ['og:url', 'twitter:url'],
+    title: ['og:title', 'twitter:title'],
+    description: ['og:description', 'twitter:description'],
+    image: ['og:image', 'twitter:image']
+};
+
+class StructuredData {
+    constructor(content, options = CONFIG.seo) {
+        this.options = options;
+        this.content = content && content.profile ? content : readContentFromPage();
+        this.siteUrl = this.content.profile.url || options.siteUrl;
+        this.script = null;
+        this.defaults = {};
+        this.init();
+    }
+    
+    init() {
+        this.script = document.getElementById(this.options.scriptId);
+        if (!this.script) {
+            this.script = document.createElement('script');
+            this.script.type = 'application/ld+json';
+            this.script.id = this.options.scriptId;
+            document.head.appendChild(this.script);
+        }
+        
+        Object.keys(SOCIAL_META_TAGS).forEach(key => {
+            this.defaults[key] = SOCIAL_META_TAGS[key].map(name => {
+                const tag = this.getMetaTag(name);
+                return tag ? tag.getAttribute('content') : null;
+            });
+        });
+        
+        window.addEventListener('hashchange', () => this.update());
+        this.update();
+    }
+    
+    update() {
+        const projectId = getProjectIdFromHash(window.location.hash);
+        const project = (this.content.projects || []).find(entry => entry.id === projectId);
+        
+        this.script.textContent = serializeStructuredData(buildStructuredData(this.content, {
+            siteUrl: this.siteUrl,
+            projectId: project ? project.id : null,
+            hasImage: src => this.hasImage(src)
+        }));
+        
+        if (project) {
+            this.setSocialMeta({
+                type: 'article',
+                url: `${this.siteUrl}#projects/${project.id}`,
+                title: `${project.title} | ${this.content.profile.name}`,
+                description: project.description,
+                image: this.hasImage(project.image) ? toAbsoluteUrl(project.image, this.siteUrl) : null
+            });
+        } else {
+            this.restoreSocialMeta();
+        }
+    }
+    
+    // Local images are only known to exist once scripts/build-images.js has listed them in the manifest
+    hasImage(src) {
+        return /^https?:/.test(src || '') || !!imageManifest.get(src);
+    }
+    
+    // The page uses property="twitter:*"; name="twitter:*" is matched too
+    getMetaTag(name) {
+        return document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+    }
+    
+    // Values a project doesn't have, such as an image, fall back to the page's own
+    setSocialMeta(values) {
+        Object.keys(SOCIAL_META_TAGS).forEach(key => {
+            SOCIAL_META_TAGS[key].forEach((name, index) => {
+                const tag = this.getMetaTag(name);
+                const value = values[key] || this.defaults[key][index];
+                if (tag && value) {
+                    tag.setAttribute('content', value);
+                }
+            });
+        });
+    }
+    
+    restoreSocialMeta() {
+        this.setSocialMeta({});
+    }
+}
+
+// ===== OFFLINE SUPPORT =====
+class ServiceWorkerManager {
+    constructor(options = CONFIG.serviceWorker) {
+        this.options = options;
+        this.toast = null;
+        this.waitingWorker = null;
+        this.reloadRequested = false;
+        this.isReloading = false;
+        this.init();
+    }
+    
+    init() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+        
+        navigator.serviceWorker.register(this.options.url)
+            .then(registration => this.watchRegistration(registration))
+            .catch(error => console.error('Service worker registration failed:', error));
+        
+        // The new worker took over: reload once so the page runs entirely on the new version.
+        // Only after the visitor asked for it; the first install also changes the controller
+        // when the worker claims the page.
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!this.reloadRequested || this.isReloading) return;
+            this.isReloading = true;
+            window.location.reload();
+        });
+    }
+    
+    watchRegistration(registration) {
+        // An update finished installing in an earlier visit and is still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdateToast(registration.waiting);
+        }
+        
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdateToast(worker);
+                }
+            });
+        });
+    }
+    
+    showUpdateToast(worker) {
+        this.waitingWorker = worker;
+        
+        if (this.toast) {
+            this.toast.hidden = false;
+            return;
+        }
+        
+        this.toast = document.createElement('div');
+        this.toast.className = 'update-toast';
+        this.toast.setAttribute('role', 'status');
+        this.toast.innerHTML = `
+            <p data-i18n="update.message">${escapeHTML(t('update.message'))}</p>
+            <button type="button" class="btn btn-primary" data-update="reload" data-i18n="update.reload">${escapeHTML(t('update.reload'))}</button>
+            <button type="button" class="update-toast-dismiss" data-update="dismiss" aria-label="${escapeHTML(t('update.dismiss'))}" data-i18n-attr="aria-label:update.dismiss">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+        
+        this.toast.querySelector('[data-update="reload"]').addEventListener('click', () => {
+            // The worker activates, controllerchange fires and the page reloads
+            this.reloadRequested = true;
+            this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+        });
+        
+        this.toast.querySelector('[data-update="dismiss"]').addEventListener('click', () => {
+            this.toast.hidden = true;
+        });
+        
+        document.body.appendChild(this.toast);
+    }
+}
+
+// ===== COMMAND PALETTE =====
+
+// Matches the query's characters in order anywhere in text, e.g. "gexp" in "Go to Experience".
+// Returns null or { score, indices }; runs of consecutive characters and word starts score highest.
+// Indices count code points, as highlightMatch does, so an emoji doesn't shift the highlight.
+function fuzzyMatch(query, text) {
+    const needle = Array.from(query.replace(/\s+/g, ''), char => char.toLowerCase());
+    const haystack = Array.from(String(text), char => char.toLowerCase());
+    const indices = [];
+    let score = 0;
+    let last = -1;
+    
+    if (!needle.length) return { score: 0, indices };
+    
+    for (const char of needle) {
+        const index = haystack.indexOf(char, last + 1);
+        if (index === -1) return null;
+        
+        if (index === last + 1) {
+            score += 5;
+        } else if (index === 0 || /[\s\-_/.(]/.test(haystack[index - 1])) {
+            score += 8;
+        } else {
+            score += 1;
+        }
+        
+        indices.push(index);
+        last = index;
+    }
+    
+    // Prefer matches that start early in shorter titles
+    return { score: score - indices[0] * 0.5 - haystack.length * 0.05, indices };
+}
+
+// Order of the groups when the palette opens without a query
+const COMMAND_GROUPS = ['sections', 'projects', 'experience', 'skills', 'actions'];
+
+// Wraps the characters at fuzzyMatch's indices in <mark>; text is escaped
+function highlightMatch(text, indices) {
+    const matched = new Set(indices);
+    return Array.from(String(text)).map((char, index) => (
+        matched.has(index) ? `<mark>${escapeHTML(char)}</mark>` : escapeHTML(char)
+    )).join('');
+}
+
+class CommandPalette {
+    constructor(router = null, content = null, options = CONFIG.commandPalette) {
+        this.router = router;
+        this.profile = content && content.profile ? content.profile : null;
+        this.options = options;
+        this.root = null;
+        this.results = [];
+        this.activeIndex = 0;
+        this.returnFocusTo = null;
+        this.init();
+    }
+    
+    init() {
+        this.buildPalette();
+        this.registerBuiltInCommands();
+        
+        shortcuts.register(this.options.shortcut, () => this.toggle(), { allowInInputs: true });
+        document.addEventListener('localechange', () => {
+            if (!this.root.hidden) this.render();
+        });
+    }
+    
+    buildPalette() {
+        this.root = document.createElement('div');
+        this.root.className = 'command-palette';
+        this.root.hidden = true;
+        this.root.innerHTML = `
+            <div class="command-palette-backdrop" data-palette-close></div>
+            <div class="command-palette-dialog" role="dialog" aria-modal="true" aria-label="${escapeHTML(t('commands.label'))}" data-i18n-attr="aria-label:commands.label">
+                <input type="text" class="command-palette-input" role="combobox" aria-expanded="true" aria-controls="command-palette-list" aria-autocomplete="list" autocomplete="off" spellcheck="false"
+                       placeholder="${escapeHTML(t('commands.placeholder'))}" aria-label="${escapeHTML(t('commands.placeholder'))}" data-i18n-attr="placeholder:commands.placeholder;aria-label:commands.placeholder">
+                <ul id="command-palette-list" class="command-palette-list" role="listbox" aria-label="${escapeHTML(t('commands.listLabel'))}" data-i18n-attr="aria-label:commands.listLabel"></ul>
+                <p class="command-palette-hint" data-i18n="commands.hint">${escapeHTML(t('commands.hint'))}</p>
+            </div>
+        `;
+        
+        // Outside the palette so results of a command are still announced once it has closed
+        this.statusElement = document.createElement('p');
+        this.statusElement.className = 'sr-only';
+        this.statusElement.setAttribute('role', 'status');
+        this.statusElement.setAttribute('aria-live', 'polite');
+        
+        this.input = this.root.querySelector('.command-palette-input');
+        this.list = this.root.querySelector('.command-palette-list');
+        
+        this.input.addEventListener('input', () => {
+            this.activeIndex = 0;
+            this.render();
+        });
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        
+        this.list.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option && Number(option.dataset.index) !== this.activeIndex) {
+                this.setActive(Number(option.dataset.index));
+            }
+        });
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.run(this.results[Number(option.dataset.index)].command);
+        });
+        
+        this.root.querySelector('[data-palette-close]').addEventListener('click', () => this.close());
+        
+        document.body.appendChild(this.root);
+        document.body.appendChild(this.statusElement);
+    }
+    
+    registerBuiltInCommands() {
+        document.querySelectorAll('section[id]:not([hidden])').forEach(section => {
+            commandRegistry.register({
+                id: `section.${section.id}`,
+                group: 'sections',
+                icon: 'fas fa-arrow-right',
+                title: () => this.getSectionTitle(section),
+                run: () => {
+                    if (this.router) {
+                        this.router.navigate(section.id);
+                    } else {
+                        smoothScrollTo(`#${section.id}`);
+                    }
+                }
+            });
+        });
+        
+        const resumeLink = document.querySelector('[data-resume-format="pdf"]');
+        if (resumeLink) {
+            commandRegistry.register({
+                id: 'resume.pdf',
+                group: 'actions',
+                icon: 'fas fa-download',
+                title: () => t('commands.downloadResume'),
+                keywords: ['cv', 'pdf'],
+                // Downloads the static resume.pdf
+                run: () => resumeLink.click()
+            });
+        }
+        
+        if (!this.profile) return;
+        
+        if (this.profile.email) {
+            commandRegistry.register({
+                id: 'contact.copyEmail',
+                group: 'actions',
+                icon: 'fas fa-envelope',
+                title: () => t('commands.copyEmail'),
+                keywords: [this.profile.email, 'mail', 'contact'],
+                run: () => this.copyEmail(this.profile.email)
+            });
+        }
+        
+        (this.profile.profiles || []).forEach(entry => {
+            commandRegistry.register({
+                id: `profile.${entry.network.toLowerCase()}`,
+                group: 'actions',
+                icon: `fab fa-${entry.network.toLowerCase()}`,
+                title: () => t('commands.openProfile', { network: entry.network }),
+                keywords: [entry.url],
+                run: () => window.open(entry.url, '_blank', 'noopener')
+            });
+        });
+    }
+    
+    getSectionTitle(section) {
+        const link = document.querySelector(`.nav-link[href="#${section.id}"]`);
+        const heading = section.querySelector('.section-title');
+        const title = (link || heading || {}).textContent;
+        return title ? title.trim() : section.id;
+    }
+    
+    async copyEmail(email) {
+        try {
+            await navigator.clipboard.writeText(email);
+            this.announce(t('commands.emailCopied', { email }));
+        } catch (error) {
+            // No clipboard access (e.g. an insecure origin); hand the address to the mail app instead
+            window.location.href = `mailto:${email}`;
+        }
+    }
+    
+    announce(message) {
+        this.statusElement.textContent = message;
+    }
+    
+    toggle() {
+        if (this.root.hidden) {
+            this.open();
+        } else {
+            this.close();
+        }
+    }
+    
+    open() {
+        this.returnFocusTo = document.activeElement;
+        this.root.hidden = false;
+        document.body.classList.add('modal-open');
+        this.input.value = '';
+        this.activeIndex = 0;
+        this.render();
+        this.input.focus();
+    }
+    
+    close() {
+        if (this.root.hidden) return;
+        
+        this.root.hidden = true;
+        document.body.classList.remove('modal-open');
+        
+        if (this.returnFocusTo && typeof this.returnFocusTo.focus === 'function') {
+            this.returnFocusTo.focus();
+        }
+        this.returnFocusTo = null;
+    }
+    
+    handleKeydown(e) {
+        const count = this.results.length;
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (count) {
+                this.setActive((this.activeIndex + (e.key === 'ArrowDown' ? 1 : -1) + count) % count);
+            }
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (count) this.run(this.results[this.activeIndex].command);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'Tab') {
+            // The input is the only stop inside the dialog
+            e.preventDefault();
+        }
+    }
+    
+    getRecentIds() {
+        try {
+            const ids = JSON.parse(localStorage.getItem(this.options.storageKey) || '[]');
+            return Array.isArray(ids) ? ids : [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    remember(id) {
+        const ids = [id].concat(this.getRecentIds().filter(entry => entry !== id)).slice(0, this.options.historySize);
+        
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify(ids));
+        } catch (error) {
+            console.warn('Could not store recent commands:', error);
+        }
+    }
+    
+    // Without a query: recent commands, then everything else by group
+    search(query) {
+        const resolve = (value) => typeof value === 'function' ? value() : value;
+        const commands = commandRegistry.getAll();
+        
+        if (!query.trim()) {
+            const recent = this.getRecentIds().map(id => commandRegistry.get(id)).filter(Boolean);
+            const groupIndex = (command) => {
+                const index = COMMAND_GROUPS.indexOf(command.group);
+                return index === -1 ? COMMAND_GROUPS.length : index;
+            };
+            
+            return recent.map(command => ({ command, recent: true, indices: [] }))
+                .concat(commands
+                    .filter(command => !recent.includes(command))
+                    .sort((a, b) => groupIndex(a) - groupIndex(b))
+                    .map(command => ({ command, indices: [] })));
+        }
+        
+        return commands.map(command => {
+            const titleMatch = fuzzyMatch(query, resolve(command.title));
+            const keywordScores = (resolve(command.keywords) || [])
+                .map(keyword => fuzzyMatch(query, keyword))
+                .filter(Boolean)
+                .map(match => match.score - 10);
+            const best = Math.max(titleMatch ? titleMatch.score : -Infinity, ...keywordScores);
+            
+            return best === -Infinity ? null : { command, score: best, indices: titleMatch ? titleMatch.indices : [] };
+        })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.options.maxResults);
+    }
+    
+    render() {
+        this.results = this.search(this.input.value);
+        this.activeIndex = Math.min(this.activeIndex, Math.max(0, this.results.length - 1));
+        
+        if (!this.results.length) {
+            this.list.innerHTML = `<li class="command-palette-empty" role="presentation">${escapeHTML(t('commands.empty'))}</li>`;
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+        
+        this.list.innerHTML = this.results.map((result, index) => {
+            const command = result.command;
+            const title = typeof command.title === 'function' ? command.title() : command.title;
+            const group = t(result.recent ? 'commands.group.recent' : `commands.group.${command.group}`);
+            
+            return `
+                <li id="command-option-${index}" class="command-option" role="option" aria-selected="${index === this.activeIndex}" data-index="${index}">
+                    <i class="${escapeHTML(command.icon || 'fas fa-terminal')}" aria-hidden="true"></i>
+                    <span class="command-title">${highlightMatch(title, result.indices)}</span>
+                    <span class="command-group">${escapeHTML(group)}</span>
+                </li>`;
+        }).join('');
+        
+        this.setActive(this.activeIndex);
+    }
+    
+    setActive(index) {
+        this.activeIndex = index;
+        
+        this.list.querySelectorAll('[role="option"]').forEach(option => {
+            option.setAttribute('aria-selected', String(Number(option.dataset.index) === index));
+        });
+        
+        const active = this.list.querySelector(`#command-option-${index}`);
+        if (active) {
+            this.input.setAttribute('aria-activedescendant', active.id);
+            if (active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+        }
+    }
+    
+    run(command) {
+        this.remember(command.id);
+        this.close();
+        
+        try {
+            command.run();
+        } catch (error) {
+            console.error(`Command "${command.id}" failed:`, error);
+        }
+    }
+}
+
+// ===== ASSISTANT =====
+
+// Words too common to tell passages apart, in the site's three locales
+const STOP_WORDS = new Set([
+    'a', 'about', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'by', 'can', 'did', 'do', 'does', 'for', 'from',
+    'has', 'have', 'he', 'his', 'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'tell', 'that',
+    'the', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'with', 'you', 'your',
+    'como', 'con', 'cual', 'de', 'del', 'el', 'en', 'es', 'la', 'las', 'los', 'para', 'por', 'que', 'se',
+    'su', 'un', 'una', 'y',
+    'ang', 'ano', 'ay', 'ba', 'mga', 'na', 'ng', 'niya', 'sa', 'si'
+]);
+
+// Enough stemming for plurals, so "projects" finds "project" and "proyectos" finds "proyecto"
+function stemWord(word) {
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+// Lower-case words without accents or stop words
+function tokenize(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word && !STOP_WORDS.has(word))
+        .map(stemWord);
+}
+
+// Okapi BM25 over short passages, with the usual k1 and b
+class SearchIndex {
+    constructor({ k1 = 1.2, b = 0.75 } = {}) {
+        this.k1 = k1;
+        this.b = b;
+        this.entries = [];
+        this.passages = new Map();
+        // Number of passages each term appears in
+        this.documentFrequency = new Map();
+        this.totalLength = 0;
+    }
+    
+    // Titles are counted twice, so a passage named after the query outranks one that only mentions it
+    add(passage) {
+        const tokens = tokenize(`${passage.title} ${passage.title} ${passage.text}`);
+        const frequencies = new Map();
+        
+        tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+        frequencies.forEach((count, token) => {
+            this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1);
+        });
+        
+        this.entries.push({ passage, frequencies, length: tokens.length });
+        this.passages.set(passage.id, passage);
+        this.totalLength += tokens.length;
+    }
+    
+    get(id) {
+        return this.passages.get(id) || null;
+    }
+    
+    search(query, limit = 5) {
+        const terms = Array.from(new Set(tokenize(query)));
+        const count = this.entries.length;
+        
+        if (!terms.length || !count) return [];
+        
+        const averageLength = this.totalLength / count;
+        
+        return this.entries.map(entry => {
+            const score = terms.reduce((sum, term) => {
+                const frequency = entry.frequencies.get(term);
+                if (!frequency) return sum;
+                
+                const passages = this.documentFrequency.get(term);
+                const idf = Math.log(1 + (count - passages + 0.5) / (passages + 0.5));
+                const lengthNorm = 1 - this.b + this.b * entry.length / averageLength;
+                return sum + idf * frequency * (this.k1 + 1) / (frequency + this.k1 * lengthNorm);
+            }, 0);
+            
+            return { passage: entry.passage, score };
+        })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+// The sentence with the most query terms, cut to about length characters starting near the first of them
+function buildSnippet(text, terms, length = 180) {
+    const matches = (value) => tokenize(value).filter(token => terms.includes(token)).length;
+    const sentences = text.replace(/([.!?])\s+/g, '$1\n').split('\n');
+    const best = sentences.reduce((top, sentence) => matches(sentence) > matches(top) ? sentence : top, sentences[0]).trim();
+    
+    if (best.length <= length) return best;
+    
+    const words = best.split(' ');
+    const first = words.findIndex(word => matches(word) > 0);
+    // A few words of context before the first match
+    const start = Math.max(0, first - 3);
+    let snippet = '';
+    
+    for (const word of words.slice(start)) {
+        if (snippet && snippet.length + word.length + 1 > length) break;
+        snippet = snippet ? `${snippet} ${word}` : word;
+    }
+    
+    const end = best.indexOf(snippet) + snippet.length;
+    return `${start > 0 ? '…' : ''}${snippet}${end < best.length ? '…' : ''}`;
+}
+
+// Escapes text and wraps the words that match one of terms in <mark>
+function highlightTerms(text, terms) {
+    return String(text).split(/([\p{L}\p{N}]+)/u).map((part, index) => (
+        index % 2 === 1 && tokenize(part).some(token => terms.includes(token)) ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part)
+    )).join('');
+}
+
+// Visible text only; the screen-reader copy of animated values would otherwise be read twice
+function readVisibleText(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('[aria-hidden="true"], script, style').forEach(node => node.remove());
+    return clone.textContent.replace(/\s+/g, ' ').trim();
+}
+
+// Passages are read from the rendered page, so answers follow the current language and content.
+// element is where a citation scrolls to; section is the fallback once the page has re-rendered.
+function collectAssistantPassages(root = document) {
+    const text = (element, selector) => {
+        const node = element.querySelector(selector);
+        return node ? readVisibleText(node) : '';
+    };
+    const passages = [];
+    
+    root.querySelectorAll('.project-card[data-project-id]').forEach(card => {
+        const tags = Array.from(card.querySelectorAll('.tech-tag')).map(tag => tag.textContent.trim());
+        passages.push({
+            id: `project.${card.dataset.projectId}`,
+            section: 'projects',
+            title: text(card, '.project-title'),
+            text: `${text(card, '.project-description')} ${tags.join(', ')}`,
+            element: card
+        });
+    });
+    
+    root.querySelectorAll('.timeline-item').forEach((item, index) => {
+        const skills = Array.from(item.querySelectorAll('.timeline-skills > *')).map(skill => skill.textContent.trim());
+        passages.push({
+            id: `role.${index}`,
+            section: 'experience',
+            title: t('commands.role', { title: text(item, '.timeline-title'), company: text(item, '.timeline-company') }),
+            text: `${text(item, '.timeline-date')}. ${text(item, '.timeline-description')} ${skills.join(', ')}`,
+            element: item
+        });
+    });
+    
+    root.querySelectorAll('.skill-category').forEach((category, index) => {
+        const items = Array.from(category.querySelectorAll('.skill-item')).map(readVisibleText);
+        passages.push({
+            id: `skills.${index}`,
+            section: 'skills',
+            title: text(category, '.category-title'),
+            text: items.join(', '),
+            element: category
+        });
+    });
+    
+    // Everything else is indexed paragraph by paragraph under its section's title
+    root.querySelectorAll('section[id]').forEach(section => {
+        // The hero has no section title; its h1 also holds the typewriter's roles
+        const title = text(section, '.section-title, .hero-name') || section.id;
+        
+        Array.from(section.querySelectorAll('p, .highlight-item, .stat-item, .contact-item'))
+            .filter(element => !element.closest('.project-card, .timeline-item, .skill-category, form, [hidden]'))
+            .forEach((element, index) => {
+                const value = readVisibleText(element);
+                if (!value) return;
+                
+                passages.push({ id: `section.${section.id}.${index}`, section: section.id, title, text: value, element });
+            });
+    });
+    
+    return passages;
+}
+
+class AssistantBackendError extends Error {
+    constructor(message, { status = 0, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'AssistantBackendError';
+        this.status = status;
+        // Seconds from the Retry-After header of a 429 response
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Reads a streamed reply, calling onDelta with each piece of text as it arrives. Server-sent
+// events carry data: {"delta": "..."} lines and may end early with data: [DONE]; any other
+// response is read as plain text.
+async function readAnswerStream(response, onDelta) {
+    const eventStream = (response.headers.get('Content-Type') || '').includes('text/event-stream');
+    let text = '';
+    let buffer = '';
+    let finished = false;
+    
+    const emit = (delta) => {
+        if (typeof delta !== 'string' || !delta) return;
+        text += delta;
+        onDelta(delta);
+    };
+    
+    const readEvents = (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        
+        lines.forEach(line => {
+            if (finished || !line.startsWith('data:')) return;
+            
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') {
+                finished = true;
+                return;
+            }
+            
+            try {
+                emit(JSON.parse(data).delta);
+            } catch (error) {
+                emit(data);
+            }
+        });
+    };
+    
+    const handle = eventStream ? readEvents : emit;
+    
+    // Browsers without streamed response bodies get the reply in one piece
+    if (!response.body || typeof response.body.getReader !== 'function') {
+        handle(await response.text());
+    } else {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        
+        while (!finished) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            handle(decoder.decode(value, { stream: true }));
+        }
+        
+        if (finished) {
+            reader.cancel().catch(() => {});
+        } else {
+            handle(decoder.decode());
+        }
+    }
+    
+    // The last event may not end with a newline
+    if (eventStream) readEvents('\n');
+    return text;
+}
+
+// Optional answer backends, selected with CONFIG.assistant.backend. Without one, or when it fails,
+// the assistant answers with the matching passages alone.
+const ASSISTANT_BACKENDS = {
+    // POSTs { question, locale, history, passages } as JSON and streams the reply back.
+    // scripts/assistant-mock-server.js implements it for local development.
+    http: (options) => ({
+        load() {
+            if (!options.endpoint) {
+                throw new Error('HTTP assistant backend requires CONFIG.assistant.http.endpoint');
+            }
+        },
+        async answer(request, { signal, onDelta }) {
+            const response = await fetch(options.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream, text/plain'
+                },
+                body: JSON.stringify(request),
+                signal
             });
+            
+            if (!response.ok) {
+                const retryAfter = Number(response.headers.get('Retry-After')) || null;
+                throw new AssistantBackendError(`Assistant request failed with status ${response.status}`, {
+                    status: response.status,
+                    retryAfter
+                });
+            }
+            
+            const text = await readAnswerStream(response, onDelta);
+            if (!text.trim()) {
+                throw new AssistantBackendError('Assistant returned an empty answer', { status: response.status });
+            }
+            return text;
+        }
+    })
+};
+
+class AssistantWidget {
+    constructor(options = CONFIG.assistant) {
+        this.options = options;
+        this.backend = null;
+        this.index = null;
+        this.history = this.loadHistory();
+        // When recent questions went to the backend, for the client-side rate limit
+        this.requestTimes = [];
+        this.controller = null;
+        this.busy = false;
+        this.init();
+    }
+    
+    init() {
+        this.createBackend();
+        this.buildWidget();
+        this.renderLog();
+        
+        document.addEventListener('localechange', () => {
+            this.index = null;
+            this.renderLog();
+        });
+        
+        commandRegistry.register({
+            id: 'assistant.open',
+            group: 'actions',
+            icon: 'fas fa-comment-dots',
+            title: () => t('assistant.title'),
+            keywords: ['chat', 'ask', 'question'],
+            run: () => this.open()
+        });
+    }
+    
+    createBackend() {
+        if (!this.options.backend) return;
+        
+        const createBackend = ASSISTANT_BACKENDS[this.options.backend];
+        if (!createBackend) {
+            console.warn(`Unknown assistant backend "${this.options.backend}"; answering from the page only`);
+            return;
+        }
+        
+        try {
+            const backend = createBackend(this.options[this.options.backend] || {});
+            if (backend.load) backend.load();
+            this.backend = backend;
+        } catch (error) {
+            console.warn('Assistant backend failed to load; answering from the page only:', error);
+        }
+    }
+    
+    buildWidget() {
+        this.toggleButton = document.createElement('button');
+        this.toggleButton.type = 'button';
+        this.toggleButton.className = 'assistant-toggle';
+        this.toggleButton.setAttribute('aria-expanded', 'false');
+        this.toggleButton.setAttribute('aria-controls', 'assistant-panel');
+        this.toggleButton.innerHTML = `
+            <i class="fas fa-comment-dots" aria-hidden="true"></i>
+            <span class="sr-only" data-i18n="assistant.title">${escapeHTML(t('assistant.title'))}</span>
+        `;
+        
+        // Not a <section>: the command palette and the index treat those as page sections
+        this.panel = document.createElement('div');
+        this.panel.id = 'assistant-panel';
+        this.panel.className = 'assistant';
+        this.panel.hidden = true;
+        this.panel.setAttribute('role', 'dialog');
+        this.panel.setAttribute('aria-labelledby', 'assistant-title');
+        this.panel.innerHTML = `
+            <div class="assistant-header">
+                <h2 id="assistant-title" class="assistant-title" data-i18n="assistant.title">${escapeHTML(t('assistant.title'))}</h2>
+                <button type="button" class="assistant-action" data-assistant-clear aria-label="${escapeHTML(t('assistant.clear'))}" data-i18n-attr="aria-label:assistant.clear">
+                    <i class="fas fa-trash-alt" aria-hidden="true"></i>
+                </button>
+                <button type="button" class="assistant-action" data-assistant-close aria-label="${escapeHTML(t('assistant.close'))}" data-i18n-attr="aria-label:assistant.close">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </div>
+            <div class="assistant-log" role="log" aria-live="polite" aria-labelledby="assistant-title"></div>
+            <form class="assistant-form">
+                <input type="text" class="assistant-input" maxlength="${this.options.maxLength}" autocomplete="off"
+                       placeholder="${escapeHTML(t('assistant.placeholder'))}" aria-label="${escapeHTML(t('assistant.placeholder'))}" data-i18n-attr="placeholder:assistant.placeholder;aria-label:assistant.placeholder">
+                <button type="submit" class="assistant-send" aria-label="${escapeHTML(t('assistant.send'))}" data-i18n-attr="aria-label:assistant.send">
+                    <i class="fas fa-paper-plane" aria-hidden="true"></i>
+                </button>
+            </form>
+        `;
+        
+        this.log = this.panel.querySelector('.assistant-log');
+        this.form = this.panel.querySelector('.assistant-form');
+        this.input = this.panel.querySelector('.assistant-input');
+        this.sendButton = this.panel.querySelector('.assistant-send');
+        
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        this.panel.querySelector('[data-assistant-close]').addEventListener('click', () => this.close());
+        this.panel.querySelector('[data-assistant-clear]').addEventListener('click', () => this.clear());
+        
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.ask(this.input.value);
+        });
+        
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            }
+        });
+        
+        this.log.addEventListener('click', (e) => {
+            const link = e.target.closest('.assistant-source');
+            if (!link) return;
+            
+            e.preventDefault();
+            this.showSource(link.dataset.sourceId, link.getAttribute('href'));
         });
+        
+        document.body.appendChild(this.toggleButton);
+        document.body.appendChild(this.panel);
+    }
+    
+    toggle() {
+        if (this.panel.hidden) {
+            this.open();
+        } else {
+            this.close();
+        }
+    }
+    
+    open() {
+        // The GitHub feed, the blog or the language may have changed the page since the last visit
+        this.index = null;
+        this.panel.hidden = false;
+        this.toggleButton.setAttribute('aria-expanded', 'true');
+        this.scrollLog();
+        this.input.focus();
+    }
+    
+    close() {
+        if (this.panel.hidden) return;
+        
+        const hadFocus = this.panel.contains(document.activeElement);
+        this.panel.hidden = true;
+        this.toggleButton.setAttribute('aria-expanded', 'false');
+        
+        if (hadFocus) {
+            this.toggleButton.focus();
+        }
+    }
+    
+    clear() {
+        // An answer still streaming is dropped along with the rest of the conversation
+        if (this.controller) {
+            this.controller.abort();
+        }
+        this.history = [];
+        this.saveHistory();
+        this.renderLog();
+        this.input.focus();
+    }
+    
+    getIndex() {
+        if (!this.index) {
+            this.index = new SearchIndex();
+            collectAssistantPassages().forEach(passage => this.index.add(passage));
+        }
+        return this.index;
+    }
+    
+    loadHistory() {
+        try {
+            const history = JSON.parse(sessionStorage.getItem(this.options.storageKey) || '[]');
+            return Array.isArray(history) ? history.filter(message => message && ['user', 'assistant'].includes(message.role)) : [];
+        } catch (error) {
+            return [];
+        }
     }
     
-    setupFormAnimations() {
-        // Add floating label effect for any form inputs
-        const formInputs = document.querySelectorAll('input, textarea');
+    saveHistory() {
+        this.history = this.history.slice(-this.options.historySize);
         
-        formInputs.forEach(input => {
-            input.addEventListener('focus', () => {
-                input.parentElement.classList.add('focused');
-            });
-            
-            input.addEventListener('blur', () => {
-                if (!input.value) {
-                    input.parentElement.classList.remove('focused');
-                }
-            });
-        });
+        try {
+            sessionStorage.setItem(this.options.storageKey, JSON.stringify(this.history));
+        } catch (error) {
+            // Storage is full or disabled; the conversation just won't survive a reload
+        }
     }
-}
-
-// ===== PERFORMANCE OPTIMIZATIONS =====
-class PerformanceManager {
-    constructor() {
-        this.init();
+    
+    // Client-side only, to keep bursts of questions off the endpoint, which must still enforce its own
+    // limit. Returns the milliseconds until the next question may go to the backend.
+    getRateLimitWait() {
+        const now = Date.now();
+        const { max, window: duration } = this.options.rateLimit;
+        
+        this.requestTimes = this.requestTimes.filter(time => now - time < duration);
+        return this.requestTimes.length < max ? 0 : this.requestTimes[0] + duration - now;
     }
     
-    init() {
-        this.setupLazyLoading();
-        this.preloadCriticalResources();
-        this.optimizeAnimations();
+    async ask(value) {
+        const question = value.trim();
+        if (!question || this.busy) return;
+        
+        this.input.value = '';
+        this.history.push({ role: 'user', text: question });
+        this.appendMessage(this.history[this.history.length - 1]);
+        
+        const terms = tokenize(question);
+        const results = this.getIndex().search(question, this.options.maxSources);
+        // Answers without a backend are stored as translation keys, so they follow a language switch
+        const reply = {
+            role: 'assistant',
+            key: results.length ? 'assistant.found' : 'assistant.noResults',
+            terms,
+            sources: results.map(result => ({
+                id: result.passage.id,
+                section: result.passage.section,
+                title: result.passage.title,
+                snippet: buildSnippet(result.passage.text, terms, this.options.snippetLength)
+            }))
+        };
+        this.history.push(reply);
+        
+        const wait = this.backend && results.length ? this.getRateLimitWait() : 0;
+        
+        if (wait) {
+            reply.note = 'assistant.rateLimited';
+            reply.noteParams = { seconds: Math.ceil(wait / 1000) };
+        } else if (this.backend && results.length) {
+            await this.askBackend(question, results, reply);
+            // Cleared while the answer was streaming
+            if (!this.history.includes(reply)) return;
+        }
+        
+        this.saveHistory();
+        const element = this.log.querySelector('.assistant-message-pending');
+        if (element) {
+            element.outerHTML = this.renderMessage(reply);
+        } else {
+            this.appendMessage(reply);
+        }
+        this.scrollLog();
     }
     
-    setupLazyLoading() {
-        const images = document.querySelectorAll('img[data-src]');
+    async askBackend(question, results, reply) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.options.timeout);
+        const element = this.appendMessage({ role: 'assistant', key: 'assistant.thinking' });
+        const body = element.querySelector('.assistant-text-body');
+        let streamed = '';
         
-        const imageObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const img = entry.target;
-                    img.src = img.dataset.src;
-                    img.classList.add('loaded');
-                    imageObserver.unobserve(img);
+        element.classList.add('assistant-message-pending');
+        this.controller = controller;
+        this.setBusy(true);
+        this.requestTimes.push(Date.now());
+        
+        try {
+            reply.text = await this.backend.answer({
+                question,
+                locale: i18n.locale,
+                // Earlier turns only; the question itself is sent on its own
+                history: this.history.slice(0, -2).slice(-this.options.historyContext).map(message => ({
+                    role: message.role,
+                    content: message.text || t(message.key)
+                })),
+                passages: results.map(result => ({
+                    id: result.passage.id,
+                    title: result.passage.title,
+                    text: result.passage.text
+                }))
+            }, {
+                signal: controller.signal,
+                onDelta: (delta) => {
+                    streamed += delta;
+                    body.textContent = streamed;
+                    this.scrollLog();
                 }
             });
-        });
-        
-        images.forEach(img => imageObserver.observe(img));
+            delete reply.key;
+        } catch (error) {
+            if (this.history.includes(reply)) {
+                console.warn('Assistant backend failed; answering from the page only:', error);
+                
+                if (error.status === 429) {
+                    reply.note = 'assistant.rateLimited';
+                    reply.noteParams = { seconds: error.retryAfter || Math.ceil(this.options.rateLimit.window / 1000) };
+                } else {
+                    reply.note = 'assistant.backendFailed';
+                }
+            }
+        } finally {
+            clearTimeout(timer);
+            this.controller = null;
+            this.setBusy(false);
+        }
     }
     
-    preloadCriticalResources() {
-        // Preload hero image and other critical assets
-        const criticalImages = [
-            'assets/img/profile.jpg',
-            'assets/img/project-kendi.jpg',
-            'assets/img/project-automation.jpg',
-            'assets/img/project-copilot.jpg'
-        ];
-        
-        criticalImages.forEach(src => {
-            const link = document.createElement('link');
-            link.rel = 'preload';
-            link.as = 'image';
-            link.href = src;
-            document.head.appendChild(link);
-        });
+    setBusy(busy) {
+        this.busy = busy;
+        this.sendButton.disabled = busy;
+        // Screen readers wait for the whole answer instead of reading every streamed piece
+        this.log.setAttribute('aria-busy', String(busy));
     }
     
-    optimizeAnimations() {
-        // Reduce animations for users who prefer reduced motion
-        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
-            document.documentElement.style.setProperty('--transition-fast', '0.01ms');
-            document.documentElement.style.setProperty('--transition-normal', '0.01ms');
-            document.documentElement.style.setProperty('--transition-slow', '0.01ms');
-        }
+    renderMessage(message) {
+        const speaker = t(message.role === 'user' ? 'assistant.you' : 'assistant.name');
+        const text = message.text || t(message.key);
+        const note = message.note ? `
+                <p class="assistant-note">${escapeHTML(t(message.note, message.noteParams))}</p>` : '';
+        const sources = message.sources && message.sources.length ? `
+                <div class="assistant-sources">
+                    <p class="assistant-sources-title">${escapeHTML(t('assistant.sources'))}</p>
+                    <ol>${message.sources.map(source => `
+                        <li>
+                            <a href="#${escapeHTML(source.section)}" class="assistant-source" data-source-id="${escapeHTML(source.id)}">${escapeHTML(source.title)}</a>
+                            <span class="assistant-snippet">${highlightTerms(source.snippet, message.terms || [])}</span>
+                        </li>`).join('')}
+                    </ol>
+                </div>` : '';
+        
+        return `
+            <div class="assistant-message assistant-message-${message.role === 'user' ? 'user' : 'assistant'}">
+                <p class="assistant-text"><span class="sr-only">${escapeHTML(speaker)}: </span><span class="assistant-text-body">${escapeHTML(text)}</span></p>${note}${sources}
+            </div>`;
     }
-}
-
-// ===== CONTACT FORM FUNCTIONALITY =====
-class ContactManager {
-    constructor() {
-        this.init();
+    
+    appendMessage(message) {
+        this.log.insertAdjacentHTML('beforeend', this.renderMessage(message));
+        this.scrollLog();
+        return this.log.lastElementChild;
     }
     
-    init() {
-        this.setupContactLinks();
-        this.setupDownloadTracking();
+    renderLog() {
+        this.log.innerHTML = `
+            <div class="assistant-message assistant-message-assistant">
+                <p class="assistant-text">${escapeHTML(t('assistant.intro'))}</p>
+            </div>${this.history.map(message => this.renderMessage(message)).join('')}`;
+        this.scrollLog();
     }
     
-    setupContactLinks() {
-        // Add click tracking for contact links
-        const contactLinks = document.querySelectorAll('a[href^="mailto:"], a[href^="tel:"]');
-        
-        contactLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                // Track contact interactions
-                const linkType = link.href.startsWith('mailto:') ? 'email' : 'phone';
-                console.log(`Contact interaction: ${linkType}`);
-                
-                // You can add analytics tracking here
-                if (typeof gtag !== 'undefined') {
-                    gtag('event', 'contact_click', {
-                        'contact_method': linkType
-                    });
-                }
-            });
-        });
+    scrollLog() {
+        this.log.scrollTop = this.log.scrollHeight;
     }
     
-    setupDownloadTracking() {
-        // Track resume downloads
-        const downloadLinks = document.querySelectorAll('a[download]');
+    // Passages from before a re-render are gone; their section is the next best target
+    showSource(id, hash) {
+        const passage = this.getIndex().get(id);
+        const target = passage && passage.element.isConnected ? passage.element : document.querySelector(hash);
+        if (!target) return;
         
-        downloadLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                console.log('Resume download initiated');
-                
-                // You can add analytics tracking here
-                if (typeof gtag !== 'undefined') {
-                    gtag('event', 'file_download', {
-                        'file_name': 'resume.pdf'
-                    });
-                }
-            });
-        });
+        smoothScrollTo(target);
+        target.classList.add('cited');
+        setTimeout(() => target.classList.remove('cited'), 2000);
+        
+        // The panel covers most of a phone screen
+        if (window.matchMedia(CONFIG.navigation.mobileQuery).matches) {
+            this.close();
+        }
     }
 }
 
@@ -522,7 +6281,6 @@ class ContactManager {
 class EasterEggs {
     constructor() {
         this.konamiCode = ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight', 'KeyB', 'KeyA'];
-        this.userInput = [];
         this.init();
     }
     
@@ -532,14 +6290,7 @@ class EasterEggs {
     }
     
     setupKonamiCode() {
-        document.addEventListener('keydown', (e) => {
-            this.userInput.push(e.code);
-            this.userInput = this.userInput.slice(-this.konamiCode.length);
-            
-            if (this.userInput.join(',') === this.konamiCode.join(',')) {
-                this.activateEasterEgg();
-            }
-        });
+        shortcuts.registerSequence(this.konamiCode, () => this.activateEasterEgg());
     }
     
     activateEasterEgg() {
@@ -548,7 +6299,7 @@ class EasterEggs {
         
         // Show message
         const message = document.createElement('div');
-        message.innerHTML = '🎉 You found the secret! Automation magic activated! 🎉';
+        message.textContent = t('easterEgg.message');
         message.style.cssText = `
             position: fixed;
             top: 50%;
@@ -573,28 +6324,366 @@ class EasterEggs {
     }
     
     setupConsoleMessage() {
-        console.log(`
-        🚀 Welcome to Marvin's Portfolio!
+        console.log(`\n${t('console.banner')}\n`);
+    }
+}
+
+// ===== ERROR REPORTING =====
+
+// Reporters receive batches of reports built by ErrorReporter.report()
+const ERROR_REPORTERS = {
+    // Logs batches instead of sending them; the default while developing
+    console: () => ({
+        send(reports) {
+            reports.forEach(report => console.warn(`[errors] ${report.type}: ${report.message}`, report));
+        }
+    }),
+    
+    // Self-hosted collector receiving the whole batch in one request
+    beacon: (options) => ({
+        load() {
+            if (!options.endpoint) {
+                throw new Error('Beacon reporter requires CONFIG.errors.beacon.endpoint');
+            }
+        },
+        send(reports) {
+            const payload = JSON.stringify({ page: window.location.pathname, userAgent: navigator.userAgent, reports });
+            
+            if (navigator.sendBeacon && navigator.sendBeacon(options.endpoint, payload)) {
+                return;
+            }
+            
+            // A failed delivery is only logged; reporting it would loop
+            fetch(options.endpoint, {
+                method: 'POST',
+                keepalive: true,
+                headers: { 'Content-Type': 'application/json' },
+                body: payload
+            }).catch(error => console.warn('Error report beacon failed:', error));
+        }
+    })
+};
+
+class ErrorReporter {
+    constructor(options = CONFIG.errors) {
+        this.options = options;
+        this.provider = null;
+        this.queue = [];
+        this.flushTimer = null;
+        // Every distinct report this page view, keyed by fingerprint; repeats only raise the count
+        this.seen = new Map();
+        this.listeners = [];
+    }
+    
+    install() {
+        // Sampling is decided once per page view, so a sampled visit reports all of its errors
+        if (Math.random() < this.options.sampleRate) {
+            this.enable();
+        }
+        
+        // Failed <img>, <script> and <link> loads don't bubble; they are only seen while capturing
+        window.addEventListener('error', (event) => this.handleErrorEvent(event), true);
+        window.addEventListener('unhandledrejection', (event) => {
+            this.report(event.reason, { type: 'unhandledrejection' });
+        });
+        
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+        window.addEventListener('pagehide', () => this.flush());
+        
+        this.checkLoadedImages();
+    }
+    
+    enable() {
+        const createProvider = ERROR_REPORTERS[this.options.reporter];
+        if (!createProvider) {
+            console.warn(`Unknown error reporter "${this.options.reporter}"`);
+            return;
+        }
         
-        Interested in the code? Check out the GitHub repository!
+        try {
+            const provider = createProvider(this.options[this.options.reporter] || {});
+            if (provider.load) provider.load();
+            this.provider = provider;
+        } catch (error) {
+            console.warn('Error reporter failed to load:', error);
+        }
+    }
+    
+    handleErrorEvent(event) {
+        const target = event.target;
+        
+        if (target && target !== window && target.nodeType === 1) {
+            this.reportResource(target);
+        } else {
+            // Cross-origin scripts only expose "Script error." without an Error object
+            this.report(event.error || event.message, {
+                type: 'error',
+                source: event.filename ? `${event.filename}:${event.lineno}:${event.colno}` : null
+            });
+        }
+    }
+    
+    // Images in the HTML can fail before this script runs, so look for them once at start-up
+    checkLoadedImages() {
+        Array.from(document.images).forEach(image => {
+            if (image.complete && image.naturalWidth === 0 && image.getAttribute('src')) {
+                this.reportResource(image);
+            }
+        });
+    }
+    
+    reportResource(element) {
+        const url = element.currentSrc || element.src || element.href || '';
+        const tag = element.tagName.toLowerCase();
+        
+        this.report(`Failed to load ${tag} ${url}`, { type: 'resource', source: url });
+    }
+    
+    report(error, { type = 'error', component = null, source = null } = {}) {
+        // Errors from other frames fail instanceof, so check the shape instead
+        const isError = !!error && typeof error.message === 'string';
+        const report = {
+            type,
+            name: isError && error.name ? error.name : 'Error',
+            message: isError ? error.message : String(error),
+            stack: isError && error.stack ? String(error.stack).split('\n').slice(0, 10).join('\n') : undefined,
+            component,
+            source,
+            url: window.location.href,
+            timestamp: Date.now(),
+            count: 1
+        };
+        
+        // De-duplicate on what the error is, not where or when it happened
+        const fingerprint = [type, report.name, report.message, component, source].join('|');
+        const existing = this.seen.get(fingerprint);
+        
+        if (existing) {
+            existing.count++;
+            this.notify(existing);
+            return;
+        }
+        
+        if (this.seen.size >= this.options.maxReports) return;
+        
+        this.seen.set(fingerprint, report);
+        this.notify(report);
+        
+        if (!this.provider) return;
+        
+        this.queue.push(report);
+        
+        if (this.queue.length >= this.options.batchSize) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
+        }
+    }
+    
+    getReports() {
+        return Array.from(this.seen.values());
+    }
+    
+    // Listeners see every report, sampled or not; returns an unsubscribe function
+    onReport(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(entry => entry !== listener);
+        };
+    }
+    
+    notify(report) {
+        this.listeners.forEach(listener => listener(report));
+    }
+    
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        
+        if (!this.queue.length || !this.provider) return;
+        
+        const reports = this.queue;
+        this.queue = [];
+        
+        try {
+            this.provider.send(reports);
+        } catch (error) {
+            console.warn('Error reporter failed to send reports:', error);
+        }
+    }
+}
+
+// ===== DIAGNOSTICS OVERLAY =====
+
+// Good / poor boundaries from https://web.dev/articles/vitals
+const WEB_VITALS = {
+    LCP: { good: 2500, poor: 4000, unit: 'ms' },
+    CLS: { good: 0.1, poor: 0.25, unit: '' },
+    INP: { good: 200, poor: 500, unit: 'ms' }
+};
+
+// Developer panel opened with ?debug=1; it is English-only and never shown to regular visitors
+class DiagnosticsOverlay {
+    static isRequested() {
+        return new URLSearchParams(window.location.search).get(CONFIG.diagnostics.param) === '1';
+    }
+    
+    constructor(errorReporter, components) {
+        this.errorReporter = errorReporter;
+        this.components = components;
+        this.vitals = {};
+        this.panel = null;
+        this.renderScheduled = false;
+        this.init();
+    }
+    
+    init() {
+        this.panel = document.createElement('aside');
+        this.panel.className = 'diagnostics';
+        this.panel.setAttribute('aria-label', 'Diagnostics');
+        this.panel.innerHTML = `
+            <div class="diagnostics-header">
+                <strong>Diagnostics</strong>
+                <button type="button" class="diagnostics-toggle" aria-expanded="true">Hide</button>
+            </div>
+            <div class="diagnostics-body"></div>
+        `;
+        
+        this.body = this.panel.querySelector('.diagnostics-body');
+        const toggle = this.panel.querySelector('.diagnostics-toggle');
+        toggle.addEventListener('click', () => {
+            const expanded = toggle.getAttribute('aria-expanded') === 'true';
+            toggle.setAttribute('aria-expanded', String(!expanded));
+            toggle.textContent = expanded ? 'Show' : 'Hide';
+            this.body.hidden = expanded;
+        });
+        
+        document.body.appendChild(this.panel);
+        
+        this.errorReporter.onReport(() => this.scheduleRender());
+        this.observeWebVitals();
+        this.render();
+    }
+    
+    observeWebVitals() {
+        if (!('PerformanceObserver' in window)) return;
+        
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        const observe = (type, callback, options = {}) => {
+            if (!supported.includes(type)) return;
+            new PerformanceObserver(list => {
+                list.getEntries().forEach(callback);
+                this.scheduleRender();
+            }).observe(Object.assign({ type, buffered: true }, options));
+        };
         
-        Built with:
-        - Vanilla JavaScript (no frameworks needed!)
-        - Modern CSS with custom properties
-        - Semantic HTML5
-        - Responsive design principles
-        - Performance optimizations
-        - Accessibility best practices
+        observe('largest-contentful-paint', entry => {
+            this.vitals.LCP = entry.startTime;
+        });
+        
+        // CLS is the largest burst of shifts less than 1s apart and at most 5s long
+        let session = [];
+        let sessionValue = 0;
+        observe('layout-shift', entry => {
+            if (entry.hadRecentInput) return;
+            
+            const first = session[0];
+            const last = session[session.length - 1];
+            if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+                session.push(entry);
+                sessionValue += entry.value;
+            } else {
+                session = [entry];
+                sessionValue = entry.value;
+            }
+            this.vitals.CLS = Math.max(this.vitals.CLS || 0, sessionValue);
+        });
+        
+        // INP is roughly the slowest interaction, ignoring one outlier per 50 interactions
+        const interactions = new Map();
+        observe('event', entry => {
+            if (!entry.interactionId) return;
+            
+            interactions.set(entry.interactionId, Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
+            const durations = Array.from(interactions.values()).sort((a, b) => b - a);
+            this.vitals.INP = durations[Math.min(Math.floor(durations.length / 50), durations.length - 1)];
+        }, { durationThreshold: 40 });
+    }
+    
+    rateVital(name, value) {
+        const thresholds = WEB_VITALS[name];
+        if (value <= thresholds.good) return 'good';
+        return value <= thresholds.poor ? 'needs-improvement' : 'poor';
+    }
+    
+    // Reports and vitals can arrive in bursts; one render per frame is enough
+    scheduleRender() {
+        if (this.renderScheduled) return;
+        
+        this.renderScheduled = true;
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            this.render();
+        });
+    }
+    
+    render() {
+        const reports = this.errorReporter.getReports();
+        const errors = reports.filter(report => report.type !== 'resource');
+        const assets = reports.filter(report => report.type === 'resource');
+        const failed = this.components.filter(component => component.status === 'failed').length;
+        
+        const componentRows = this.components.map(component => `
+                <li class="diagnostics-${component.status}">
+                    ${escapeHTML(component.name)} <span>${escapeHTML(component.status)}, ${component.duration.toFixed(1)} ms</span>
+                </li>`).join('');
         
-        Want to chat about AI solutions, demand forecasting, or GenAI implementations?
-        Feel free to reach out! 
-        `);
+        const vitalRows = Object.keys(WEB_VITALS).map(name => {
+            const value = this.vitals[name];
+            if (value === undefined) {
+                return `
+                <li>${name} <span>waiting</span></li>`;
+            }
+            
+            const display = name === 'CLS' ? value.toFixed(3) : `${Math.round(value)} ${WEB_VITALS[name].unit}`;
+            return `
+                <li class="diagnostics-${this.rateVital(name, value)}">${name} <span>${escapeHTML(display)}</span></li>`;
+        }).join('');
+        
+        const reportRows = (list) => list.length ? list.map(report => `
+                <li class="diagnostics-failed">
+                    ${report.component ? `<strong>${escapeHTML(report.component)}</strong> ` : ''}${escapeHTML(report.message)}${report.count > 1 ? ` <span>×${report.count}</span>` : ''}
+                </li>`).join('') : `
+                <li><span>None</span></li>`;
+        
+        this.body.innerHTML = `
+            <h2>Components <span>${this.components.length - failed} ok, ${failed} failed</span></h2>
+            <ul>${componentRows}
+            </ul>
+            <h2>Web vitals</h2>
+            <ul>${vitalRows}
+            </ul>
+            <h2>Errors <span>${errors.length}</span></h2>
+            <ul>${reportRows(errors)}
+            </ul>
+            <h2>Broken assets <span>${assets.length}</span></h2>
+            <ul>${reportRows(assets)}
+            </ul>
+        `;
     }
 }
 
 // ===== INITIALIZATION =====
 class Website {
     constructor() {
+        // One entry per component: { name, status: 'ok' | 'failed', duration, error }
+        this.components = [];
+        this.errorReporter = new ErrorReporter();
+        this.diagnostics = null;
+        // Set once the components have started, e.g. for website.themeManager.registerTheme()
+        this.themeManager = null;
         this.init();
     }
     
@@ -607,66 +6696,177 @@ class Website {
         }
     }
     
-    initializeComponents() {
+    async initializeComponents() {
         try {
-            // Initialize AOS (Animate On Scroll)
-            if (typeof AOS !== 'undefined') {
-                AOS.init({
-                    duration: 1000,
-                    easing: 'ease-out-cubic',
-                    once: true,
-                    offset: 100
-                });
+            // Listen first so errors and broken assets during start-up are reported too
+            this.errorReporter.install();
+            queryDOMElements();
+            
+            if (DiagnosticsOverlay.isRequested()) {
+                this.diagnostics = this.initComponent('DiagnosticsOverlay', () => new DiagnosticsOverlay(this.errorReporter, this.components));
             }
             
+            // Image variants are only needed once content renders, so fetch them alongside the translations
+            const imagesLoaded = this.initComponentAsync('ImageManifest', () => imageManifest.load());
+            
+            // Translations first so every component renders in the visitor's language
+            await this.initComponentAsync('I18n', () => i18n.init());
+            await imagesLoaded;
+            
+            // Render projects, experience and skills before anything binds to them
+            const contentManager = new ContentManager();
+            await this.initComponentAsync('ContentManager', async () => {
+                await contentManager.load();
+                contentManager.render();
+            });
+            
+            // Scroll reveal for every [data-aos] element, including the ones just rendered.
+            // If it breaks, nothing may stay hidden waiting for a reveal.
+            this.initComponent('RevealManager', () => new RevealManager(), () => {
+                document.documentElement.classList.remove('reveal-enabled');
+            });
+            
             // Initialize typewriter effect
             if (typewriterElement) {
-                new TypewriterEffect(
-                    typewriterElement,
-                    CONFIG.typewriter.texts,
-                    CONFIG.typewriter
-                );
+                this.initComponent('TypewriterEffect', () => {
+                    const typewriter = new TypewriterEffect(
+                        typewriterElement,
+                        contentManager.getRoles(),
+                        CONFIG.typewriter
+                    );
+                    document.addEventListener('localechange', () => typewriter.setTexts(contentManager.getRoles()));
+                    return typewriter;
+                });
             }
             
-            // Initialize all components
-            new Navigation();
-            new ScrollEffects();
-            new ThemeManager();
-            new AnimationManager();
-            new PerformanceManager();
-            new ContactManager();
-            new EasterEggs();
-            
-            // Setup error handling
-            this.setupErrorHandling();
+            // Every component starts in isolation, so one failure leaves the others working
+            const analytics = this.initComponent('Analytics', () => new Analytics());
+            const scrollScheduler = this.initComponent('ScrollScheduler', () => new ScrollScheduler());
+            const router = this.initComponent('Router', () => new Router(scrollScheduler));
+            this.initComponent('Navigation', () => {
+                const navigation = new Navigation(scrollScheduler);
+                if (router) {
+                    navigation.onSectionChange(sectionId => router.setActiveSection(sectionId));
+                }
+                if (analytics) {
+                    navigation.onSectionChange(sectionId => analytics.track('section_view', { section: sectionId }));
+                }
+                return navigation;
+            });
+            if (router) {
+                this.initComponent('Router (initial location)', () => router.handleInitialLocation());
+            }
+            this.initComponent('ScrollEffects', () => new ScrollEffects(scrollScheduler));
+            this.themeManager = this.initComponent('ThemeManager', () => new ThemeManager());
+            // Before AnimationManager, so the experience counters animate to the computed values
+            this.initComponent('TimelineManager', () => new TimelineManager());
+            const animationManager = this.initComponent('AnimationManager', () => new AnimationManager());
+            this.initComponent('ProjectFilter', () => new ProjectFilter(animationManager));
+            const projects = contentManager.content ? contentManager.content.projects || [] : [];
+            this.initComponent('ProjectDetailManager', () => new ProjectDetailManager(projects));
+            // Not awaited: the feed fills in whenever GitHub answers, and a failure is still recorded
+            this.initComponentAsync('GitHubFeed', () => new GitHubFeed(projects).init());
+            this.initComponent('Blog', () => new Blog());
+            // Without the lazy loader, images would keep waiting for it; load them all instead
+            this.initComponent('PerformanceManager', () => new PerformanceManager(), () => {
+                document.querySelectorAll('img[data-src]').forEach(img => {
+                    img.src = img.dataset.src;
+                });
+            });
+            // The form must keep working when analytics failed to start
+            this.initComponent('ContactManager', () => new ContactManager(analytics || { track() {} }));
+            this.initComponent('ResumeBuilder', () => new ResumeBuilder(contentManager.content));
+            this.initComponent('StructuredData', () => new StructuredData(contentManager.content));
+            this.initComponent('AssistantWidget', () => new AssistantWidget());
+            // After the components that register commands, though the palette only reads them when opened
+            this.initComponent('CommandPalette', () => new CommandPalette(router, contentManager.content));
+            this.initComponent('ServiceWorkerManager', () => new ServiceWorkerManager());
+            this.initComponent('EasterEggs', () => new EasterEggs());
             
-            console.log('🎉 Website initialized successfully!');
+            const failed = this.components.filter(component => component.status === 'failed');
+            if (failed.length) {
+                console.warn(`Website initialized without ${failed.map(component => component.name).join(', ')}`);
+            } else {
+                console.log('🎉 Website initialized successfully!');
+            }
             
         } catch (error) {
             console.error('Error initializing website:', error);
+            this.errorReporter.report(error, { type: 'init', component: 'Website' });
             this.handleInitializationError(error);
         }
     }
     
-    setupErrorHandling() {
-        window.addEventListener('error', (event) => {
-            console.error('Runtime error:', event.error);
-        });
+    // Runs one component's setup and records the outcome; a failure is logged and reported
+    // instead of thrown. The optional fallback cleans up after a half-initialized component.
+    initComponent(name, setup, fallback) {
+        const start = performance.now();
         
-        window.addEventListener('unhandledrejection', (event) => {
-            console.error('Unhandled promise rejection:', event.reason);
+        try {
+            const instance = setup();
+            this.recordComponent(name, start);
+            return instance;
+        } catch (error) {
+            this.handleComponentError(name, start, error, fallback);
+            return null;
+        }
+    }
+    
+    async initComponentAsync(name, setup, fallback) {
+        const start = performance.now();
+        
+        try {
+            const result = await setup();
+            this.recordComponent(name, start);
+            return result;
+        } catch (error) {
+            this.handleComponentError(name, start, error, fallback);
+            return null;
+        }
+    }
+    
+    recordComponent(name, start, error = null) {
+        this.components.push({
+            name,
+            status: error ? 'failed' : 'ok',
+            duration: performance.now() - start,
+            error
         });
+        
+        if (this.diagnostics) {
+            this.diagnostics.scheduleRender();
+        }
+    }
+    
+    handleComponentError(name, start, error, fallback) {
+        console.error(`${name} failed to initialize:`, error);
+        this.recordComponent(name, start, error);
+        this.errorReporter.report(error, { type: 'init', component: name });
+        
+        if (fallback) {
+            try {
+                fallback();
+            } catch (fallbackError) {
+                console.error(`${name} fallback failed:`, fallbackError);
+            }
+        }
     }
     
     handleInitializationError(error) {
         // Graceful degradation - ensure basic functionality works
         console.warn('Falling back to basic functionality due to initialization error');
         
+        // Never leave scroll-reveal content hidden
+        document.documentElement.classList.remove('reveal-enabled');
+        
         // At minimum, ensure navigation works
         document.querySelectorAll('a[href^="#"]').forEach(link => {
             link.addEventListener('click', (e) => {
+                const href = link.getAttribute('href');
+                if (href === '#' || isDetailHash(href)) return;
+                
                 e.preventDefault();
-                const target = document.querySelector(link.getAttribute('href'));
+                const target = document.getElementById(href.slice(1));
                 if (target) {
                     target.scrollIntoView({ behavior: 'smooth' });
                 }
@@ -676,19 +6876,89 @@ class Website {
 }
 
 // ===== START THE WEBSITE =====
-new Website();
+// Only in the browser; when required as a module the caller creates the Website itself
+const isModuleEnvironment = typeof module !== 'undefined' && module.exports;
+
+// Reachable from other scripts and the console as website
+let website = null;
+
+if (!isModuleEnvironment) {
+    website = new Website();
+}
 
 // ===== EXPORT FOR TESTING (if in module environment) =====
-if (typeof module !== 'undefined' && module.exports) {
+if (isModuleEnvironment) {
     module.exports = {
+        CONFIG,
+        queryDOMElements,
+        debounce,
+        throttle,
+        isInViewport,
+        getFocusableElements,
+        escapeHTML,
+        I18n,
+        i18n,
+        ContentManager,
         TypewriterEffect,
+        splitGraphemes,
+        ScrollScheduler,
+        Router,
+        ScrollSpy,
         Navigation,
         ScrollEffects,
         ThemeManager,
+        THEMES,
+        RevealManager,
         AnimationManager,
+        StatCounter,
+        COUNTER_EASINGS,
+        parseCounterText,
+        TimelineManager,
+        ProjectFilter,
+        ProjectDetailManager,
         PerformanceManager,
+        ImageManifest,
+        imageManifest,
+        createFallbackImage,
+        Analytics,
+        ANALYTICS_PROVIDERS,
         ContactManager,
+        GitHubFeed,
+        GitHubFeedError,
+        normalizeRepo,
+        normalizeEvent,
+        Blog,
+        parseFrontMatter,
+        estimateReadingTime,
+        highlightCode,
+        renderMarkdown,
+        ResumeBuilder,
+        parseDateRange,
+        countMonths,
+        StructuredData,
+        buildStructuredData,
+        serializeStructuredData,
+        readContentFromPage,
+        ContactSubmissionError,
+        CONTACT_ADAPTERS,
+        ServiceWorkerManager,
         EasterEggs,
+        KeyboardShortcuts,
+        CommandRegistry,
+        commandRegistry,
+        CommandPalette,
+        fuzzyMatch,
+        SearchIndex,
+        tokenize,
+        buildSnippet,
+        collectAssistantPassages,
+        readAnswerStream,
+        AssistantWidget,
+        AssistantBackendError,
+        ASSISTANT_BACKENDS,
+        ErrorReporter,
+        ERROR_REPORTERS,
+        DiagnosticsOverlay,
         Website
     };
 }
\ No newline at end of file
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+// ===== ASSISTANT MOCK SERVER =====
+// Stands in for an LLM endpoint while working on the assistant widget. It answers with the first
+// sentence of each passage the page sends, streamed word by word, so streaming, citations and the
+// fallbacks can be tried without a model. Point the page at it with CONFIG.assistant.backend = 'http'
+// and CONFIG.assistant.http.endpoint = 'http://localhost:8787/', then run it with --help for the options.
+
+const http = require('http');
+
+const DEFAULTS = {
+    port: 8787,
+    // Milliseconds between streamed words
+    delay: 40,
+    format: 'sse',
+    // Answer every request with this HTTP status instead, e.g. 500 or 429 to try the fallbacks
+    status: null
+};
+
+const USAGE = `Usage: node scripts/assistant-mock-server.js [options]
+
+  --port <number>      Port to listen on (default: ${DEFAULTS.port})
+  --delay <ms>         Delay between streamed words (default: ${DEFAULTS.delay})
+  --format <sse|text>  Stream server-sent events or plain text (default: ${DEFAULTS.format})
+  --status <code>      Fail every request with this status, e.g. 500 or 429
+  --help               Show this message`;
+
+// Seconds sent in Retry-After with --status 429
+const RETRY_AFTER = 30;
+
+// Requests bigger than this are refused; the page sends a question and a few short passages
+const MAX_BODY_SIZE = 1024 * 1024;
+
+function parseArgs(argv) {
+    const options = Object.assign({}, DEFAULTS);
+    const flags = { '--port': 'port', '--delay': 'delay', '--format': 'format', '--status': 'status' };
+    
+    for (let index = 0; index < argv.length; index++) {
+        const [flag, inlineValue] = argv[index].split(/=(.*)/s);
+        
+        if (flag === '--help' || flag === '-h') {
+            options.help = true;
+        } else if (flags[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++index];
+            if (value === undefined || value.startsWith('--')) {
+                throw new Error(`${flag} needs a value`);
+            }
+            options[flags[flag]] = value;
+        } else {
+            throw new Error(`Unknown option: ${argv[index]}\n\n${USAGE}`);
+        }
+    }
+    
+    options.port = Number(options.port);
+    options.delay = Number(options.delay);
+    options.status = options.status === null ? null : Number(options.status);
+    
+    if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+        throw new Error('--port must be a port number');
+    }
+    if (!Number.isFinite(options.delay) || options.delay < 0) {
+        throw new Error('--delay must be a number of milliseconds');
+    }
+    if (!['sse', 'text'].includes(options.format)) {
+        throw new Error(`--format must be sse or text, got "${options.format}"`);
+    }
+    if (options.status !== null && !(options.status >= 400 && options.status <= 599)) {
+        throw new Error('--status must be an HTTP error status between 400 and 599');
+    }
+    
+    return options;
+}
+
+function firstSentence(text) {
+    const match = /^.*?[.!?](\s|$)/.exec(String(text));
+    return (match ? match[0] : String(text)).trim();
+}
+
+// Cites passages as [1], [2], ... in the order the page sent them, matching its list of sources
+function buildAnswer(request) {
+    const passages = Array.isArray(request.passages) ? request.passages : [];
+    
+    if (!passages.length) {
+        return 'Nothing on the page matches that question.';
+    }
+    
+    const cited = passages.map((passage, index) => `${firstSentence(passage.text)} [${index + 1}]`);
+    return `From the page, about "${request.question}": ${cited.join(' ')}`;
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(new Error('Request body too large'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+async function streamAnswer(response, answer, options) {
+    const pieces = answer.match(/\S+\s*/g) || [];
+    
+    response.writeHead(200, {
+        'Content-Type': options.format === 'sse' ? 'text/event-stream; charset=utf-8' : 'text/plain; charset=utf-8',
+        'Cache-Control': 'no-cache'
+    });
+    
+    for (const piece of pieces) {
+        // The page closed the connection, e.g. the visitor cleared the conversation
+        if (response.destroyed) return;
+        
+        response.write(options.format === 'sse' ? `data: ${JSON.stringify({ delta: piece })}\n\n` : piece);
+        await new Promise(resolve => setTimeout(resolve, options.delay));
+    }
+    
+    if (options.format === 'sse') {
+        response.write('data: [DONE]\n\n');
+    }
+    response.end();
+}
+
+async function handleRequest(request, response, options) {
+    // The page is served from another origin while developing
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    // Lets the page read how long to wait after a 429
+    response.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+    
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+    if (request.method !== 'POST') {
+        response.writeHead(405, { 'Allow': 'POST, OPTIONS' });
+        response.end();
+        return;
+    }
+    
+    let body;
+    try {
+        body = JSON.parse(await readBody(request));
+    } catch (error) {
+        response.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end(error.message);
+        return;
+    }
+    
+    console.log(`${new Date().toISOString()} ${JSON.stringify(body.question)} with ${(body.passages || []).length} passages`);
+    
+    if (options.status) {
+        response.writeHead(options.status, options.status === 429 ? { 'Retry-After': String(RETRY_AFTER) } : {});
+        response.end();
+        return;
+    }
+    
+    await streamAnswer(response, buildAnswer(body), options);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    
+    const server = http.createServer((request, response) => {
+        handleRequest(request, response, options).catch(error => {
+            console.error(error.message);
+            if (!response.headersSent) {
+                response.writeHead(500);
+            }
+            response.end();
+        });
+    });
+    
+    server.listen(options.port, () => {
+        console.log(`Assistant mock server listening on http://localhost:${server.address().port}/ (${options.format})`);
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+// ===== BLOG BUILD =====
+// Regenerates posts/index.json, the listing the Blog component loads, and feed.xml, the RSS feed,
+// from the Markdown files in posts/. Run after adding or editing a post: node scripts/build-blog.js
+// Posts with "draft: true" in their front matter are left out of both. While there are no posts,
+// the elements marked data-blog in index.html (the nav link and the section) are hidden.
+
+const fs = require('fs');
+const path = require('path');
+
+// main.js has no import-time side effects, so the blog's own parsers can be reused here
+const { CONFIG, parseFrontMatter, estimateReadingTime, escapeHTML } = require('../assets/js/main.js');
+
+const ROOT = path.join(__dirname, '..');
+const POSTS_DIR = path.join(ROOT, CONFIG.blog.postsPath);
+const INDEX_OUTPUT = path.join(ROOT, CONFIG.blog.indexUrl);
+const FEED_OUTPUT = path.join(ROOT, 'feed.xml');
+const HTML_OUTPUT = path.join(ROOT, 'index.html');
+const FEED_LIMIT = 20;
+
+function readPost(file) {
+    const slug = path.basename(file, '.md');
+    const { data, body } = parseFrontMatter(fs.readFileSync(path.join(POSTS_DIR, file), 'utf8'));
+    
+    if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug)) {
+        throw new Error(`${file}: file names must be lowercase words separated by hyphens`);
+    }
+    if (!data.title) {
+        throw new Error(`${file}: missing title`);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(data.date || '') || isNaN(new Date(data.date))) {
+        throw new Error(`${file}: date must be written as YYYY-MM-DD`);
+    }
+    
+    return {
+        slug,
+        title: data.title,
+        date: data.date,
+        tags: Array.isArray(data.tags) ? data.tags : [],
+        summary: data.summary || '',
+        readingTime: estimateReadingTime(body),
+        draft: data.draft === true
+    };
+}
+
+function buildFeed(posts, profile) {
+    const siteUrl = profile.url.endsWith('/') ? profile.url : `${profile.url}/`;
+    const items = posts.slice(0, FEED_LIMIT).map(post => `
+        <item>
+            <title>${escapeHTML(post.title)}</title>
+            <link>${siteUrl}#blog/${post.slug}</link>
+            <guid isPermaLink="true">${siteUrl}#blog/${post.slug}</guid>
+            <pubDate>${new Date(`${post.date}T00:00:00Z`).toUTCString()}</pubDate>
+            <description>${escapeHTML(post.summary)}</description>${post.tags.map(tag => `
+            <category>${escapeHTML(tag)}</category>`).join('')}
+        </item>`).join('');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+    <channel>
+        <title>${escapeHTML(`${profile.name} | Blog`)}</title>
+        <link>${siteUrl}#blog</link>
+        <atom:link href="${siteUrl}feed.xml" rel="self" type="application/rss+xml"/>
+        <description>${escapeHTML(`Notes from ${profile.name}, ${profile.label}`)}</description>
+        <language>en</language>${posts.length ? `
+        <lastBuildDate>${new Date(`${posts[0].date}T00:00:00Z`).toUTCString()}</lastBuildDate>` : ''}${items}
+    </channel>
+</rss>
+`;
+}
+
+// Adds or removes the hidden attribute on every opening tag that carries data-blog
+function showBlog(html, visible) {
+    return html.replace(/<[^>]*\sdata-blog(?=[\s>])[^>]*>/g, tag => {
+        const shown = tag.replace(/\shidden(?=[\s>])/, '');
+        return visible ? shown : shown.replace(/>$/, ' hidden>');
+    });
+}
+
+function main() {
+    const { profile } = JSON.parse(fs.readFileSync(path.join(ROOT, CONFIG.content.url), 'utf8'));
+    
+    const posts = fs.readdirSync(POSTS_DIR)
+        .filter(file => file.endsWith('.md'))
+        .map(readPost)
+        .filter(post => !post.draft)
+        .map(({ draft, ...post }) => post)
+        .sort((a, b) => b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug));
+    
+    fs.writeFileSync(INDEX_OUTPUT, `${JSON.stringify({ posts }, null, 4)}\n`);
+    fs.writeFileSync(FEED_OUTPUT, buildFeed(posts, profile));
+    
+    const html = fs.readFileSync(HTML_OUTPUT, 'utf8');
+    const updated = showBlog(html, posts.length > 0);
+    if (updated !== html) {
+        fs.writeFileSync(HTML_OUTPUT, updated);
+    }
+    
+    console.log(`Wrote ${posts.length} posts to ${INDEX_OUTPUT} and ${FEED_OUTPUT}${posts.length ? '' : '; the blog is hidden until there are some'}`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { buildFeed, showBlog };
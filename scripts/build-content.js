@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// ===== CONTENT BUILD =====
+// Pre-renders the skills, projects and experience in assets/data/content.json into index.html, so
+// the page has them without JavaScript, for crawlers, and when the manifest fails to load.
+// ContentManager renders the same markup over it at runtime. The hero photo's <picture> is only
+// rendered here, so the browser can fetch the right variant straight away. Run after editing
+// content.json; scripts/build-images.js runs it after writing images.json: npm run build:content
+
+const fs = require('fs');
+const path = require('path');
+
+// main.js has no import-time side effects, so the page's own templates are reused here
+const { CONFIG, ContentManager, i18n, imageManifest } = require('../assets/js/main.js');
+
+const ROOT = path.join(__dirname, '..');
+const INDEX = path.join(ROOT, 'index.html');
+
+// Each section's markup goes between <!-- content:<key> --> and <!-- /content:<key> --> in index.html
+const SECTIONS = {
+    profile: manager => manager.renderProfileImage(),
+    skills: manager => renderList(manager.content.skills, (entry, index) => manager.renderSkillCategory(entry, index)),
+    projects: manager => renderList(manager.content.projects, (entry, index) => manager.renderProject(entry, index)),
+    experience: manager => renderList(manager.content.experience, (entry, index) => manager.renderTimelineItem(entry, index))
+};
+
+function renderList(entries, render) {
+    return (entries || []).map(render).join('');
+}
+
+function readJSON(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+// The markup ContentManager would render for content, in English with the current image variants
+function renderContent(html, content = readJSON(CONFIG.content.url)) {
+    i18n.dictionaries[CONFIG.i18n.defaultLocale] = readJSON(`${CONFIG.i18n.path}${CONFIG.i18n.defaultLocale}.json`);
+    imageManifest.entries = readJSON(CONFIG.images.manifestUrl);
+    
+    const manager = new ContentManager();
+    manager.content = manager.validate(content);
+    const newline = html.includes('\r\n') ? '\r\n' : '\n';
+    
+    return Object.keys(SECTIONS).reduce((result, key) => {
+        const pattern = new RegExp(`([ \\t]*)(<!-- content:${key} -->)[\\s\\S]*?(<!-- /content:${key} -->)`);
+        const match = pattern.exec(result);
+        
+        if (!match) {
+            throw new Error(`index.html has no <!-- content:${key} --> ... <!-- /content:${key} --> markers`);
+        }
+        
+        const indent = match[1];
+        const markup = SECTIONS[key](manager)
+            .split('\n')
+            .filter(line => line.trim())
+            // The templates are indented for the container they're rendered into at runtime
+            .map(line => indent + line.replace(/^ {12}/, ''))
+            .join(newline);
+        
+        return result.replace(pattern, (all, space, open, close) => `${space}${open}${newline}${markup}${newline}${indent}${close}`);
+    }, html);
+}
+
+function updateIndex() {
+    const html = fs.readFileSync(INDEX, 'utf8');
+    const rendered = renderContent(html);
+    
+    if (rendered === html) {
+        console.log('index.html content is up to date');
+        return;
+    }
+    
+    fs.writeFileSync(INDEX, rendered);
+    console.log(`Pre-rendered ${Object.keys(SECTIONS).join(', ')} into ${INDEX}`);
+}
+
+if (require.main === module) {
+    try {
+        updateIndex();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { renderContent, updateIndex };
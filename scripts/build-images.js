@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+// ===== IMAGE BUILD =====
+// Generates AVIF and WebP variants at several widths, plus a tiny blur-up placeholder, for every
+// photo in assets/img, lists them in assets/data/images.json for the page and updates index.html. Needs sharp
+// (https://sharp.pixelplumbing.com), a dev dependency: npm install && npm run build:images
+
+const fs = require('fs');
+const path = require('path');
+const { updateIndex } = require('./build-content.js');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE_DIR = path.join(ROOT, 'assets/img');
+const OUTPUT_DIR = path.join(SOURCE_DIR, 'generated');
+const MANIFEST = path.join(ROOT, 'assets/data/images.json');
+
+// Widths to generate; none wider than the source, which is always included as the largest
+const WIDTHS = [320, 640, 960, 1280];
+
+// Listed in order of preference, since the browser takes the first <source> it can decode
+const FORMATS = [
+    { type: 'image/avif', extension: 'avif', options: { quality: 50 } },
+    { type: 'image/webp', extension: 'webp', options: { quality: 75 } }
+];
+
+const SOURCE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// Small enough to inline into the manifest; the page blurs it while the real image loads
+const PLACEHOLDER_WIDTH = 24;
+
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        throw new Error('scripts/build-images.js needs sharp: run "npm install" first');
+    }
+}
+
+function toSitePath(file) {
+    return path.relative(ROOT, file).split(path.sep).join('/');
+}
+
+// Originals only: .placeholder stand-ins, SVGs and earlier output are skipped
+function findSourceImages() {
+    return fs.readdirSync(SOURCE_DIR, { withFileTypes: true })
+        .filter(entry => entry.isFile() && SOURCE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+        .map(entry => path.join(SOURCE_DIR, entry.name))
+        .sort();
+}
+
+// Re-encoding AVIF is slow, so variants newer than their source are kept
+function isUpToDate(output, source) {
+    return fs.existsSync(output) && fs.statSync(output).mtimeMs >= fs.statSync(source).mtimeMs;
+}
+
+async function buildImage(sharp, file, written) {
+    const metadata = await sharp(file).rotate().metadata();
+    // EXIF orientations 5-8 swap the stored width and height
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+    const widths = WIDTHS.filter(candidate => candidate < width).concat(width);
+    const name = path.basename(file, path.extname(file));
+    
+    const sources = [];
+    for (const format of FORMATS) {
+        const candidates = [];
+        
+        for (const variantWidth of widths) {
+            const output = path.join(OUTPUT_DIR, `${name}-${variantWidth}.${format.extension}`);
+            written.add(output);
+            
+            if (!isUpToDate(output, file)) {
+                await sharp(file)
+                    .rotate()
+                    .resize({ width: variantWidth })
+                    .toFormat(format.extension, format.options)
+                    .toFile(output);
+            }
+            candidates.push(`${toSitePath(output)} ${variantWidth}w`);
+        }
+        
+        sources.push({ type: format.type, srcset: candidates.join(', ') });
+    }
+    
+    const placeholder = await sharp(file)
+        .rotate()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .webp({ quality: 40 })
+        .toBuffer();
+    
+    return {
+        width,
+        height,
+        placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+        sources
+    };
+}
+
+// Variants of images that were renamed or deleted would otherwise be deployed forever
+function removeStaleVariants(written) {
+    fs.readdirSync(OUTPUT_DIR)
+        .map(name => path.join(OUTPUT_DIR, name))
+        .filter(file => !written.has(file))
+        .forEach(file => fs.rmSync(file));
+}
+
+async function main() {
+    const sharp = loadSharp();
+    const files = findSourceImages();
+    const manifest = {};
+    const written = new Set();
+    
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    
+    for (const file of files) {
+        manifest[toSitePath(file)] = await buildImage(sharp, file, written);
+    }
+    
+    removeStaleVariants(written);
+    fs.writeFileSync(MANIFEST, `${JSON.stringify(manifest, null, 4)}\n`);
+    
+    console.log(`Wrote ${written.size} variants of ${files.length} images and ${toSitePath(MANIFEST)}`);
+    
+    // The hero <picture> in index.html lists the variants just written
+    updateIndex();
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
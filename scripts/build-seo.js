@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+// ===== SEO BUILD =====
+// Pre-renders the schema.org JSON-LD into index.html for crawlers that don't run JavaScript,
+// and regenerates sitemap.xml and robots.txt. Run after editing assets/data/content.json:
+// node scripts/build-seo.js
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// main.js has no import-time side effects, so the page's own JSON-LD builder is reused here
+const { CONFIG, buildStructuredData, serializeStructuredData, escapeHTML } = require('../assets/js/main.js');
+
+const ROOT = path.join(__dirname, '..');
+const INDEX = path.join(ROOT, 'index.html');
+
+// Files served from the site root that are worth crawling; everything else is reached from the page.
+// The feed is only listed once scripts/build-blog.js has published posts into it.
+const SITEMAP_PATHS = [
+    { path: '', changefreq: 'monthly', priority: '1.0' },
+    { path: 'feed.xml', changefreq: 'weekly', priority: '0.5', needsPosts: true },
+    { path: 'assets/img/resume.pdf', changefreq: 'monthly', priority: '0.6' }
+];
+
+// The date the site content last changed in git, so rebuilding without changes leaves the sitemap alone
+function getLastModified() {
+    try {
+        const date = execFileSync('git', ['log', '-1', '--format=%cs', '--', 'index.html', 'assets/data', 'posts'], {
+            cwd: ROOT,
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore']
+        }).trim();
+        if (date) return date;
+    } catch (error) {
+        // Not a git checkout; fall through to today
+    }
+    return new Date().toISOString().slice(0, 10);
+}
+
+function renderStructuredData(html, data) {
+    const pattern = /(<script type="application\/ld\+json" id="structured-data">)[\s\S]*?(\r?\n([ \t]*)<\/script>)/;
+    const match = pattern.exec(html);
+    
+    if (!match) {
+        throw new Error('index.html has no <script type="application/ld+json" id="structured-data"> element');
+    }
+    
+    const newline = html.includes('\r\n') ? '\r\n' : '\n';
+    const indent = `${match[3]}    `;
+    const json = serializeStructuredData(data, 4).split('\n').map(line => indent + line).join(newline);
+    
+    return html.replace(pattern, (all, open, close) => `${open}${newline}${json}${close}`);
+}
+
+function hasPublishedPosts() {
+    const index = JSON.parse(fs.readFileSync(path.join(ROOT, CONFIG.blog.indexUrl), 'utf8'));
+    return Array.isArray(index.posts) && index.posts.length > 0;
+}
+
+function buildSitemap(siteUrl, lastModified) {
+    const published = hasPublishedPosts();
+    const urls = SITEMAP_PATHS.filter(entry => published || !entry.needsPosts).map(entry => `
+    <url>
+        <loc>${escapeHTML(siteUrl + entry.path)}</loc>
+        <lastmod>${lastModified}</lastmod>
+        <changefreq>${entry.changefreq}</changefreq>
+        <priority>${entry.priority}</priority>
+    </url>`).join('');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}
+</urlset>
+`;
+}
+
+function buildRobots(siteUrl) {
+    return `User-agent: *
+Allow: /
+Disallow: /offline.html
+
+Sitemap: ${siteUrl}sitemap.xml
+`;
+}
+
+// content.json may list images that haven't been added yet; crawlers shouldn't be sent to a 404
+function hasImage(src) {
+    return /^https?:/.test(src) || fs.existsSync(path.join(ROOT, src));
+}
+
+// The page's own og:image and twitter:image are hand-written, so only warn about them
+function checkSocialImages(html, siteUrl) {
+    const pattern = /<meta (?:property|name)="(og:image|twitter:image)" content="([^"]*)">/g;
+    let match;
+    
+    while ((match = pattern.exec(html))) {
+        const src = match[2].startsWith(siteUrl) ? match[2].slice(siteUrl.length) : match[2];
+        if (!hasImage(src)) {
+            console.warn(`${match[1]} points at ${match[2]}, which does not exist`);
+        }
+    }
+}
+
+function main() {
+    const content = JSON.parse(fs.readFileSync(path.join(ROOT, CONFIG.content.url), 'utf8'));
+    const siteUrl = (content.profile && content.profile.url) || CONFIG.seo.siteUrl;
+    const data = buildStructuredData(content, { siteUrl, hasImage });
+    const html = fs.readFileSync(INDEX, 'utf8');
+    
+    checkSocialImages(html, siteUrl);
+    fs.writeFileSync(INDEX, renderStructuredData(html, data));
+    fs.writeFileSync(path.join(ROOT, 'sitemap.xml'), buildSitemap(siteUrl, getLastModified()));
+    fs.writeFileSync(path.join(ROOT, 'robots.txt'), buildRobots(siteUrl));
+    
+    console.log(`Wrote ${data['@graph'].length} JSON-LD nodes to ${INDEX}, plus sitemap.xml and robots.txt`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// ===== SERVICE WORKER BUILD =====
+// Sets VERSION in sw.js to a hash of every file in its PRECACHE_URLS, so any change to the app
+// shell installs a new cache and nothing else does. Run last before deploying, after the other
+// build scripts: npm run build:sw
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SERVICE_WORKER = path.join(ROOT, 'sw.js');
+
+const VERSION_PATTERN = /^const VERSION = '([^']*)';/m;
+
+function readPrecacheUrls(source) {
+    const match = /const PRECACHE_URLS = \[([\s\S]*?)\];/.exec(source);
+    if (!match) {
+        throw new Error('sw.js has no PRECACHE_URLS array');
+    }
+    return Array.from(match[1].matchAll(/'([^']+)'/g), entry => entry[1]);
+}
+
+// './' is index.html again, so only the file paths are hashed
+function computeVersion(source = fs.readFileSync(SERVICE_WORKER, 'utf8')) {
+    const hash = crypto.createHash('sha256');
+    
+    readPrecacheUrls(source)
+        .filter(url => url !== './')
+        .forEach(url => {
+            const file = path.join(ROOT, url);
+            if (!fs.existsSync(file)) {
+                throw new Error(`sw.js precaches ${url}, which does not exist`);
+            }
+            hash.update(`${url}\0`);
+            hash.update(fs.readFileSync(file));
+            hash.update('\0');
+        });
+    
+    return hash.digest('hex').slice(0, 12);
+}
+
+function readVersion(source) {
+    const match = VERSION_PATTERN.exec(source);
+    if (!match) {
+        throw new Error('sw.js has no "const VERSION = \'...\';" line');
+    }
+    return match[1];
+}
+
+function main() {
+    const source = fs.readFileSync(SERVICE_WORKER, 'utf8');
+    const previous = readVersion(source);
+    const version = computeVersion(source);
+    
+    if (version === previous) {
+        console.log(`sw.js is up to date (${version})`);
+        return;
+    }
+    
+    fs.writeFileSync(SERVICE_WORKER, source.replace(VERSION_PATTERN, `const VERSION = '${version}';`));
+    console.log(`Updated sw.js VERSION from ${previous} to ${version}`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { computeVersion, readVersion, readPrecacheUrls };
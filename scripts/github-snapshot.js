@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// ===== GITHUB SNAPSHOT =====
+// Refreshes assets/data/github.json, the fallback GitHubFeed renders when the API is
+// unreachable or rate limited. Run before deploying: node scripts/github-snapshot.js
+// Set GITHUB_TOKEN to raise the API rate limit.
+
+const fs = require('fs');
+const path = require('path');
+
+// main.js has no import-time side effects, so the feed's own normalizers can be reused here
+const { CONFIG, normalizeRepo, normalizeEvent } = require('../assets/js/main.js');
+
+const OUTPUT = path.join(__dirname, '..', CONFIG.github.snapshotUrl);
+
+async function fetchJSON(pathname) {
+    const headers = { Accept: 'application/vnd.github+json', 'User-Agent': 'github-snapshot' };
+    if (process.env.GITHUB_TOKEN) {
+        headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+    }
+    
+    const response = await fetch(`${CONFIG.github.apiBase}${pathname}`, { headers });
+    if (!response.ok) {
+        throw new Error(`GET ${pathname} failed with status ${response.status}`);
+    }
+    return response.json();
+}
+
+async function main() {
+    const user = CONFIG.github.user;
+    const [repos, events] = await Promise.all([
+        fetchJSON(`/users/${user}/repos?type=owner&sort=pushed&per_page=100`),
+        fetchJSON(`/users/${user}/events/public?per_page=30`)
+    ]);
+    
+    const snapshot = {
+        user,
+        generatedAt: new Date().toISOString(),
+        repos: repos.map(normalizeRepo),
+        events: events.map(normalizeEvent).filter(Boolean)
+    };
+    
+    fs.writeFileSync(OUTPUT, `${JSON.stringify(snapshot, null, 4)}\n`);
+    console.log(`Wrote ${snapshot.repos.length} repositories and ${snapshot.events.length} events to ${OUTPUT}`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+// ===== REPORT INDEX =====
+// Builds the index page for a directory of reports, e.g. the nightly exports under /var/www/html.
+// The page is rendered from scripts/report-index.html and written atomically, so a web
+// server never serves a half-written index. Run with --help for the options.
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const DEFAULTS = {
+    reports: '/var/www/html/reports',
+    output: '/var/www/html/index.html',
+    // Defaults to the reports directory relative to the output file
+    baseUrl: null,
+    title: 'Reports',
+    template: path.join(__dirname, 'report-index.html'),
+    manifest: null,
+    owner: null,
+    mode: '644',
+    dryRun: false
+};
+
+const USAGE = `Usage: node scripts/report-index.js [options]
+
+  --reports <dir>      Directory to list (default: ${DEFAULTS.reports})
+  --output <file>      Index page to write (default: ${DEFAULTS.output})
+  --base-url <url>     URL prefix for report links (default: reports directory relative to the output)
+  --title <text>       Page title (default: ${DEFAULTS.title})
+  --template <file>    HTML template (default: scripts/report-index.html)
+  --manifest <file>    Also write a JSON manifest of the listed reports
+  --owner <user:group> Owner to give the written files, e.g. apache:apache
+  --mode <octal>       Permissions for the written files (default: ${DEFAULTS.mode})
+  --dry-run            Print what would be written without touching any files
+  --help               Show this message`;
+
+// Shown next to each report; anything not listed falls back to a generic document
+const FILE_TYPES = {
+    pdf: { label: 'PDF', icon: '📕' },
+    csv: { label: 'CSV', icon: '📊' },
+    xls: { label: 'Spreadsheet', icon: '📊' },
+    xlsx: { label: 'Spreadsheet', icon: '📊' },
+    doc: { label: 'Document', icon: '📝' },
+    docx: { label: 'Document', icon: '📝' },
+    html: { label: 'Web page', icon: '🌐' },
+    htm: { label: 'Web page', icon: '🌐' },
+    json: { label: 'JSON', icon: '🧾' },
+    xml: { label: 'XML', icon: '🧾' },
+    txt: { label: 'Text', icon: '📄' },
+    log: { label: 'Log', icon: '📄' },
+    png: { label: 'Image', icon: '🖼️' },
+    jpg: { label: 'Image', icon: '🖼️' },
+    jpeg: { label: 'Image', icon: '🖼️' },
+    svg: { label: 'Image', icon: '🖼️' },
+    zip: { label: 'Archive', icon: '🗜️' },
+    gz: { label: 'Archive', icon: '🗜️' },
+    tar: { label: 'Archive', icon: '🗜️' }
+};
+
+const DEFAULT_FILE_TYPE = { label: 'File', icon: '📄' };
+
+function parseArgs(argv) {
+    const options = Object.assign({}, DEFAULTS);
+    const flags = {
+        '--reports': 'reports',
+        '--output': 'output',
+        '--base-url': 'baseUrl',
+        '--title': 'title',
+        '--template': 'template',
+        '--manifest': 'manifest',
+        '--owner': 'owner',
+        '--mode': 'mode'
+    };
+    
+    for (let index = 0; index < argv.length; index++) {
+        const [flag, inlineValue] = argv[index].split(/=(.*)/s);
+        
+        if (flag === '--dry-run') {
+            options.dryRun = true;
+        } else if (flag === '--help' || flag === '-h') {
+            options.help = true;
+        } else if (flags[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++index];
+            if (value === undefined || value.startsWith('--')) {
+                throw new Error(`${flag} needs a value`);
+            }
+            options[flags[flag]] = value;
+        } else {
+            throw new Error(`Unknown option: ${argv[index]}\n\n${USAGE}`);
+        }
+    }
+    
+    if (!/^[0-7]{3,4}$/.test(options.mode)) {
+        throw new Error(`--mode must be an octal permission such as 644, got "${options.mode}"`);
+    }
+    if (options.owner && !/^[\w.-]+(:[\w.-]+)?$/.test(options.owner)) {
+        throw new Error(`--owner must look like user or user:group, got "${options.owner}"`);
+    }
+    
+    options.reports = path.resolve(options.reports);
+    options.output = path.resolve(options.output);
+    options.template = path.resolve(options.template);
+    if (options.manifest) {
+        options.manifest = path.resolve(options.manifest);
+    }
+    if (options.baseUrl === null) {
+        const relative = path.relative(path.dirname(options.output), options.reports).split(path.sep).join('/');
+        options.baseUrl = relative ? `${relative}/` : '';
+    } else if (options.baseUrl && !options.baseUrl.endsWith('/')) {
+        options.baseUrl += '/';
+    }
+    
+    return options;
+}
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let size = bytes;
+    let unit = 0;
+    
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    
+    return unit === 0 ? `${size} ${units[0]}` : `${size.toFixed(1)} ${units[unit]}`;
+}
+
+// Local server time, which is what the people reading the reports expect
+function formatDay(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatTime(date) {
+    return `${formatDay(date)} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+// Hidden files and anything that isn't a regular file (directories, sockets) are left out
+function scanReports(directory, baseUrl) {
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .filter(entry => !entry.name.startsWith('.'))
+        .map(entry => {
+            const stats = fs.statSync(path.join(directory, entry.name));
+            if (!stats.isFile()) return null;
+            
+            const extension = path.extname(entry.name).slice(1).toLowerCase();
+            return {
+                name: entry.name,
+                url: baseUrl + encodeURIComponent(entry.name),
+                size: stats.size,
+                modified: stats.mtime,
+                type: FILE_TYPES[extension] || DEFAULT_FILE_TYPE
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.modified - a.modified || a.name.localeCompare(b.name));
+}
+
+function renderRows(reports) {
+    if (!reports.length) {
+        return `
+                <tr class="empty"><td colspan="4">No reports yet.</td></tr>`;
+    }
+    
+    let lastDay = null;
+    
+    return reports.map(report => {
+        const day = formatDay(report.modified);
+        const heading = day !== lastDay ? `
+                <tr class="group" data-day="${day}"><th colspan="4" scope="rowgroup">${day}</th></tr>` : '';
+        lastDay = day;
+        
+        return `${heading}
+                <tr data-name="${escapeHTML(report.name)}" data-size="${report.size}" data-modified="${report.modified.getTime()}" data-day="${day}">
+                    <td class="icon"><span role="img" aria-label="${escapeHTML(report.type.label)}">${report.type.icon}</span></td>
+                    <td><a href="${escapeHTML(report.url)}">${escapeHTML(report.name)}</a></td>
+                    <td class="size">${formatSize(report.size)}</td>
+                    <td class="modified"><time datetime="${report.modified.toISOString()}">${formatTime(report.modified)}</time></td>
+                </tr>`;
+    }).join('');
+}
+
+// Placeholders are {{name}}; values are inserted as given, so callers escape them
+function renderTemplate(template, values) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+        if (!(key in values)) {
+            throw new Error(`Template uses unknown placeholder ${match}`);
+        }
+        return values[key];
+    });
+}
+
+function buildManifest(reports, generatedAt) {
+    return {
+        generatedAt: generatedAt.toISOString(),
+        reports: reports.map(report => ({
+            name: report.name,
+            url: report.url,
+            size: report.size,
+            modified: report.modified.toISOString(),
+            type: report.type.label
+        }))
+    };
+}
+
+// Resolves "user:group" to numeric IDs with id(1) and getent(1); a missing group defaults
+// to the user's primary group. The commands run without a shell, so names are never interpreted.
+function resolveOwner(owner) {
+    const [user, group] = owner.split(':');
+    const run = (command, args) => {
+        try {
+            return execFileSync(command, args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+        } catch (error) {
+            throw new Error(`Unknown owner: ${owner}`);
+        }
+    };
+    
+    const uid = /^\d+$/.test(user) ? Number(user) : Number(run('id', ['-u', user]));
+    let gid;
+    if (!group) {
+        gid = Number(run('id', ['-g', user]));
+    } else if (/^\d+$/.test(group)) {
+        gid = Number(group);
+    } else {
+        // getent prints "name:password:gid:members"
+        gid = Number(run('getent', ['group', group]).split(':')[2]);
+    }
+    
+    return { uid, gid };
+}
+
+// Write next to the target and rename over it, so readers see the old file or the new one, never a partial one
+function writeAtomic(file, contents, { mode, owner }) {
+    const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    
+    try {
+        fs.writeFileSync(temp, contents, { mode: parseInt(mode, 8), flag: 'wx' });
+        // writeFileSync's mode is filtered by the umask, so set it explicitly
+        fs.chmodSync(temp, parseInt(mode, 8));
+        if (owner) {
+            fs.chownSync(temp, owner.uid, owner.gid);
+        }
+        fs.renameSync(temp, file);
+    } catch (error) {
+        fs.rmSync(temp, { force: true });
+        throw error;
+    }
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    
+    const reports = scanReports(options.reports, options.baseUrl);
+    const generatedAt = new Date();
+    const totalSize = reports.reduce((sum, report) => sum + report.size, 0);
+    const summary = `${reports.length} ${reports.length === 1 ? 'report' : 'reports'}, ${formatSize(totalSize)}. Generated ${formatTime(generatedAt)}.`;
+    
+    const html = renderTemplate(fs.readFileSync(options.template, 'utf8').replace(/\r\n/g, '\n'), {
+        title: escapeHTML(options.title),
+        summary: escapeHTML(summary),
+        rows: renderRows(reports)
+    });
+    const manifest = options.manifest ? `${JSON.stringify(buildManifest(reports, generatedAt), null, 4)}\n` : null;
+    
+    if (options.dryRun) {
+        console.log(`Would write ${options.output} (${formatSize(Buffer.byteLength(html))}) listing ${summary}`);
+        reports.forEach(report => console.log(`  ${formatTime(report.modified)}  ${formatSize(report.size).padStart(9)}  ${report.url}`));
+        if (manifest) {
+            console.log(`Would write ${options.manifest}`);
+        }
+        if (options.owner) {
+            console.log(`Would set owner ${options.owner} and mode ${options.mode}`);
+        }
+        return;
+    }
+    
+    const writeOptions = { mode: options.mode, owner: options.owner ? resolveOwner(options.owner) : null };
+    
+    writeAtomic(options.output, html, writeOptions);
+    if (manifest) {
+        writeAtomic(options.manifest, manifest, writeOptions);
+    }
+    console.log(`Wrote ${options.output} listing ${summary}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
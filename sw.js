@@ -0,0 +1,118 @@
+// ===== SERVICE WORKER =====
+// VERSION is a hash of the precached files, written by scripts/build-sw.js before every deploy.
+// Each version installs its own complete cache, and the page only switches over once the
+// visitor accepts the update, so old and new assets never mix.
+const VERSION = 'e193fb91176a';
+const PRECACHE = `msda-precache-${VERSION}`;
+const RUNTIME = `msda-runtime-${VERSION}`;
+
+// The app shell: everything the page needs to render offline
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'offline.html',
+    'site.webmanifest',
+    'assets/css/styles.css',
+    'assets/css/resume-print.css',
+    'assets/js/main.js',
+    'assets/data/content.json',
+    'assets/data/github.json',
+    'assets/data/locales/en.json',
+    'assets/data/locales/es.json',
+    'assets/data/locales/tl.json',
+    'assets/img/icon.svg',
+    'assets/img/myprofilepic.jpg',
+    'assets/img/resume.pdf',
+    'posts/index.json'
+];
+
+// Third-party hosts whose assets are versioned in the URL and safe to serve stale
+const CDN_HOSTS = [
+    'cdnjs.cloudflare.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+
+self.addEventListener('install', (event) => {
+    // cache: 'reload' skips the HTTP cache so a new version never precaches stale files
+    event.waitUntil(
+        caches.open(PRECACHE).then(cache => cache.addAll(
+            PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))
+        ))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('msda-') && key !== PRECACHE && key !== RUNTIME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Sent by the page when the visitor clicks "Reload" in the update toast
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    
+    if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(request.mode === 'navigate' ? handleNavigation(request) : handleAsset(request));
+    }
+});
+
+// Serve the cached copy immediately and refresh it in the background
+function staleWhileRevalidate(event) {
+    return caches.open(RUNTIME).then(cache => cache.match(event.request).then(cached => {
+        const network = fetch(event.request)
+            .then(response => {
+                // Stylesheets and fonts without CORS come back opaque; they are still usable
+                if (response.ok || response.type === 'opaque') {
+                    cache.put(event.request, response.clone());
+                }
+                return response;
+            });
+        
+        if (cached) {
+            event.waitUntil(network.catch(() => {}));
+            return cached;
+        }
+        return network;
+    }));
+}
+
+// The page shell always comes from this version's precache; query strings are page state
+function handleNavigation(request) {
+    return caches.open(PRECACHE).then(cache => cache.match(request, { ignoreSearch: true }).then(cached => {
+        if (cached) return cached;
+        
+        return fetch(request).catch(() => cache.match('offline.html'));
+    }));
+}
+
+// Precached files are cache-first; anything else (e.g. project images) is network-first with a runtime copy
+function handleAsset(request) {
+    return caches.match(request, { cacheName: PRECACHE }).then(cached => {
+        if (cached) return cached;
+        
+        return caches.open(RUNTIME).then(cache => fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    cache.put(request, response.clone());
+                }
+                return response;
+            })
+            .catch(() => cache.match(request).then(fallback => fallback || Response.error())));
+    });
+}
@@ -0,0 +1,99 @@
+const { installMatchMedia, loadMain } = require('./helpers');
+
+let main;
+
+function createAnalytics(overrides = {}) {
+    return new main.Analytics(Object.assign({}, main.CONFIG.analytics, overrides));
+}
+
+const GA4 = { provider: 'ga4', ga4: { measurementId: 'G-TEST' } };
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    document.head.innerHTML = '';
+    document.body.innerHTML = '<button type="button" class="footer-link" data-analytics-settings>Privacy settings</button>';
+    installMatchMedia();
+    main = loadMain();
+    window.gtag = jest.fn();
+});
+
+afterEach(() => {
+    delete window.gtag;
+    delete window.dataLayer;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('Analytics consent', () => {
+    test('collects nothing and asks nothing without a provider', () => {
+        const analytics = createAnalytics();
+        
+        expect(main.CONFIG.analytics.provider).toBeNull();
+        expect(document.querySelector('.consent-banner')).toBeNull();
+        expect(document.querySelector('[data-analytics-settings]').hidden).toBe(true);
+        
+        analytics.track('page_view', { path: '/' });
+        expect(analytics.queue).toEqual([]);
+    });
+    
+    test('asks for consent once a provider is configured', () => {
+        createAnalytics(GA4);
+        
+        expect(document.querySelector('.consent-banner')).not.toBeNull();
+        expect(document.querySelector('[data-analytics-settings]').hidden).toBe(false);
+    });
+    
+    test('declining after opting in denies analytics storage to gtag and stops queuing', () => {
+        const analytics = createAnalytics(GA4);
+        
+        document.querySelector('[data-consent="granted"]').click();
+        expect(window.gtag).toHaveBeenCalledWith('consent', 'update', { analytics_storage: 'granted' });
+        expect(analytics.queue.map(event => event.name)).toEqual(['page_view']);
+        expect(jest.getTimerCount()).toBe(1);
+        
+        analytics.setConsent('denied');
+        
+        expect(window.gtag).toHaveBeenLastCalledWith('consent', 'update', { analytics_storage: 'denied' });
+        expect(localStorage.getItem(main.CONFIG.analytics.consentKey)).toBe('denied');
+        expect(jest.getTimerCount()).toBe(0);
+        
+        analytics.track('page_view', { path: '/' });
+        expect(analytics.queue).toEqual([]);
+        expect(window.gtag).not.toHaveBeenCalledWith('event', expect.anything(), expect.anything());
+    });
+    
+    test('opting in again grants storage without loading gtag.js twice', () => {
+        const analytics = createAnalytics(GA4);
+        
+        analytics.setConsent('granted');
+        analytics.setConsent('denied');
+        window.gtag.mockClear();
+        analytics.setConsent('granted');
+        
+        expect(window.gtag).toHaveBeenCalledWith('consent', 'update', { analytics_storage: 'granted' });
+        expect(document.querySelectorAll('script[src*="googletagmanager"]')).toHaveLength(1);
+        
+        // The new flush timer works after the old one was cleared
+        jest.advanceTimersByTime(main.CONFIG.analytics.flushInterval);
+        expect(window.gtag).toHaveBeenCalledWith('event', 'page_view', { path: '/' });
+    });
+    
+    test('asks on every visit and honours the answer when storage is blocked', () => {
+        const error = () => {
+            throw new DOMException('The operation is insecure.', 'SecurityError');
+        };
+        jest.spyOn(Storage.prototype, 'getItem').mockImplementation(error);
+        jest.spyOn(Storage.prototype, 'setItem').mockImplementation(error);
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        
+        const analytics = createAnalytics(GA4);
+        expect(document.querySelector('.consent-banner')).not.toBeNull();
+        
+        document.querySelector('[data-consent="granted"]').click();
+        
+        expect(warn).toHaveBeenCalledWith('Could not store the analytics consent:', expect.any(DOMException));
+        expect(window.gtag).toHaveBeenCalledWith('consent', 'update', { analytics_storage: 'granted' });
+        expect(analytics.queue.map(event => event.name)).toEqual(['page_view']);
+    });
+});
@@ -0,0 +1,167 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const { ROOT, installMatchMedia, loadMain } = require('./helpers');
+
+const MOCK_SERVER = path.join(ROOT, 'scripts/assistant-mock-server.js');
+
+const REQUEST = {
+    question: 'Which projects use AI?',
+    locale: 'en',
+    history: [],
+    passages: [
+        { id: 'project.kendi', title: 'KENDI', text: 'KENDI is an enterprise assistant. It runs on Rasa.' },
+        { id: 'project.copilot', title: 'Copilots', text: 'Internal copilots guide employees! They use Azure AI.' }
+    ]
+};
+
+const EXPECTED_ANSWER = 'From the page, about "Which projects use AI?": KENDI is an enterprise assistant. [1] Internal copilots guide employees! [2]';
+
+// Runs scripts/assistant-mock-server.js on a free port; resolves once it is listening
+function startMockServer(args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [MOCK_SERVER, '--port', '0', '--delay', '0'].concat(args), { stdio: ['ignore', 'pipe', 'pipe'] });
+        let output = '';
+        
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            const match = /listening on (http:\/\/localhost:\d+\/)/.exec(output);
+            if (match) {
+                resolve({ url: match[1], child });
+            }
+        });
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', chunk => reject(new Error(chunk)));
+        child.on('error', reject);
+    });
+}
+
+function stopMockServer(server) {
+    if (!server || server.child.exitCode !== null) return Promise.resolve();
+    
+    return new Promise(resolve => {
+        server.child.on('exit', resolve);
+        server.child.kill();
+    });
+}
+
+function streamedResponse(chunks, contentType) {
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+        start(controller) {
+            chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+            controller.close();
+        }
+    });
+    return new Response(body, { headers: { 'Content-Type': contentType } });
+}
+
+let main;
+const servers = {};
+
+beforeAll(async () => {
+    installMatchMedia();
+    main = loadMain();
+    
+    const [sse, text, failing, limited] = await Promise.all([
+        startMockServer(['--format', 'sse']),
+        startMockServer(['--format', 'text']),
+        startMockServer(['--status', '500']),
+        startMockServer(['--status', '429'])
+    ]);
+    Object.assign(servers, { sse, text, failing, limited });
+});
+
+afterAll(() => Promise.all(Object.values(servers).map(stopMockServer)));
+
+function answer(server, options = {}) {
+    const backend = main.ASSISTANT_BACKENDS.http({ endpoint: server.url });
+    const deltas = [];
+    const result = backend.answer(REQUEST, Object.assign({ signal: null, onDelta: delta => deltas.push(delta) }, options));
+    return { result, deltas };
+}
+
+describe('ASSISTANT_BACKENDS.http against the mock server', () => {
+    test('requires an endpoint', () => {
+        expect(() => main.ASSISTANT_BACKENDS.http({}).load()).toThrow('CONFIG.assistant.http.endpoint');
+    });
+    
+    test('streams a server-sent events answer word by word', async () => {
+        const { result, deltas } = answer(servers.sse);
+        
+        await expect(result).resolves.toBe(EXPECTED_ANSWER);
+        expect(deltas.length).toBeGreaterThan(1);
+        expect(deltas.join('')).toBe(EXPECTED_ANSWER);
+    });
+    
+    test('reads a plain text stream', async () => {
+        const { result, deltas } = answer(servers.text);
+        
+        await expect(result).resolves.toBe(EXPECTED_ANSWER);
+        expect(deltas.join('')).toBe(EXPECTED_ANSWER);
+    });
+    
+    test('fails with the status of an error response', async () => {
+        const { result, deltas } = answer(servers.failing);
+        
+        await expect(result).rejects.toMatchObject({ name: 'AssistantBackendError', status: 500, retryAfter: null });
+        expect(deltas).toEqual([]);
+    });
+    
+    test('reports Retry-After from a 429 response', async () => {
+        const { result } = answer(servers.limited);
+        
+        await expect(result).rejects.toMatchObject({ name: 'AssistantBackendError', status: 429, retryAfter: 30 });
+    });
+    
+    test('lets cross-origin pages read Retry-After', async () => {
+        const response = await fetch(servers.limited.url, { method: 'POST', body: JSON.stringify(REQUEST) });
+        
+        expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*');
+        expect(response.headers.get('Access-Control-Expose-Headers')).toBe('Retry-After');
+    });
+    
+    test('stops when the request is aborted', async () => {
+        const controller = new AbortController();
+        const { result } = answer(servers.sse, {
+            signal: controller.signal,
+            onDelta: () => controller.abort()
+        });
+        
+        await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
+
+describe('readAnswerStream', () => {
+    test('joins server-sent events split across chunks and stops at [DONE]', async () => {
+        const response = streamedResponse(
+            ['data: {"delta": "Hel', 'lo "}\n\ndata: {"delta": "world"}\n', '\ndata: [DONE]\n\ndata: {"delta": "ignored"}\n\n'],
+            'text/event-stream; charset=utf-8'
+        );
+        const deltas = [];
+        
+        await expect(main.readAnswerStream(response, delta => deltas.push(delta))).resolves.toBe('Hello world');
+        expect(deltas).toEqual(['Hello ', 'world']);
+    });
+    
+    test('reads a last event without a trailing newline and plain data lines', async () => {
+        const response = streamedResponse(['data: plain words\n\n', 'data: {"delta": "!"}'], 'text/event-stream');
+        
+        await expect(main.readAnswerStream(response, () => {})).resolves.toBe('plain words!');
+    });
+    
+    test('keeps multi-byte characters split across chunks intact', async () => {
+        const bytes = new TextEncoder().encode('Señor 👍');
+        const body = new ReadableStream({
+            start(controller) {
+                controller.enqueue(bytes.slice(0, 3));
+                controller.enqueue(bytes.slice(3, 8));
+                controller.enqueue(bytes.slice(8));
+                controller.close();
+            }
+        });
+        const response = new Response(body, { headers: { 'Content-Type': 'text/plain' } });
+        
+        await expect(main.readAnswerStream(response, () => {})).resolves.toBe('Señor 👍');
+    });
+});
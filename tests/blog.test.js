@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./helpers');
+const { buildFeed, showBlog } = require('../scripts/build-blog.js');
+
+const PROFILE = { url: 'https://example.com', name: 'Ada Lovelace', label: 'Engineer' };
+const POST = { slug: 'notes', title: 'Notes', date: '2024-03-05', tags: ['Math'], summary: 'On the engine' };
+
+describe('Blog build', () => {
+    test('index.html only shows the blog when posts/index.json has posts; run node scripts/build-blog.js', () => {
+        const { posts } = JSON.parse(fs.readFileSync(path.join(ROOT, 'posts/index.json'), 'utf8'));
+        document.documentElement.innerHTML = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+        
+        expect(document.querySelector('.nav-link[href="#blog"]').hidden).toBe(!posts.length);
+        expect(document.getElementById('blog').hidden).toBe(!posts.length);
+    });
+    
+    test('hides and shows every element marked data-blog', () => {
+        const html = '<a href="#blog" data-blog>Blog</a><section id="blog" data-blog><a href="#blog-post">Post</a></section>';
+        const hidden = showBlog(html, false);
+        
+        expect(hidden).toBe('<a href="#blog" data-blog hidden>Blog</a><section id="blog" data-blog hidden><a href="#blog-post">Post</a></section>');
+        expect(showBlog(hidden, false)).toBe(hidden);
+        expect(showBlog(hidden, true)).toBe(html);
+    });
+    
+    test('an empty feed has no build date', () => {
+        expect(buildFeed([], PROFILE)).not.toContain('<lastBuildDate>');
+        expect(buildFeed([POST], PROFILE)).toContain('<lastBuildDate>Tue, 05 Mar 2024 00:00:00 GMT</lastBuildDate>');
+    });
+});
@@ -0,0 +1,91 @@
+const { installMatchMedia, loadMain } = require('./helpers');
+
+let main;
+
+function setupPage() {
+    document.body.innerHTML = `
+        <section id="experience">
+            <div class="timeline">
+                <div class="timeline-item">
+                    <span class="timeline-date">2022 - 2024</span>
+                    <h3 class="timeline-title">Engineer</h3>
+                    <p class="timeline-company">Acme</p>
+                    <div class="timeline-skills"><span>Python</span><span>Azure</span></div>
+                </div>
+            </div>
+        </section>`;
+    main.queryDOMElements();
+}
+
+function pressEscape(target) {
+    const event = new KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true });
+    target.dispatchEvent(event);
+    return event;
+}
+
+beforeEach(() => {
+    localStorage.clear();
+    installMatchMedia();
+    main = loadMain();
+    setupPage();
+});
+
+describe('CommandPalette', () => {
+    test('remembers the commands it runs, most recent first', () => {
+        const palette = new main.CommandPalette();
+        const run = jest.fn();
+        main.commandRegistry.register({ id: 'test.first', title: 'First', run });
+        main.commandRegistry.register({ id: 'test.second', title: 'Second', run });
+        
+        palette.run(main.commandRegistry.get('test.first'));
+        palette.run(main.commandRegistry.get('test.second'));
+        
+        expect(run).toHaveBeenCalledTimes(2);
+        expect(palette.getRecentIds()).toEqual(['test.second', 'test.first']);
+    });
+    
+    test('still runs the command when storage refuses writes', () => {
+        const palette = new main.CommandPalette();
+        const run = jest.fn();
+        main.commandRegistry.register({ id: 'test.first', title: 'First', run });
+        const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+            throw new DOMException('Quota exceeded', 'QuotaExceededError');
+        });
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        
+        expect(() => palette.run(main.commandRegistry.get('test.first'))).not.toThrow();
+        expect(run).toHaveBeenCalled();
+        expect(warn).toHaveBeenCalledWith('Could not store recent commands:', expect.any(DOMException));
+        
+        setItem.mockRestore();
+        warn.mockRestore();
+    });
+    
+    test('Escape closes the palette without clearing a highlighted timeline skill', () => {
+        const timeline = new main.TimelineManager();
+        const palette = new main.CommandPalette();
+        
+        timeline.highlightSkill('Python');
+        palette.open();
+        pressEscape(palette.input);
+        
+        expect(palette.root.hidden).toBe(true);
+        expect(timeline.activeSkill).toBe('Python');
+        
+        // With nothing else open, Escape clears the highlight
+        pressEscape(document.body);
+        expect(timeline.activeSkill).toBeNull();
+    });
+    
+    test('highlights the matched characters after an emoji', () => {
+        main.commandRegistry.register({ id: 'test.deploy', group: 'actions', title: '\u{1F680} Deploy', run: () => {} });
+        const palette = new main.CommandPalette();
+        
+        palette.open();
+        palette.input.value = 'dep';
+        palette.input.dispatchEvent(new Event('input'));
+        
+        const title = Array.from(palette.list.querySelectorAll('.command-title')).find(element => element.textContent === '\u{1F680} Deploy');
+        expect(Array.from(title.querySelectorAll('mark'), mark => mark.textContent).join('')).toBe('Dep');
+    });
+});
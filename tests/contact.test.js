@@ -0,0 +1,170 @@
+const { installMatchMedia, loadMain, startFixtureServer, sendJSON, waitFor } = require('./helpers');
+
+let main;
+let server;
+
+function setupPage() {
+    document.body.innerHTML = `
+        <nav class="navbar" id="navbar"></nav>
+        <section id="contact">
+            <a href="#contact-form" class="btn btn-primary" id="get-in-touch">Get In Touch</a>
+            <form class="contact-form" id="contact-form" novalidate data-adapter="json" data-endpoint="${server.url}/contact">
+                <input type="text" id="contact-name" name="name">
+                <p class="form-error" id="contact-name-error"></p>
+                <input type="email" id="contact-email" name="email">
+                <p class="form-error" id="contact-email-error"></p>
+                <textarea id="contact-message" name="message"></textarea>
+                <p class="form-error" id="contact-message-error"></p>
+                <input type="text" id="contact-website" name="website">
+                <button type="submit"><span class="btn-label">Send Message</span></button>
+                <p class="form-status" role="status"></p>
+            </form>
+        </section>`;
+    main.queryDOMElements();
+}
+
+function createContactManager() {
+    const contact = new main.ContactManager({ track: jest.fn() });
+    // Skip the too-fast-to-be-human check
+    contact.renderedAt = 0;
+    return contact;
+}
+
+function fillForm(values) {
+    const form = document.getElementById('contact-form');
+    Object.keys(values).forEach(name => {
+        form.elements[name].value = values[name];
+    });
+}
+
+function queued(name) {
+    return {
+        submission: { name, email: `${name.toLowerCase()}@example.com`, message: 'Hello from the queue' },
+        options: { adapter: 'json', endpoint: `${server.url}/contact`, email: 'me@example.com' }
+    };
+}
+
+function storedQueue() {
+    return JSON.parse(localStorage.getItem(main.CONFIG.contact.queueKey)) || [];
+}
+
+beforeAll(async () => {
+    server = await startFixtureServer();
+});
+
+afterAll(() => server.close());
+
+beforeEach(() => {
+    localStorage.clear();
+    server.requests.length = 0;
+    server.handlers['/contact'] = (request, response) => sendJSON(response, 200, { ok: true });
+    installMatchMedia();
+    main = loadMain();
+    setupPage();
+});
+
+describe('ContactManager submissions', () => {
+    test('posts the message as JSON and reports success', async () => {
+        const contact = createContactManager();
+        fillForm({ name: 'Ada', email: 'ada@example.com', message: 'Would love to talk about a project' });
+        
+        await contact.handleSubmit();
+        
+        expect(server.requests).toHaveLength(1);
+        expect(JSON.parse(server.requests[0].body)).toMatchObject({ name: 'Ada', email: 'ada@example.com' });
+        expect(document.getElementById('contact-form').dataset.state).toBe('success');
+        expect(document.getElementById('contact-name').value).toBe('');
+    });
+    
+    test('queues the message when the endpoint fails with a server error', async () => {
+        server.handlers['/contact'] = (request, response) => sendJSON(response, 503, { error: 'busy' });
+        const contact = createContactManager();
+        fillForm({ name: 'Ada', email: 'ada@example.com', message: 'Would love to talk about a project' });
+        
+        await contact.handleSubmit();
+        
+        expect(document.getElementById('contact-form').dataset.state).toBe('queued');
+        expect(storedQueue().map(entry => entry.submission.name)).toEqual(['Ada']);
+    });
+    
+    test('keeps the message and shows the email address when it cannot be queued', async () => {
+        server.handlers['/contact'] = (request, response) => sendJSON(response, 503, { error: 'busy' });
+        const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+            throw new DOMException('Quota exceeded', 'QuotaExceededError');
+        });
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const contact = createContactManager();
+        fillForm({ name: 'Ada', email: 'ada@example.com', message: 'Would love to talk about a project' });
+        
+        await contact.handleSubmit();
+        
+        const form = document.getElementById('contact-form');
+        expect(form.dataset.state).toBe('error');
+        expect(form.querySelector('[type="submit"]').disabled).toBe(false);
+        expect(form.querySelector('.form-status').textContent).toContain(contact.options.email);
+        expect(document.getElementById('contact-message').value).toBe('Would love to talk about a project');
+        [setItem, warn, error].forEach(spy => spy.mockRestore());
+    });
+    
+    test('keeps a client error out of the queue', async () => {
+        server.handlers['/contact'] = (request, response) => sendJSON(response, 422, { error: 'invalid' });
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const contact = createContactManager();
+        fillForm({ name: 'Ada', email: 'ada@example.com', message: 'Would love to talk about a project' });
+        
+        await contact.handleSubmit();
+        
+        expect(document.getElementById('contact-form').dataset.state).toBe('error');
+        expect(storedQueue()).toEqual([]);
+        error.mockRestore();
+    });
+});
+
+describe('ContactManager offline queue', () => {
+    test('sends queued messages and keeps the ones that still fail', async () => {
+        localStorage.setItem(main.CONFIG.contact.queueKey, JSON.stringify([queued('Ada'), queued('Grace')]));
+        server.handlers['/contact'] = (request, response, body) => {
+            sendJSON(response, JSON.parse(body).name === 'Ada' ? 200 : 503, {});
+        };
+        
+        const contact = createContactManager();
+        await waitFor(() => !contact.isFlushing && server.requests.length === 2);
+        
+        expect(storedQueue().map(entry => entry.submission.name)).toEqual(['Grace']);
+    });
+    
+    test('sends each message once when flushes overlap and keeps messages queued meanwhile', async () => {
+        const pending = [];
+        server.handlers['/contact'] = (request, response) => pending.push(response);
+        localStorage.setItem(main.CONFIG.contact.queueKey, JSON.stringify([queued('Ada')]));
+        
+        const contact = createContactManager();
+        await waitFor(() => pending.length === 1);
+        
+        // The browser comes back online and a new message is queued while Ada is still sending
+        await contact.flushQueue();
+        contact.enqueue(queued('Grace').submission);
+        
+        pending.forEach(response => sendJSON(response, 200, {}));
+        await waitFor(() => !contact.isFlushing);
+        
+        expect(server.requests).toHaveLength(1);
+        expect(storedQueue().map(entry => entry.submission.name)).toEqual(['Grace']);
+    });
+});
+
+describe('Get In Touch link', () => {
+    test('scrolls to the form below the navbar through the router', () => {
+        window.scrollTo = jest.fn();
+        Object.defineProperty(document.getElementById('navbar'), 'offsetHeight', { value: 70 });
+        document.getElementById('contact-form').getBoundingClientRect = () => ({ top: 500 });
+        new main.Router(new main.ScrollScheduler());
+        
+        const click = new MouseEvent('click', { bubbles: true, cancelable: true });
+        document.getElementById('get-in-touch').dispatchEvent(click);
+        
+        expect(click.defaultPrevented).toBe(true);
+        expect(window.scrollTo).toHaveBeenCalledWith({ top: 430, behavior: 'smooth' });
+    });
+});
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT, installMatchMedia, loadMain, startFixtureServer, sendJSON } = require('./helpers');
+const { renderContent } = require('../scripts/build-content.js');
+
+const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+let main;
+let server;
+
+beforeAll(async () => {
+    server = await startFixtureServer({
+        '/content.json': (request, response) => sendJSON(response, 500, { error: 'unavailable' })
+    });
+});
+
+afterAll(() => server.close());
+
+beforeEach(() => {
+    installMatchMedia();
+    main = loadMain();
+});
+
+describe('Pre-rendered content', () => {
+    test('index.html matches content.json; run npm run build:content', () => {
+        expect(renderContent(html)).toBe(html);
+    });
+    
+    test('index.html lists every project for crawlers and visitors without JavaScript', () => {
+        document.documentElement.innerHTML = html;
+        const content = JSON.parse(fs.readFileSync(path.join(ROOT, 'assets/data/content.json'), 'utf8'));
+        
+        const ids = Array.from(document.querySelectorAll('.projects-grid .project-card'), card => card.dataset.projectId);
+        expect(ids).toEqual(content.projects.map(project => project.id));
+        expect(document.querySelectorAll('.timeline .timeline-item')).toHaveLength(content.experience.length);
+    });
+});
+
+describe('ContentManager without the manifest', () => {
+    async function loadFailing() {
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const manager = new main.ContentManager({ url: `${server.url}/content.json` });
+        await manager.load();
+        manager.render();
+        error.mockRestore();
+        return manager;
+    }
+    
+    test('keeps the pre-rendered markup', async () => {
+        document.body.innerHTML = `
+            <div class="skills-grid"><div class="skill-category">Python</div></div>
+            <div class="projects-grid"><div class="project-card" data-project-id="kendi"></div></div>
+            <div class="timeline"><div class="timeline-item"></div></div>`;
+        
+        const manager = await loadFailing();
+        
+        expect(manager.content).toBeNull();
+        expect(document.querySelector('.project-card')).not.toBeNull();
+        expect(document.querySelector('.content-status')).toBeNull();
+    });
+    
+    test('says so where there is nothing to show', async () => {
+        document.body.innerHTML = `
+            <div class="skills-grid"><div class="skill-category">Python</div></div>
+            <div class="projects-grid">
+                <!-- content:projects -->
+            </div>
+            <div class="timeline"></div>`;
+        
+        await loadFailing();
+        
+        const messages = Array.from(document.querySelectorAll('.content-status'), message => message.parentElement.className);
+        expect(messages).toEqual(['projects-grid', 'timeline']);
+        expect(document.querySelector('.content-status').textContent).toBe(main.i18n.t('content.unavailable'));
+    });
+});
@@ -0,0 +1,117 @@
+const { installMatchMedia, installIntersectionObserver, loadMain } = require('./helpers');
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+let main;
+
+function createStat(html) {
+    document.body.innerHTML = `<div class="stat">${html}</div>`;
+    return document.querySelector('.stat > div');
+}
+
+function shown(element) {
+    return element.querySelector('.stat-value').textContent;
+}
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    installMatchMedia();
+    main = loadMain();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('parseCounterText', () => {
+    test('splits the number from its prefix and suffix', () => {
+        expect(main.parseCounterText('20+')).toEqual({ prefix: '', value: 20, suffix: '+', decimals: 0 });
+        expect(main.parseCounterText('$1.2M')).toEqual({ prefix: '$', value: 1.2, suffix: 'M', decimals: 1 });
+        expect(main.parseCounterText('1,500 users')).toEqual({ prefix: '', value: 1500, suffix: ' users', decimals: 0 });
+        expect(main.parseCounterText('n/a')).toBeNull();
+    });
+});
+
+describe('StatCounter animation', () => {
+    test('counts from 0 to the value in the markup over the duration', () => {
+        const element = createStat('<div class="stat-number" data-count-easing="linear" data-count-duration="1000">80%</div>');
+        const counter = new main.StatCounter(element);
+        
+        expect(shown(element)).toBe('0%');
+        // Screen readers get the final value from the start
+        expect(element.querySelector('.sr-only').textContent).toBe('80%');
+        expect(element.querySelector('.stat-value').getAttribute('aria-hidden')).toBe('true');
+        
+        counter.start();
+        jest.advanceTimersByTime(500);
+        const halfway = parseInt(shown(element), 10);
+        expect(halfway).toBeGreaterThanOrEqual(38);
+        expect(halfway).toBeLessThanOrEqual(42);
+        
+        jest.advanceTimersByTime(600);
+        expect(shown(element)).toBe('80%');
+        expect(counter.finished).toBe(true);
+    });
+    
+    test('keeps the prefix, suffix and decimals while counting', () => {
+        const element = createStat('<div data-count-to="4.5" data-count-prefix="$" data-count-suffix="M" data-count-decimals="1" data-count-duration="1000"></div>');
+        const counter = new main.StatCounter(element);
+        
+        expect(shown(element)).toBe('$0.0M');
+        
+        counter.start();
+        jest.advanceTimersByTime(1100);
+        expect(shown(element)).toBe('$4.5M');
+    });
+    
+    test('does not restart once finished', () => {
+        const element = createStat('<div class="stat-number" data-count-duration="1000">20+</div>');
+        const counter = new main.StatCounter(element);
+        
+        counter.finish();
+        counter.start();
+        
+        expect(shown(element)).toBe('20+');
+        expect(jest.getTimerCount()).toBe(0);
+    });
+    
+    test('shows the final value straight away when reduced motion is preferred', () => {
+        installMatchMedia({ [REDUCED_MOTION]: true });
+        const element = createStat('<div class="stat-number">20+</div>');
+        const counter = new main.StatCounter(element);
+        
+        expect(shown(element)).toBe('20+');
+        
+        counter.start();
+        expect(counter.finished).toBe(true);
+        expect(jest.getTimerCount()).toBe(0);
+    });
+    
+    test('leaves elements without a number alone', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const element = createStat('<div class="stat-number">Many</div>');
+        const counter = new main.StatCounter(element);
+        
+        expect(counter.isValid()).toBe(false);
+        expect(element.innerHTML).toBe('Many');
+        warn.mockRestore();
+    });
+    
+    test('AnimationManager starts each counter when it scrolls into view', () => {
+        const IntersectionObserver = installIntersectionObserver();
+        document.body.innerHTML = `
+            <div class="stat-number" id="first" data-count-duration="1000">10</div>
+            <div class="stat-number" id="second" data-count-duration="1000">30</div>`;
+        new main.AnimationManager();
+        
+        const [observer] = IntersectionObserver.instances;
+        expect(observer.options.threshold).toBe(main.CONFIG.counter.threshold);
+        
+        observer.trigger([{ target: document.getElementById('first') }]);
+        jest.advanceTimersByTime(1100);
+        
+        expect(shown(document.getElementById('first'))).toBe('10');
+        expect(shown(document.getElementById('second'))).toBe('0');
+        expect(observer.targets.has(document.getElementById('first'))).toBe(false);
+    });
+});
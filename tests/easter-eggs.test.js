@@ -0,0 +1,84 @@
+const { installMatchMedia, loadMain } = require('./helpers');
+
+const KONAMI = ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight', 'KeyB', 'KeyA'];
+
+let main;
+
+function press(codes, target = document.body) {
+    codes.forEach(code => {
+        target.dispatchEvent(new KeyboardEvent('keydown', { code, key: code, bubbles: true, cancelable: true }));
+    });
+}
+
+function message() {
+    return Array.from(document.body.children).find(child => child.textContent === main.i18n.t('easterEgg.message'));
+}
+
+beforeAll(() => {
+    installMatchMedia();
+    main = loadMain();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    // The shortcut dispatcher listens on the document once, so one EasterEggs serves every test
+    new main.EasterEggs();
+});
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    document.body.innerHTML = '<input type="text" id="name">';
+    document.body.style.animation = '';
+});
+
+afterEach(() => {
+    // Leave the dispatcher with an empty buffer for the next test
+    press(['Escape']);
+    jest.useRealTimers();
+});
+
+afterAll(() => {
+    console.log.mockRestore();
+});
+
+describe('EasterEggs Konami code', () => {
+    test('shows the message for three seconds once the whole sequence is typed', () => {
+        press(KONAMI);
+        
+        expect(message()).toBeDefined();
+        expect(document.body.style.animation).toBe('rainbow 1s infinite');
+        
+        jest.advanceTimersByTime(3000);
+        expect(message()).toBeUndefined();
+        expect(document.body.style.animation).toBe('');
+    });
+    
+    test('matches the sequence after other keys were pressed', () => {
+        press(['KeyX', 'ArrowUp', 'Space'].concat(KONAMI));
+        
+        expect(message()).toBeDefined();
+    });
+    
+    test('needs every key in order', () => {
+        press(KONAMI.slice(0, -1));
+        expect(message()).toBeUndefined();
+        
+        press(['KeyX', 'KeyA']);
+        expect(message()).toBeUndefined();
+    });
+    
+    test('ignores keys typed into form fields', () => {
+        press(KONAMI, document.getElementById('name'));
+        
+        expect(message()).toBeUndefined();
+    });
+    
+    test('ignores keys another handler already handled', () => {
+        document.addEventListener('keydown', preventDefault, { capture: true });
+        press(KONAMI);
+        document.removeEventListener('keydown', preventDefault, { capture: true });
+        
+        expect(message()).toBeUndefined();
+        
+        function preventDefault(e) {
+            e.preventDefault();
+        }
+    });
+});
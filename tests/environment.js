@@ -0,0 +1,23 @@
+// jsdom plus Node's fetch and streams, so components can be tested against local fixture servers.
+// AbortController comes from Node too, because Node's fetch rejects jsdom's signals.
+const { TestEnvironment } = require('jest-environment-jsdom');
+
+class NetworkEnvironment extends TestEnvironment {
+    async setup() {
+        await super.setup();
+        
+        Object.assign(this.global, {
+            fetch,
+            Headers,
+            Request,
+            Response,
+            ReadableStream,
+            TextEncoder,
+            TextDecoder,
+            AbortController,
+            AbortSignal
+        });
+    }
+}
+
+module.exports = NetworkEnvironment;
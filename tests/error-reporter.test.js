@@ -0,0 +1,210 @@
+const { installMatchMedia, loadMain, startFixtureServer, waitFor } = require('./helpers');
+
+let main;
+let sendBeacon;
+
+function createReporter(options = {}) {
+    return new main.ErrorReporter(Object.assign({}, main.CONFIG.errors, {
+        reporter: 'beacon',
+        batchSize: 3,
+        flushInterval: 5000,
+        maxReports: 5,
+        beacon: { endpoint: '/errors' }
+    }, options));
+}
+
+// Reports from every sendBeacon call, in order
+function sentBatches() {
+    return sendBeacon.mock.calls.map(([, payload]) => JSON.parse(payload).reports);
+}
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    installMatchMedia();
+    main = loadMain();
+    sendBeacon = jest.fn(() => true);
+    navigator.sendBeacon = sendBeacon;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    delete navigator.sendBeacon;
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+});
+
+describe('ErrorReporter batching', () => {
+    test('sends a batch as soon as batchSize reports are queued', () => {
+        const reporter = createReporter();
+        reporter.enable();
+        
+        reporter.report(new Error('one'));
+        reporter.report(new Error('two'));
+        expect(sendBeacon).not.toHaveBeenCalled();
+        
+        reporter.report(new TypeError('three'));
+        
+        expect(sendBeacon).toHaveBeenCalledTimes(1);
+        expect(sendBeacon.mock.calls[0][0]).toBe('/errors');
+        expect(sentBatches()[0].map(report => report.message)).toEqual(['one', 'two', 'three']);
+        expect(sentBatches()[0][2].name).toBe('TypeError');
+        
+        // The flush timer started by the first report was cleared
+        jest.advanceTimersByTime(5000);
+        expect(sendBeacon).toHaveBeenCalledTimes(1);
+    });
+    
+    test('sends a partial batch when the flush timer fires', () => {
+        const reporter = createReporter();
+        reporter.enable();
+        
+        reporter.report(new Error('only'));
+        jest.advanceTimersByTime(4999);
+        expect(sendBeacon).not.toHaveBeenCalled();
+        
+        jest.advanceTimersByTime(1);
+        expect(sentBatches()).toEqual([[expect.objectContaining({ message: 'only', count: 1 })]]);
+    });
+    
+    test('sends what is queued when the page is hidden', () => {
+        const reporter = createReporter();
+        reporter.install();
+        
+        reporter.report(new Error('before leaving'));
+        window.dispatchEvent(new Event('pagehide'));
+        
+        expect(sentBatches()).toEqual([[expect.objectContaining({ message: 'before leaving' })]]);
+    });
+    
+    test('counts repeats of a report instead of queueing them again', () => {
+        const reporter = createReporter();
+        reporter.enable();
+        
+        reporter.report(new Error('again'), { component: 'Blog' });
+        reporter.report(new Error('again'), { component: 'Blog' });
+        reporter.report(new Error('again'), { component: 'Blog' });
+        reporter.report(new Error('again'), { component: 'GitHubFeed' });
+        
+        expect(reporter.getReports().map(report => [report.component, report.count])).toEqual([['Blog', 3], ['GitHubFeed', 1]]);
+        
+        jest.advanceTimersByTime(5000);
+        expect(sentBatches()).toEqual([[
+            expect.objectContaining({ component: 'Blog', count: 3 }),
+            expect.objectContaining({ component: 'GitHubFeed', count: 1 })
+        ]]);
+    });
+    
+    test('keeps at most maxReports distinct reports per page view', () => {
+        const reporter = createReporter({ batchSize: 100 });
+        reporter.enable();
+        
+        for (let index = 0; index < 8; index++) {
+            reporter.report(new Error(`error ${index}`));
+        }
+        reporter.flush();
+        
+        expect(reporter.getReports()).toHaveLength(5);
+        expect(sentBatches()[0].map(report => report.message)).toEqual(['error 0', 'error 1', 'error 2', 'error 3', 'error 4']);
+    });
+    
+    test('still counts repeats once maxReports is reached', () => {
+        const reporter = createReporter({ maxReports: 1 });
+        reporter.enable();
+        
+        reporter.report(new Error('first'));
+        reporter.report(new Error('second'));
+        reporter.report(new Error('first'));
+        
+        expect(reporter.getReports()).toEqual([expect.objectContaining({ message: 'first', count: 2 })]);
+    });
+});
+
+describe('ErrorReporter sampling', () => {
+    test('sampleRate 0 sends nothing but still records reports for listeners', () => {
+        const reporter = createReporter({ sampleRate: 0 });
+        const listener = jest.fn();
+        reporter.onReport(listener);
+        reporter.install();
+        
+        reporter.report(new Error('unsampled'));
+        reporter.flush();
+        jest.advanceTimersByTime(5000);
+        
+        expect(reporter.provider).toBeNull();
+        expect(sendBeacon).not.toHaveBeenCalled();
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({ message: 'unsampled' }));
+    });
+    
+    test('sampleRate 1 reports every page view', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.999999);
+        const reporter = createReporter({ sampleRate: 1 });
+        reporter.install();
+        
+        reporter.report(new Error('sampled'));
+        reporter.flush();
+        
+        expect(sentBatches()).toEqual([[expect.objectContaining({ message: 'sampled' })]]);
+    });
+    
+    test('a partial sampleRate decides once per page view', () => {
+        const random = jest.spyOn(Math, 'random').mockReturnValue(0.7);
+        
+        const skipped = createReporter({ sampleRate: 0.5 });
+        skipped.install();
+        expect(skipped.provider).toBeNull();
+        
+        random.mockReturnValue(0.2);
+        const sampled = createReporter({ sampleRate: 0.5 });
+        sampled.install();
+        expect(sampled.provider).not.toBeNull();
+    });
+});
+
+describe('ERROR_REPORTERS.beacon', () => {
+    let server;
+    
+    beforeEach(async () => {
+        jest.useRealTimers();
+        server = await startFixtureServer({
+            '/errors': (request, response) => {
+                response.writeHead(204);
+                response.end();
+            }
+        });
+    });
+    
+    afterEach(() => server.close());
+    
+    test('requires an endpoint', () => {
+        expect(() => main.ERROR_REPORTERS.beacon({ endpoint: '' }).load()).toThrow('CONFIG.errors.beacon.endpoint');
+    });
+    
+    test('posts the batch with fetch when sendBeacon refuses it', async () => {
+        sendBeacon.mockReturnValue(false);
+        const provider = main.ERROR_REPORTERS.beacon({ endpoint: `${server.url}/errors` });
+        
+        provider.send([{ type: 'error', message: 'queued', count: 2 }]);
+        await waitFor(() => server.requests.length > 0);
+        
+        const [request] = server.requests;
+        expect(sendBeacon).toHaveBeenCalledTimes(1);
+        expect(request.method).toBe('POST');
+        expect(request.headers['content-type']).toBe('application/json');
+        expect(JSON.parse(request.body)).toEqual({
+            page: window.location.pathname,
+            userAgent: navigator.userAgent,
+            reports: [{ type: 'error', message: 'queued', count: 2 }]
+        });
+    });
+    
+    test('only logs a failed delivery', async () => {
+        delete navigator.sendBeacon;
+        await server.close();
+        const provider = main.ERROR_REPORTERS.beacon({ endpoint: `${server.url}/errors` });
+        
+        provider.send([{ type: 'error', message: 'lost' }]);
+        await waitFor(() => console.warn.mock.calls.length > 0);
+        
+        expect(console.warn).toHaveBeenCalledWith('Error report beacon failed:', expect.anything());
+    });
+});
@@ -0,0 +1,200 @@
+const { installMatchMedia, loadMain, startFixtureServer, sendJSON } = require('./helpers');
+
+const USER = 'octo';
+const REPOS_PATH = `/users/${USER}/repos`;
+const EVENTS_PATH = `/users/${USER}/events/public`;
+
+const API_REPOS = [
+    { name: 'forecasting', description: 'Demand forecasting', html_url: 'https://github.com/octo/forecasting', language: 'Python', stargazers_count: 4, pushed_at: '2024-03-01T00:00:00Z' },
+    { name: 'kendi', description: 'Assistant', html_url: 'https://github.com/octo/kendi', language: 'Python', stargazers_count: 9, pushed_at: '2024-05-01T00:00:00Z' },
+    { name: 'dotfiles', description: '', html_url: 'https://github.com/octo/dotfiles', language: 'Shell', stargazers_count: 0, pushed_at: '2024-04-01T00:00:00Z', fork: true }
+];
+
+const API_EVENTS = [
+    { type: 'PushEvent', repo: { name: 'octo/kendi' }, created_at: '2024-05-01T00:00:00Z' },
+    { type: 'GollumEvent', repo: { name: 'octo/kendi' }, created_at: '2024-04-30T00:00:00Z' }
+];
+
+const SNAPSHOT = {
+    user: USER,
+    generatedAt: '2024-01-01T00:00:00Z',
+    repos: [{ name: 'saved-repo', description: 'From the snapshot', url: 'https://github.com/octo/saved-repo', language: 'Go', stars: 1, updatedAt: '2023-12-01T00:00:00Z', fork: false, archived: false }],
+    events: []
+};
+
+const EMPTY_SNAPSHOT = { user: USER, generatedAt: null, repos: [], events: [] };
+
+const PROJECTS = [
+    { id: 'kendi', title: 'KENDI AI Assistant', description: 'Enterprise assistant', tags: ['Python', 'Rasa'], links: { source: '#' } },
+    { id: 'automation', title: 'Automation Platform', description: 'Workflow automation', tags: ['Azure'], links: { source: '#' } }
+];
+
+let main;
+let server;
+
+function serveApi() {
+    server.handlers[REPOS_PATH] = (request, response) => sendJSON(response, 200, API_REPOS, { ETag: '"repos-v1"' });
+    server.handlers[EVENTS_PATH] = (request, response) => sendJSON(response, 200, API_EVENTS, { ETag: '"events-v1"' });
+}
+
+function failApi(status, headers = {}) {
+    server.handlers[REPOS_PATH] = (request, response) => sendJSON(response, status, { message: 'error' }, headers);
+    server.handlers[EVENTS_PATH] = (request, response) => sendJSON(response, status, { message: 'error' }, headers);
+}
+
+function serveSnapshot(snapshot) {
+    server.handlers['/snapshot.json'] = (request, response) => sendJSON(response, 200, snapshot);
+}
+
+async function loadFeed(projects = []) {
+    const options = Object.assign({}, main.CONFIG.github, {
+        user: USER,
+        apiBase: server.url,
+        snapshotUrl: `${server.url}/snapshot.json`
+    });
+    const feed = new main.GitHubFeed(projects, options);
+    await feed.init();
+    return feed;
+}
+
+function repoNames() {
+    return Array.from(document.querySelectorAll('.repo-name a')).map(link => link.textContent);
+}
+
+function status() {
+    return document.querySelector('.github-status').textContent;
+}
+
+function apiRequests() {
+    return server.requests.filter(request => request.pathname !== '/snapshot.json');
+}
+
+beforeAll(async () => {
+    installMatchMedia();
+    main = loadMain();
+    server = await startFixtureServer();
+});
+
+afterAll(() => server.close());
+
+beforeEach(() => {
+    localStorage.clear();
+    server.requests.length = 0;
+    Object.keys(server.handlers).forEach(key => delete server.handlers[key]);
+    document.body.innerHTML = `
+        <div class="github-feed"></div>
+        <article class="project-card" data-project-id="kendi"><a href="#" data-project-link="source">Source</a></article>`;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('GitHubFeed against a fixture API', () => {
+    test('renders owned repositories, newest first, and the supported events', async () => {
+        serveApi();
+        await loadFeed();
+        
+        expect(repoNames()).toEqual(['kendi', 'forecasting']);
+        expect(document.querySelectorAll('.github-event')).toHaveLength(1);
+        expect(document.querySelector('.github-event').textContent).toContain('Pushed to');
+        expect(document.querySelector('.github-status').hidden).toBe(true);
+        expect(server.requests.map(request => request.pathname)).not.toContain('/snapshot.json');
+    });
+    
+    test('sorts by name and lists the repository languages', async () => {
+        serveApi();
+        const feed = await loadFeed();
+        
+        feed.sortSelect.value = 'name';
+        feed.sortSelect.dispatchEvent(new Event('change'));
+        expect(repoNames()).toEqual(['forecasting', 'kendi']);
+        
+        const languages = Array.from(feed.languageSelect.options).map(option => option.value);
+        expect(languages).toEqual(['', 'Python']);
+    });
+    
+    test('points project source links at the matching repository', async () => {
+        serveApi();
+        const projects = JSON.parse(JSON.stringify(PROJECTS));
+        await loadFeed(projects);
+        
+        expect(projects[0].links.source).toBe('https://github.com/octo/kendi');
+        expect(document.querySelector('[data-project-link="source"]').getAttribute('href')).toBe('https://github.com/octo/kendi');
+        expect(projects[1].links.source).toBe('#');
+    });
+    
+    test('serves fresh cache entries without asking GitHub again', async () => {
+        serveApi();
+        await loadFeed();
+        server.requests.length = 0;
+        
+        await loadFeed();
+        
+        expect(apiRequests()).toHaveLength(0);
+        expect(repoNames()).toEqual(['kendi', 'forecasting']);
+    });
+    
+    test('revalidates expired cache entries with their ETag', async () => {
+        serveApi();
+        await loadFeed();
+        
+        // Expire the cache and answer 304 from now on
+        const cache = JSON.parse(localStorage.getItem(main.CONFIG.github.cacheKey));
+        Object.values(cache).forEach(entry => {
+            entry.fetchedAt = 0;
+        });
+        localStorage.setItem(main.CONFIG.github.cacheKey, JSON.stringify(cache));
+        failApi(304);
+        server.requests.length = 0;
+        
+        await loadFeed();
+        
+        expect(apiRequests().map(request => request.headers['if-none-match']).sort()).toEqual(['"events-v1"', '"repos-v1"']);
+        expect(repoNames()).toEqual(['kendi', 'forecasting']);
+    });
+    
+    test('falls back to the snapshot with a rate limit notice', async () => {
+        const reset = Math.floor(Date.UTC(2024, 0, 1, 12, 0) / 1000);
+        failApi(403, { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(reset) });
+        serveSnapshot(SNAPSHOT);
+        
+        const feed = await loadFeed();
+        
+        expect(repoNames()).toEqual(['saved-repo']);
+        expect(status()).toBe(main.i18n.t('github.rateLimited', { time: main.i18n.formatDate(new Date(reset * 1000), { timeStyle: 'short' }) }));
+        expect(feed.notice).toBe(status());
+    });
+    
+    test('falls back to the snapshot when GitHub is down', async () => {
+        failApi(500);
+        serveSnapshot(SNAPSHOT);
+        
+        await loadFeed();
+        
+        expect(repoNames()).toEqual(['saved-repo']);
+        expect(status()).toBe(main.i18n.t('github.offline'));
+    });
+    
+    test('lists the site\'s projects when neither GitHub nor the snapshot has repositories', async () => {
+        failApi(500);
+        serveSnapshot(EMPTY_SNAPSHOT);
+        
+        await loadFeed(PROJECTS);
+        
+        expect(repoNames()).toEqual(['KENDI AI Assistant', 'Automation Platform']);
+        expect(document.querySelector('.repo-name a').getAttribute('href')).toBe('#projects/kendi');
+        expect(document.querySelector('.github-controls').hidden).toBe(true);
+        expect(status()).toBe(main.i18n.t('github.projectsFallback'));
+    });
+    
+    test('says so when there is nothing at all to show', async () => {
+        failApi(500);
+        
+        await loadFeed();
+        
+        expect(repoNames()).toEqual([]);
+        expect(status()).toBe(main.i18n.t('github.offline'));
+    });
+});
@@ -0,0 +1,162 @@
+// Shared set-up for the jsdom tests. main.js has no import-time side effects, so each test file
+// requires its own copy and builds just the markup the component under test needs.
+
+const http = require('http');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// A MediaQueryList whose matches can be flipped from a test with change()
+class FakeMediaQueryList {
+    constructor(media, matches) {
+        this.media = media;
+        this.matches = matches;
+        this.listeners = new Set();
+    }
+    
+    addEventListener(type, listener) {
+        this.listeners.add(listener);
+    }
+    
+    removeEventListener(type, listener) {
+        this.listeners.delete(listener);
+    }
+    
+    change(matches) {
+        this.matches = matches;
+        this.listeners.forEach(listener => listener({ matches, media: this.media }));
+    }
+}
+
+// jsdom has no matchMedia; queries are answered from initial and shared per query string
+function installMatchMedia(initial = {}) {
+    const lists = {};
+    window.matchMedia = (media) => {
+        if (!lists[media]) {
+            lists[media] = new FakeMediaQueryList(media, !!initial[media]);
+        }
+        return lists[media];
+    };
+    return lists;
+}
+
+// jsdom has no IntersectionObserver; tests report entries with trigger()
+class FakeIntersectionObserver {
+    constructor(callback, options = {}) {
+        this.callback = callback;
+        this.options = options;
+        this.targets = new Set();
+        FakeIntersectionObserver.instances.push(this);
+    }
+    
+    observe(target) {
+        this.targets.add(target);
+    }
+    
+    unobserve(target) {
+        this.targets.delete(target);
+    }
+    
+    disconnect() {
+        this.targets.clear();
+    }
+    
+    trigger(entries) {
+        this.callback(entries.map(entry => Object.assign({ isIntersecting: true }, entry)), this);
+    }
+}
+
+FakeIntersectionObserver.instances = [];
+
+function installIntersectionObserver() {
+    FakeIntersectionObserver.instances = [];
+    window.IntersectionObserver = FakeIntersectionObserver;
+    return FakeIntersectionObserver;
+}
+
+// Requires a fresh main.js with the English dictionary loaded, so t() returns real text
+function loadMain() {
+    let main;
+    jest.isolateModules(() => {
+        main = require(path.join(ROOT, 'assets/js/main.js'));
+    });
+    main.i18n.dictionaries.en = require(path.join(ROOT, 'assets/data/locales/en.json'));
+    return main;
+}
+
+// Answers each request with handlers[pathname](request, response, body) on a free local port.
+// Handlers can be swapped per test; every request is recorded in requests.
+function startFixtureServer(handlers = {}) {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        let body = '';
+        
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            const { pathname } = new URL(request.url, 'http://localhost');
+            requests.push({ method: request.method, url: request.url, pathname, headers: request.headers, body });
+            
+            if (!fixture.handlers[pathname]) {
+                response.writeHead(404);
+                response.end();
+                return;
+            }
+            fixture.handlers[pathname](request, response, body);
+        });
+    });
+    
+    const fixture = {
+        handlers,
+        requests,
+        url: null,
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+    
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            fixture.url = `http://127.0.0.1:${server.address().port}`;
+            resolve(fixture);
+        });
+    });
+}
+
+// Resolves once condition() is true, for effects that finish on their own time, e.g. a beacon
+function waitFor(condition, timeout = 2000) {
+    const started = Date.now();
+    
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            if (condition()) {
+                resolve();
+            } else if (Date.now() - started > timeout) {
+                reject(new Error('Timed out waiting for condition'));
+            } else {
+                setTimeout(check, 5);
+            }
+        };
+        check();
+    });
+}
+
+function sendJSON(response, status, data, headers = {}) {
+    response.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+    response.end(JSON.stringify(data));
+}
+
+module.exports = {
+    ROOT,
+    FakeMediaQueryList,
+    FakeIntersectionObserver,
+    installMatchMedia,
+    installIntersectionObserver,
+    loadMain,
+    startFixtureServer,
+    sendJSON,
+    waitFor
+};
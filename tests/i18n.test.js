@@ -0,0 +1,66 @@
+const path = require('path');
+const { ROOT, installMatchMedia, loadMain } = require('./helpers');
+
+let main;
+let i18n;
+
+function setLanguages(languages) {
+    Object.defineProperty(navigator, 'languages', { configurable: true, get: () => languages });
+}
+
+// Storage that throws, as Safari's private mode and blocked cookies do
+function blockStorage() {
+    const error = () => {
+        throw new DOMException('The operation is insecure.', 'SecurityError');
+    };
+    return [
+        jest.spyOn(Storage.prototype, 'getItem').mockImplementation(error),
+        jest.spyOn(Storage.prototype, 'setItem').mockImplementation(error)
+    ];
+}
+
+beforeEach(() => {
+    localStorage.clear();
+    setLanguages(['en-US']);
+    installMatchMedia();
+    main = loadMain();
+    i18n = main.i18n;
+    i18n.dictionaries.es = require(path.join(ROOT, 'assets/data/locales/es.json'));
+    document.body.innerHTML = '<h2 data-i18n="nav.about">About</h2>';
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('I18n locale', () => {
+    test('prefers the stored choice over the browser languages', () => {
+        localStorage.setItem('locale', 'es');
+        
+        expect(i18n.detectLocale()).toBe('es');
+    });
+    
+    test('falls back to the browser languages when storage is blocked', () => {
+        setLanguages(['es-MX', 'en']);
+        blockStorage();
+        
+        expect(i18n.detectLocale()).toBe('es');
+    });
+    
+    test('still switches language when the choice cannot be stored', async () => {
+        const [, setItem] = blockStorage();
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const listener = jest.fn();
+        document.addEventListener('localechange', listener);
+        
+        await i18n.setLocale('es');
+        
+        expect(setItem).toHaveBeenCalled();
+        expect(warn).toHaveBeenCalledWith('Could not store the language choice:', expect.any(DOMException));
+        expect(i18n.locale).toBe('es');
+        expect(document.documentElement.lang).toBe('es');
+        expect(document.querySelector('h2').textContent).toBe(i18n.dictionaries.es['nav.about']);
+        expect(listener).toHaveBeenCalled();
+        document.removeEventListener('localechange', listener);
+    });
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT, installMatchMedia, loadMain } = require('./helpers');
+
+const MANIFEST = require('../assets/data/images.json');
+const PROFILE_IMAGE = 'assets/img/myprofilepic.jpg';
+
+let main;
+
+function renderProfile(entries) {
+    main.imageManifest.entries = entries;
+    const contentManager = new main.ContentManager();
+    contentManager.content = { profile: { image: PROFILE_IMAGE }, skills: [], projects: [], experience: [] };
+    contentManager.render();
+}
+
+beforeEach(() => {
+    installMatchMedia();
+    main = loadMain();
+    document.body.innerHTML = `
+        <div class="profile-container">
+            <img src="${PROFILE_IMAGE}" alt="Profile photo" class="profile-img" data-i18n-attr="alt:hero.profileAlt" fetchpriority="high">
+        </div>`;
+});
+
+describe('ImageManifest', () => {
+    test('the committed manifest has variants for the profile photo', () => {
+        const entry = MANIFEST[PROFILE_IMAGE];
+        
+        expect(entry.sources.map(source => source.type)).toEqual(['image/avif', 'image/webp']);
+        expect(entry.placeholder).toMatch(/^data:image\//);
+    });
+    
+    test('priority images load straight away instead of waiting for the lazy loader', () => {
+        main.imageManifest.entries = MANIFEST;
+        document.body.innerHTML = main.imageManifest.render(PROFILE_IMAGE, { alt: 'Photo', priority: true, attributes: { 'data-test': 'x' } });
+        
+        const img = document.querySelector('img');
+        expect(img.getAttribute('src')).toBe(PROFILE_IMAGE);
+        expect(img.getAttribute('fetchpriority')).toBe('high');
+        expect(img.getAttribute('data-test')).toBe('x');
+        expect(img.hasAttribute('data-src')).toBe(false);
+        expect(img.hasAttribute('loading')).toBe(false);
+        expect(img.classList.contains('lazy-image')).toBe(false);
+        expect(document.querySelector('source').getAttribute('srcset')).toBe(MANIFEST[PROFILE_IMAGE].sources[0].srcset);
+    });
+    
+    test('lazy images keep their URLs in data attributes behind the placeholder', () => {
+        main.imageManifest.entries = MANIFEST;
+        document.body.innerHTML = main.imageManifest.render(PROFILE_IMAGE, { alt: 'Photo' });
+        
+        const img = document.querySelector('img');
+        expect(img.getAttribute('src')).toBe(MANIFEST[PROFILE_IMAGE].placeholder);
+        expect(img.dataset.src).toBe(PROFILE_IMAGE);
+        expect(document.querySelector('source').dataset.srcset).toBe(MANIFEST[PROFILE_IMAGE].sources[0].srcset);
+    });
+});
+
+describe('Hero profile image', () => {
+    test('index.html ships the <picture> variants so the photo is fetched once', () => {
+        document.documentElement.innerHTML = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+        
+        const img = document.querySelector('.profile-container picture > img.profile-img');
+        expect(img).not.toBeNull();
+        expect(img.getAttribute('src')).toBe(PROFILE_IMAGE);
+        expect(img.getAttribute('data-i18n-attr')).toBe('alt:hero.profileAlt');
+        expect(img.getAttribute('fetchpriority')).toBe('high');
+        expect(img.getAttribute('width')).toBe(String(MANIFEST[PROFILE_IMAGE].width));
+        expect(img.hasAttribute('data-src')).toBe(false);
+        expect(Array.from(document.querySelectorAll('.profile-container source'), source => source.getAttribute('srcset')))
+            .toEqual(MANIFEST[PROFILE_IMAGE].sources.map(source => source.srcset));
+    });
+    
+    test('ContentManager leaves the hero photo alone', () => {
+        const before = document.body.innerHTML;
+        
+        renderProfile(MANIFEST);
+        
+        expect(document.body.innerHTML).toBe(before);
+    });
+});
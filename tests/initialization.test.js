@@ -0,0 +1,75 @@
+const { installMatchMedia, loadMain } = require('./helpers');
+
+let main;
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    installMatchMedia();
+    main = loadMain();
+    
+    document.documentElement.classList.add('reveal-enabled');
+    document.body.innerHTML = `
+        <nav>
+            <a href="#about" id="about-link">About</a>
+            <a href="#missing" id="missing-link">Missing</a>
+            <a href="#projects/kendi" id="detail-link">KENDI</a>
+        </nav>
+        <section id="about"></section>`;
+    Element.prototype.scrollIntoView = jest.fn();
+    
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete Element.prototype.scrollIntoView;
+    jest.useRealTimers();
+});
+
+function click(id) {
+    const event = new MouseEvent('click', { bubbles: true, cancelable: true });
+    document.getElementById(id).dispatchEvent(event);
+    return event;
+}
+
+describe('Website initialization fallback', () => {
+    test('a failure outside any component falls back to basic functionality', () => {
+        jest.spyOn(main.ErrorReporter.prototype, 'install').mockImplementation(() => {
+            throw new Error('boom');
+        });
+        const fallback = jest.spyOn(main.Website.prototype, 'handleInitializationError');
+        const report = jest.spyOn(main.ErrorReporter.prototype, 'report').mockImplementation(() => {});
+        
+        new main.Website();
+        
+        expect(fallback).toHaveBeenCalledWith(expect.objectContaining({ message: 'boom' }));
+        expect(report).toHaveBeenCalledWith(expect.objectContaining({ message: 'boom' }), { type: 'init', component: 'Website' });
+    });
+    
+    test('handleInitializationError() shows hidden reveal content', () => {
+        main.Website.prototype.handleInitializationError.call({}, new Error('boom'));
+        
+        expect(document.documentElement.classList.contains('reveal-enabled')).toBe(false);
+    });
+    
+    test('handleInitializationError() keeps in-page links scrolling to their section', () => {
+        main.Website.prototype.handleInitializationError.call({}, new Error('boom'));
+        
+        const event = click('about-link');
+        
+        expect(event.defaultPrevented).toBe(true);
+        expect(Element.prototype.scrollIntoView).toHaveBeenCalledTimes(1);
+        expect(Element.prototype.scrollIntoView.mock.instances[0]).toBe(document.getElementById('about'));
+        expect(Element.prototype.scrollIntoView).toHaveBeenCalledWith({ behavior: 'smooth' });
+    });
+    
+    test('handleInitializationError() leaves detail links and missing targets alone', () => {
+        main.Website.prototype.handleInitializationError.call({}, new Error('boom'));
+        
+        expect(click('detail-link').defaultPrevented).toBe(false);
+        click('missing-link');
+        
+        expect(Element.prototype.scrollIntoView).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,110 @@
+const { installMatchMedia, installIntersectionObserver, loadMain } = require('./helpers');
+
+let main;
+
+function setupPage() {
+    document.body.innerHTML = `
+        <nav>
+            <button id="nav-toggle" aria-controls="nav-menu"></button>
+            <ul id="nav-menu">
+                <li><a href="#home" class="nav-link">Home</a></li>
+                <li><a href="#about" class="nav-link">About</a></li>
+                <li><a href="#projects" class="nav-link">Projects</a></li>
+            </ul>
+        </nav>
+        <section id="home"></section>
+        <section id="about"></section>
+        <section id="projects"></section>`;
+    main.queryDOMElements();
+}
+
+function activeLinks() {
+    return Array.from(document.querySelectorAll('.nav-link.active')).map(link => link.getAttribute('href'));
+}
+
+// Places each section at [top, bottom) in viewport coordinates
+function layoutSections(rects) {
+    Object.keys(rects).forEach(id => {
+        const [top, bottom] = rects[id];
+        document.getElementById(id).getBoundingClientRect = () => ({ top, bottom });
+    });
+}
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    installMatchMedia();
+    main = loadMain();
+    setupPage();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('Navigation active link', () => {
+    test('setActiveSection() marks only the matching link and notifies listeners', () => {
+        delete window.IntersectionObserver;
+        const navigation = new main.Navigation(new main.ScrollScheduler());
+        const listener = jest.fn();
+        navigation.onSectionChange(listener);
+        
+        navigation.setActiveSection('about');
+        navigation.setActiveSection('about');
+        
+        expect(activeLinks()).toEqual(['#about']);
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith('about');
+        
+        navigation.setActiveSection('projects');
+        expect(activeLinks()).toEqual(['#projects']);
+    });
+    
+    test('watches a one-pixel line under the navbar with IntersectionObserver', () => {
+        const IntersectionObserver = installIntersectionObserver();
+        new main.Navigation(new main.ScrollScheduler());
+        
+        jest.advanceTimersToNextTimer();
+        
+        const [observer] = IntersectionObserver.instances;
+        // No #navbar here, so the header offset falls back to 80px
+        expect(observer.options.rootMargin).toBe(`-80px 0px -${window.innerHeight - 81}px 0px`);
+        expect(observer.targets.size).toBe(3);
+        
+        observer.trigger([{ target: document.getElementById('about') }]);
+        expect(activeLinks()).toEqual(['#about']);
+        
+        observer.trigger([
+            { target: document.getElementById('about'), isIntersecting: false },
+            { target: document.getElementById('projects') }
+        ]);
+        expect(activeLinks()).toEqual(['#projects']);
+    });
+    
+    test('keeps the current link while no section crosses the line', () => {
+        const IntersectionObserver = installIntersectionObserver();
+        new main.Navigation(new main.ScrollScheduler());
+        jest.advanceTimersToNextTimer();
+        
+        const [observer] = IntersectionObserver.instances;
+        observer.trigger([{ target: document.getElementById('home') }]);
+        observer.trigger([{ target: document.getElementById('home'), isIntersecting: false }]);
+        
+        expect(activeLinks()).toEqual(['#home']);
+    });
+    
+    test('measures the sections on scroll when IntersectionObserver is unavailable', () => {
+        delete window.IntersectionObserver;
+        layoutSections({ home: [-500, 0], about: [0, 600], projects: [600, 1200] });
+        new main.Navigation(new main.ScrollScheduler());
+        
+        jest.advanceTimersToNextTimer();
+        expect(activeLinks()).toEqual(['#about']);
+        
+        layoutSections({ home: [-1100, -600], about: [-600, 0], projects: [0, 600] });
+        window.dispatchEvent(new Event('scroll'));
+        expect(activeLinks()).toEqual(['#about']);
+        
+        jest.advanceTimersToNextTimer();
+        expect(activeLinks()).toEqual(['#projects']);
+    });
+});
@@ -0,0 +1,66 @@
+const { installMatchMedia, loadMain } = require('./helpers');
+
+const CONTENT = {
+    profile: { name: 'Ada Lovelace', roles: ['Engineer'], email: 'ada@example.com' },
+    experience: [{ title: 'Engineer', company: 'Acme', date: 'Mar 2019 - Jun 2021', description: 'Built things', skills: ['Python'] }],
+    skills: [],
+    projects: []
+};
+
+let main;
+
+// Clicks control and reports whether a script took over the click from the browser
+function click(control) {
+    let handled = null;
+    const recordAndStop = (e) => {
+        handled = e.defaultPrevented;
+        // jsdom cannot follow the link
+        e.preventDefault();
+    };
+    document.addEventListener('click', recordAndStop);
+    control.click();
+    document.removeEventListener('click', recordAndStop);
+    return handled;
+}
+
+beforeEach(() => {
+    document.body.innerHTML = `
+        <a href="assets/img/resume.pdf" id="download" download data-resume-format="pdf">Download Resume</a>
+        <button type="button" id="save-pdf" data-resume-format="pdf" hidden>Save as PDF</button>
+        <button type="button" id="json" data-resume-format="json" hidden>JSON Resume</button>`;
+    installMatchMedia();
+    main = loadMain();
+    window.print = jest.fn();
+});
+
+afterEach(() => {
+    delete window.print;
+});
+
+describe('ResumeBuilder controls', () => {
+    test('leaves the static PDF download to the browser', () => {
+        new main.ResumeBuilder(CONTENT);
+        
+        expect(click(document.getElementById('download'))).toBe(false);
+        expect(window.print).not.toHaveBeenCalled();
+    });
+    
+    test('shows the generated formats and prints the resume view for Save as PDF', () => {
+        new main.ResumeBuilder(CONTENT);
+        const savePDF = document.getElementById('save-pdf');
+        
+        expect(savePDF.hidden).toBe(false);
+        expect(document.getElementById('json').hidden).toBe(false);
+        
+        expect(click(savePDF)).toBe(true);
+        expect(window.print).toHaveBeenCalled();
+        expect(document.querySelector('.resume-print').textContent).toContain('Ada Lovelace');
+    });
+    
+    test('keeps the generated formats hidden without content', () => {
+        new main.ResumeBuilder(null);
+        
+        expect(document.getElementById('save-pdf').hidden).toBe(true);
+        expect(click(document.getElementById('download'))).toBe(false);
+    });
+});
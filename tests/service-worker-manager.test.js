@@ -0,0 +1,76 @@
+const { installMatchMedia, loadMain } = require('./helpers');
+
+let main;
+let container;
+let registration;
+
+// navigator.serviceWorker with a page that has no controller yet, as on a first visit
+function installServiceWorker() {
+    registration = new EventTarget();
+    registration.waiting = null;
+    registration.installing = null;
+    
+    container = new EventTarget();
+    container.controller = null;
+    container.register = jest.fn(() => Promise.resolve(registration));
+    Object.defineProperty(navigator, 'serviceWorker', { configurable: true, value: container });
+    Object.defineProperty(window, 'isSecureContext', { configurable: true, value: true });
+}
+
+function fakeWorker(state) {
+    const worker = new EventTarget();
+    worker.state = state;
+    worker.postMessage = jest.fn();
+    return worker;
+}
+
+// jsdom can't reload; it reports the attempt as a "not implemented" navigation error instead
+function spyOnReload() {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    return () => error.mock.calls.some(([message]) => /navigation/.test(String(message)));
+}
+
+beforeEach(() => {
+    document.body.innerHTML = '';
+    installMatchMedia();
+    installServiceWorker();
+    main = loadMain();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('ServiceWorkerManager', () => {
+    test('does not reload when the first install claims the page', async () => {
+        const reloaded = spyOnReload();
+        new main.ServiceWorkerManager();
+        await Promise.resolve();
+        
+        container.controller = fakeWorker('activated');
+        container.dispatchEvent(new Event('controllerchange'));
+        
+        expect(reloaded()).toBe(false);
+        expect(document.querySelector('.update-toast')).toBeNull();
+    });
+    
+    test('reloads once the visitor accepts the update', async () => {
+        const reloaded = spyOnReload();
+        container.controller = fakeWorker('activated');
+        const waiting = fakeWorker('installed');
+        registration.waiting = waiting;
+        
+        new main.ServiceWorkerManager();
+        await Promise.resolve();
+        await Promise.resolve();
+        
+        const reload = document.querySelector('[data-update="reload"]');
+        expect(reload).not.toBeNull();
+        
+        reload.click();
+        expect(waiting.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' });
+        
+        container.dispatchEvent(new Event('controllerchange'));
+        expect(reloaded()).toBe(true);
+    });
+});
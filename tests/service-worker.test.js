@@ -0,0 +1,29 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const path = require('path');
+const { computeVersion, readVersion, readPrecacheUrls } = require('../scripts/build-sw.js');
+
+const ROOT = path.join(__dirname, '..');
+const source = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+
+describe('sw.js', () => {
+    test('precaches only files that exist', () => {
+        const missing = readPrecacheUrls(source)
+            .filter(url => url !== './')
+            .filter(url => !fs.existsSync(path.join(ROOT, url)));
+        
+        expect(missing).toEqual([]);
+    });
+    
+    test('VERSION matches the hash of the precached files; run npm run build:sw', () => {
+        expect(readVersion(source)).toBe(computeVersion(source));
+    });
+    
+    test('the version changes when a precached file does', () => {
+        const changed = source.replace("'offline.html',", "'offline.html',\n    'robots.txt',");
+        
+        expect(computeVersion(changed)).not.toBe(computeVersion(source));
+    });
+});
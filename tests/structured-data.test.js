@@ -0,0 +1,71 @@
+const { installMatchMedia, loadMain } = require('./helpers');
+
+const SITE = 'https://example.com/';
+const DEFAULT_IMAGE = `${SITE}assets/img/profile.jpg`;
+
+const CONTENT = {
+    profile: { name: 'Ada Lovelace', url: SITE, image: 'assets/img/profile.jpg', roles: ['Engineer'] },
+    skills: [],
+    experience: [],
+    projects: [
+        { id: 'engine', title: 'Analytical Engine', description: 'Computes', image: 'assets/img/project-engine.jpg', tags: ['Math'] },
+        { id: 'notes', title: 'Notes', description: 'Writes', image: 'assets/img/project-notes.jpg', tags: ['Writing'] }
+    ]
+};
+
+let main;
+
+function meta(name) {
+    return document.querySelector(`meta[property="${name}"]`).getAttribute('content');
+}
+
+function graphNode(id) {
+    return JSON.parse(document.getElementById('structured-data').textContent)['@graph'].find(node => node['@id'] === id);
+}
+
+function openProject(id) {
+    window.location.hash = id ? `#projects/${id}` : '';
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+}
+
+beforeEach(() => {
+    window.location.hash = '';
+    document.head.innerHTML = `
+        <meta property="og:title" content="Ada">
+        <meta property="og:image" content="${DEFAULT_IMAGE}">
+        <meta property="twitter:image" content="${DEFAULT_IMAGE}">`;
+    installMatchMedia();
+    main = loadMain();
+    // Only the profile photo and the engine screenshot have been through scripts/build-images.js
+    main.imageManifest.entries = {
+        'assets/img/profile.jpg': { width: 10, height: 10 },
+        'assets/img/project-engine.jpg': { width: 10, height: 10 }
+    };
+});
+
+describe('StructuredData images', () => {
+    test('leaves images that do not exist out of the JSON-LD', () => {
+        new main.StructuredData(CONTENT);
+        
+        expect(graphNode(`${SITE}#person`).image).toBe(DEFAULT_IMAGE);
+        expect(graphNode(`${SITE}#projects/engine`).image).toBe(`${SITE}assets/img/project-engine.jpg`);
+        expect(graphNode(`${SITE}#projects/notes`)).not.toHaveProperty('image');
+    });
+    
+    test('falls back to the page image for a project without one', () => {
+        new main.StructuredData(CONTENT);
+        
+        openProject('engine');
+        expect(meta('og:image')).toBe(`${SITE}assets/img/project-engine.jpg`);
+        expect(meta('og:title')).toBe('Analytical Engine | Ada Lovelace');
+        
+        // The previous project's image must not stay behind
+        openProject('notes');
+        expect(meta('og:image')).toBe(DEFAULT_IMAGE);
+        expect(meta('twitter:image')).toBe(DEFAULT_IMAGE);
+        expect(meta('og:title')).toBe('Notes | Ada Lovelace');
+        
+        openProject(null);
+        expect(meta('og:title')).toBe('Ada');
+    });
+});
@@ -0,0 +1,151 @@
+const { installMatchMedia, loadMain } = require('./helpers');
+
+const PREFERS_LIGHT = '(prefers-color-scheme: light)';
+
+let main;
+let mediaQueries;
+
+// Storage that throws, as Safari's private mode and blocked cookies do
+function blockStorage() {
+    const error = () => {
+        throw new DOMException('The operation is insecure.', 'SecurityError');
+    };
+    jest.spyOn(Storage.prototype, 'getItem').mockImplementation(error);
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(error);
+}
+
+function createThemeManager() {
+    main.queryDOMElements();
+    return new main.ThemeManager();
+}
+
+beforeEach(() => {
+    localStorage.clear();
+    document.documentElement.removeAttribute('data-theme');
+    document.head.innerHTML = '<meta name="theme-color" content="#0a0a0a">';
+    document.body.innerHTML = `
+        <div class="theme-picker">
+            <button class="theme-toggle" id="theme-toggle" aria-expanded="false" aria-controls="theme-menu"><i></i></button>
+            <div class="theme-menu" id="theme-menu" hidden></div>
+        </div>`;
+    mediaQueries = installMatchMedia();
+    main = loadMain();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('ThemeManager persistence', () => {
+    test('defaults to the system theme, resolved against prefers-color-scheme', () => {
+        mediaQueries = installMatchMedia({ [PREFERS_LIGHT]: true });
+        
+        const themeManager = createThemeManager();
+        
+        expect(themeManager.currentTheme).toBe('system');
+        expect(document.documentElement.getAttribute('data-theme')).toBe('light');
+    });
+    
+    test('restores the stored theme', () => {
+        localStorage.setItem('theme', 'high-contrast');
+        
+        createThemeManager();
+        
+        expect(document.documentElement.getAttribute('data-theme')).toBe('high-contrast');
+        expect(document.querySelector('meta[name="theme-color"]').getAttribute('content')).toBe('#000000');
+    });
+    
+    test('stores the theme picked from the menu', () => {
+        createThemeManager();
+        
+        document.querySelector('[data-theme-option="light"]').click();
+        
+        expect(localStorage.getItem('theme')).toBe('light');
+        expect(document.documentElement.getAttribute('data-theme')).toBe('light');
+        expect(document.querySelector('[data-theme-option="light"]').getAttribute('aria-pressed')).toBe('true');
+        
+        // A new visit starts on the stored theme
+        document.documentElement.removeAttribute('data-theme');
+        createThemeManager();
+        expect(document.documentElement.getAttribute('data-theme')).toBe('light');
+    });
+    
+    test('toggleTheme() flips the resolved theme and stores the result', () => {
+        const themeManager = createThemeManager();
+        
+        // System resolves to dark here, so the first toggle picks light
+        themeManager.toggleTheme();
+        expect(localStorage.getItem('theme')).toBe('light');
+        
+        themeManager.toggleTheme();
+        expect(localStorage.getItem('theme')).toBe('dark');
+        expect(document.documentElement.getAttribute('data-theme')).toBe('dark');
+    });
+    
+    test('follows the OS while in system mode only', () => {
+        const themeManager = createThemeManager();
+        
+        mediaQueries[PREFERS_LIGHT].change(true);
+        expect(document.documentElement.getAttribute('data-theme')).toBe('light');
+        
+        themeManager.setTheme('dark');
+        mediaQueries[PREFERS_LIGHT].change(false);
+        mediaQueries[PREFERS_LIGHT].change(true);
+        expect(document.documentElement.getAttribute('data-theme')).toBe('dark');
+    });
+    
+    test('keeps a stored theme that is not registered yet and applies it once it is', () => {
+        localStorage.setItem('theme', 'solarized');
+        
+        const themeManager = createThemeManager();
+        
+        expect(themeManager.currentTheme).toBe('system');
+        expect(document.documentElement.getAttribute('data-theme')).toBe('dark');
+        expect(localStorage.getItem('theme')).toBe('solarized');
+        
+        themeManager.registerTheme('solarized', { label: 'Solarized', palette: { '--bg-color': '#002b36' } });
+        
+        expect(themeManager.currentTheme).toBe('solarized');
+        expect(document.documentElement.getAttribute('data-theme')).toBe('solarized');
+        expect(document.querySelector('style[data-theme-palette="solarized"]').textContent).toContain('--bg-color: #002b36;');
+        expect(document.querySelector('[data-theme-option="solarized"]')).not.toBeNull();
+    });
+    
+    test('a theme picked meanwhile wins over the stored one', () => {
+        localStorage.setItem('theme', 'solarized');
+        const themeManager = createThemeManager();
+        
+        themeManager.setTheme('light');
+        themeManager.registerTheme('solarized', { label: 'Solarized' });
+        
+        expect(localStorage.getItem('theme')).toBe('light');
+        expect(document.documentElement.getAttribute('data-theme')).toBe('light');
+    });
+    
+    test('ignores unknown themes passed to setTheme()', () => {
+        const themeManager = createThemeManager();
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        
+        themeManager.setTheme('sepia');
+        
+        expect(warn).toHaveBeenCalledWith('Unknown theme "sepia"');
+        expect(themeManager.currentTheme).toBe('system');
+        expect(localStorage.getItem('theme')).toBeNull();
+        warn.mockRestore();
+    });
+    
+    test('still switches theme when storage is blocked', () => {
+        blockStorage();
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        
+        const themeManager = createThemeManager();
+        expect(themeManager.currentTheme).toBe('system');
+        expect(document.documentElement.getAttribute('data-theme')).toBe('dark');
+        
+        themeManager.setTheme('high-contrast');
+        
+        expect(warn).toHaveBeenCalledWith('Could not store the theme choice:', expect.any(DOMException));
+        expect(themeManager.currentTheme).toBe('high-contrast');
+        expect(document.documentElement.getAttribute('data-theme')).toBe('high-contrast');
+    });
+});
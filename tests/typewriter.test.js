@@ -0,0 +1,159 @@
+const { installMatchMedia, loadMain } = require('./helpers');
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+let mediaQueries;
+let TypewriterEffect;
+let element;
+
+function setHidden(hidden) {
+    Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+    document.dispatchEvent(new Event('visibilitychange'));
+}
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    mediaQueries = installMatchMedia();
+    ({ TypewriterEffect } = loadMain());
+    
+    document.body.innerHTML = '<p><span class="typewriter"></span></p>';
+    element = document.querySelector('.typewriter');
+});
+
+afterEach(() => {
+    setHidden(false);
+    jest.useRealTimers();
+});
+
+describe('TypewriterEffect timing', () => {
+    test('types one character per typeSpeed, pauses, then deletes at deleteSpeed', () => {
+        new TypewriterEffect(element, ['Hi', 'Yo'], { typeSpeed: 100, deleteSpeed: 50, pauseTime: 2000 });
+        
+        expect(element.textContent).toBe('H');
+        
+        jest.advanceTimersByTime(99);
+        expect(element.textContent).toBe('H');
+        jest.advanceTimersByTime(1);
+        expect(element.textContent).toBe('Hi');
+        
+        // Holds the full phrase for pauseTime before deleting
+        jest.advanceTimersByTime(1999);
+        expect(element.textContent).toBe('Hi');
+        jest.advanceTimersByTime(1);
+        expect(element.textContent).toBe('H');
+        
+        jest.advanceTimersByTime(50);
+        expect(element.textContent).toBe('');
+        
+        jest.advanceTimersByTime(50);
+        expect(element.textContent).toBe('Y');
+    });
+    
+    test('uses per-item speeds over the options', () => {
+        new TypewriterEffect(element, [{ text: 'abc', typeSpeed: 10 }], { typeSpeed: 100 });
+        
+        jest.advanceTimersByTime(20);
+        expect(element.textContent).toBe('abc');
+    });
+    
+    test('stops on the last phrase once the loops are done', () => {
+        const typewriter = new TypewriterEffect(element, ['ab', 'cd'], { typeSpeed: 10, deleteSpeed: 10, pauseTime: 100, loop: 1 });
+        
+        jest.advanceTimersByTime(10000);
+        
+        expect(typewriter.state).toBe('finished');
+        expect(element.textContent).toBe('cd');
+        expect(jest.getTimerCount()).toBe(0);
+    });
+    
+    test('types an emoji as a single step', () => {
+        new TypewriterEffect(element, ['👍🏽!'], { typeSpeed: 100 });
+        
+        expect(element.textContent).toBe('👍🏽');
+    });
+    
+    test('pause() keeps the text and start() resumes from the same place', () => {
+        const typewriter = new TypewriterEffect(element, ['abcd'], { typeSpeed: 100 });
+        
+        jest.advanceTimersByTime(100);
+        typewriter.pause();
+        jest.advanceTimersByTime(1000);
+        
+        expect(typewriter.state).toBe('paused');
+        expect(element.textContent).toBe('ab');
+        
+        typewriter.start();
+        expect(element.textContent).toBe('abc');
+    });
+    
+    test('stop() clears the text and start() begins again from the first phrase', () => {
+        const typewriter = new TypewriterEffect(element, ['abcd'], { typeSpeed: 100 });
+        
+        jest.advanceTimersByTime(200);
+        typewriter.stop();
+        
+        expect(element.textContent).toBe('');
+        
+        typewriter.start();
+        expect(element.textContent).toBe('a');
+    });
+    
+    test('pauses while the tab is hidden and resumes when it is shown again', () => {
+        const typewriter = new TypewriterEffect(element, ['abcd'], { typeSpeed: 100 });
+        
+        setHidden(true);
+        jest.advanceTimersByTime(1000);
+        
+        expect(typewriter.state).toBe('paused');
+        expect(element.textContent).toBe('a');
+        
+        setHidden(false);
+        expect(typewriter.state).toBe('running');
+        expect(element.textContent).toBe('ab');
+    });
+    
+    test('shows one complete phrase without timers when reduced motion is preferred', () => {
+        mediaQueries = installMatchMedia({ [REDUCED_MOTION]: true });
+        
+        const typewriter = new TypewriterEffect(element, ['Developer', 'Designer']);
+        
+        expect(element.textContent).toBe('Developer');
+        expect(typewriter.state).toBe('paused');
+        expect(jest.getTimerCount()).toBe(0);
+    });
+    
+    test('starts animating when reduced motion is turned off', () => {
+        mediaQueries = installMatchMedia({ [REDUCED_MOTION]: true });
+        const typewriter = new TypewriterEffect(element, ['abcd'], { typeSpeed: 100 });
+        
+        mediaQueries[REDUCED_MOTION].change(false);
+        
+        expect(typewriter.state).toBe('running');
+        expect(jest.getTimerCount()).toBe(1);
+    });
+    
+    test('stays paused by the visitor when the reduced motion setting changes', () => {
+        const typewriter = new TypewriterEffect(element, ['abcd'], { typeSpeed: 100 });
+        
+        jest.advanceTimersByTime(100);
+        typewriter.pause();
+        
+        mediaQueries[REDUCED_MOTION].change(true);
+        mediaQueries[REDUCED_MOTION].change(false);
+        jest.advanceTimersByTime(1000);
+        
+        expect(typewriter.state).toBe('paused');
+        expect(element.textContent).toBe('ab');
+    });
+    
+    test('hides the animation from screen readers and lists every phrase in a live region', () => {
+        const typewriter = new TypewriterEffect(element, ['Developer', 'Designer']);
+        
+        expect(element.getAttribute('aria-hidden')).toBe('true');
+        expect(typewriter.liveRegion.textContent).toBe('Developer, Designer');
+        
+        typewriter.destroy();
+        expect(element.hasAttribute('aria-hidden')).toBe(false);
+        expect(document.querySelector('[aria-live]')).toBeNull();
+    });
+});
@@ -0,0 +1,71 @@
+const { installMatchMedia, loadMain } = require('./helpers');
+
+installMatchMedia();
+const { debounce, throttle } = loadMain();
+
+beforeEach(() => {
+    jest.useFakeTimers();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('debounce', () => {
+    test('runs once, with the last arguments, after calls stop for the wait time', () => {
+        const callback = jest.fn();
+        const debounced = debounce(callback, 100);
+        
+        debounced('a');
+        jest.advanceTimersByTime(60);
+        debounced('b');
+        jest.advanceTimersByTime(60);
+        debounced('c');
+        
+        expect(callback).not.toHaveBeenCalled();
+        
+        jest.advanceTimersByTime(100);
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback).toHaveBeenCalledWith('c');
+    });
+    
+    test('runs again for calls after the wait has passed', () => {
+        const callback = jest.fn();
+        const debounced = debounce(callback, 100);
+        
+        debounced(1);
+        jest.advanceTimersByTime(100);
+        debounced(2);
+        jest.advanceTimersByTime(100);
+        
+        expect(callback.mock.calls).toEqual([[1], [2]]);
+    });
+});
+
+describe('throttle', () => {
+    test('runs the first call straight away and ignores calls until the limit has passed', () => {
+        const callback = jest.fn();
+        const throttled = throttle(callback, 100);
+        
+        throttled('a');
+        throttled('b');
+        jest.advanceTimersByTime(99);
+        throttled('c');
+        
+        expect(callback.mock.calls).toEqual([['a']]);
+        
+        jest.advanceTimersByTime(1);
+        throttled('d');
+        expect(callback.mock.calls).toEqual([['a'], ['d']]);
+    });
+    
+    test('keeps the caller as this', () => {
+        const target = { calls: [] };
+        target.record = throttle(function(value) {
+            this.calls.push(value);
+        }, 50);
+        
+        target.record(1);
+        expect(target.calls).toEqual([1]);
+    });
+});